@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const Product = require('../src/models/Product');
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/midwest_grocery');
+
+async function backfillProductUids() {
+  try {
+    console.log('Starting to backfill product_uid...');
+
+    // Products created before product_uid existed have no value stored
+    const products = await Product.find({ product_uid: { $exists: false } }).select('_id name').lean();
+    console.log(`Found ${products.length} products to update`);
+
+    let updated = 0;
+    for (const product of products) {
+      // Retry on the (unlikely) chance of a uid collision
+      for (let attempt = 0; attempt < 3; attempt++) {
+        try {
+          await Product.updateOne(
+            { _id: product._id, product_uid: { $exists: false } },
+            { $set: { product_uid: Product.generateUid() } }
+          );
+          updated++;
+          break;
+        } catch (e) {
+          if (e.code !== 11000 || attempt === 2) throw e;
+        }
+      }
+
+      if (updated % 100 === 0) {
+        console.log(`Updated ${updated} products...`);
+      }
+    }
+
+    console.log(`Successfully assigned product_uid to ${updated} products`);
+
+    const missing = await Product.countDocuments({ product_uid: { $exists: false } });
+    console.log(`Products still without product_uid: ${missing}`);
+  } catch (error) {
+    console.error('Error backfilling product_uid:', error);
+  } finally {
+    mongoose.connection.close();
+  }
+}
+
+backfillProductUids();
@@ -145,15 +145,6 @@ function buildOrderItemsForTotal(products, orderTotal) {
   return { items, computedTotal };
 }
 
-function generateOrderCode(date, index) {
-  const yyyy = date.getFullYear();
-  const mm = String(date.getMonth() + 1).padStart(2, '0');
-  const dd = String(date.getDate()).padStart(2, '0');
-  const idx = String(index + 1).padStart(3, '0');
-  // IS = In-Store
-  return `IS${yyyy}${mm}${dd}-${idx}`;
-}
-
 function randomTimeWithinDay(date) {
   const d = new Date(date);
   const hour = randomInt(8, 20); // 8am–8pm
@@ -224,7 +215,8 @@ async function generateInstoreOrdersForDay(date, summary, products) {
     }
 
     const createdAt = randomTimeWithinDay(dayStart);
-    const orderCode = generateOrderCode(dayStart, i);
+    // Shares the counter with live orders, so re-running a day never collides
+    const orderCode = await OrderStandalone.nextOrderCode('In-Store', { date: dayStart });
 
     const totalPrice = computedTotal;
     const discount = 0;
@@ -8,6 +8,11 @@ const connectDB = require('./config/mongodb');
 dotenv.config();
 
 const app = express();
+// Behind a reverse proxy req.ip must come from X-Forwarded-For, otherwise
+// every client shares one IP for login throttling
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY === 'true' ? true : process.env.TRUST_PROXY);
+}
 app.use(cors());
 app.use(express.json({ limit: '50mb' })); // Increase JSON payload limit for base64 images
 app.use(express.urlencoded({ limit: '50mb', extended: true })); // Increase URL-encoded payload limit
@@ -44,6 +49,18 @@ const startServer = async () => {
         const OrderItem = require('./models/OrderItem');
         const Product = require('./models/Product');
         const SalesDailySummary = require('./models/SalesDailySummary');
+        const StockReservation = require('./models/StockReservation');
+        const Refund = require('./models/Refund');
+
+        // Every 5 minutes: mark checkout holds past their expiry so history shows why they lapsed
+        schedule.scheduleJob('*/5 * * * *', async () => {
+          try {
+            const expired = await StockReservation.expireStale();
+            if (expired > 0) console.log(`[scheduler] Expired ${expired} stock reservations`);
+          } catch (error) {
+            console.error('[scheduler] Error expiring stock reservations:', error);
+          }
+        });
         
         schedule.scheduleJob('5 0 * * *', async () => {
           try {
@@ -67,15 +84,19 @@ const startServer = async () => {
             const orderItems = await OrderItem.find({ order_id: { $in: orderIds } })
               .populate('product_id');
             
-            if (orders.length === 0) {
+            // Refunds count on the day they were issued, whatever the order date
+            const refundTotals = await Refund.totalsBetween(yesterday, today);
+            
+            if (orders.length === 0 && refundTotals.count === 0) {
               console.log('[scheduler] No orders found for yesterday');
               return;
             }
             
             // Calculate summary data
             let grossSales = 0;
-            let refunds = 0;
+            let refunds = refundTotals.amount;
             let discounts = 0;
+            let deliveryFees = 0;
             let costOfGoods = 0;
             let taxes = 0;
             let onlineSales = 0;
@@ -84,9 +105,10 @@ const startServer = async () => {
             for (const order of orders) {
               grossSales += order.totalPrice;
               discounts += order.discount;
+              deliveryFees += order.delivery_fee || 0;
               
               // Calculate online vs in-store sales
-              const orderNetTotal = (order.net_total || order.totalPrice || 0) - (order.discount || 0);
+              const orderNetTotal = (order.net_total || order.totalPrice || 0) - (order.discount || 0) - (order.delivery_fee || 0);
               if (order.type === 'In-Store') {
                 instoreSales += orderNetTotal;
               } else {
@@ -94,6 +116,9 @@ const startServer = async () => {
               }
             }
             
+            onlineSales -= refundTotals.online;
+            instoreSales -= refundTotals.instore;
+            
             // Calculate cost of goods from order items
             for (const item of orderItems) {
               if (!item.product_id) continue;
@@ -152,6 +177,7 @@ const startServer = async () => {
                 gross_sales: grossSales,
                 refunds: refunds,
                 discounts: discounts,
+                delivery_fees: deliveryFees,
                 net_sales: netSales,
                 online_sales: onlineSales,
                 instore_sales: instoreSales,
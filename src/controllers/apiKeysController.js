@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+
+function formatApiKey(apiKey) {
+  return {
+    id: apiKey._id,
+    name: apiKey.name,
+    key_prefix: apiKey.key_prefix,
+    scopes: apiKey.scopes,
+    is_active: apiKey.is_active && !apiKey.revoked_at,
+    expires_at: apiKey.expires_at || null,
+    revoked_at: apiKey.revoked_at || null,
+    last_used_at: apiKey.last_used_at || null,
+    created_at: apiKey.createdAt
+  };
+}
+
+/**
+ * List API keys (hashes are never returned)
+ */
+async function listApiKeys(_req, res) {
+  try {
+    const keys = await ApiKey.find({}).sort({ createdAt: -1 }).lean();
+    res.json({ api_keys: keys.map(formatApiKey), available_scopes: ApiKey.SCOPES });
+  } catch (error) {
+    console.error('Error in listApiKeys:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * Create an API key; the raw key is only returned in this response
+ */
+async function createApiKey(req, res) {
+  try {
+    const { name, scopes, expires_at } = req.body || {};
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ message: 'Name is required' });
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ message: 'At least one scope is required' });
+    }
+    const unknown = scopes.filter(scope => !ApiKey.SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      return res.status(400).json({ message: 'Unknown scopes: ' + unknown.join(', ') });
+    }
+
+    let expiresAt = null;
+    if (expires_at) {
+      expiresAt = new Date(expires_at);
+      if (isNaN(expiresAt.getTime())) {
+        return res.status(400).json({ message: 'Invalid expires_at date' });
+      }
+    }
+
+    const { apiKey, rawKey } = await ApiKey.generate({
+      name: name.trim(),
+      scopes: [...new Set(scopes)],
+      expiresAt,
+      createdBy: req.user && mongoose.Types.ObjectId.isValid(req.user.id) ? req.user.id : null
+    });
+
+    res.status(201).json({ api_key: formatApiKey(apiKey), key: rawKey });
+  } catch (error) {
+    console.error('Error in createApiKey:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * Revoke an API key immediately
+ */
+async function revokeApiKey(req, res) {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid API key ID format' });
+    }
+
+    const apiKey = await ApiKey.findByIdAndUpdate(
+      id,
+      { is_active: false, revoked_at: new Date() },
+      { new: true }
+    );
+    if (!apiKey) return res.status(404).json({ message: 'API key not found' });
+
+    res.json({ api_key: formatApiKey(apiKey) });
+  } catch (error) {
+    console.error('Error in revokeApiKey:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
+module.exports = { listApiKeys, createApiKey, revokeApiKey };
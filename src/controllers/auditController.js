@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * List audit entries, newest first.
+ * Filters: entity, entity_id, action, user (id or email), from, to (YYYY-MM-DD)
+ */
+async function listAuditLogs(req, res) {
+  try {
+    const page = Math.max(parseInt(req.query.page || '1'), 1);
+    const pageSize = Math.min(Math.max(parseInt(req.query.pageSize || '50'), 1), 500);
+    const { entity, entity_id, action, user, from, to } = req.query;
+
+    const filter = {};
+    if (entity) filter.entity = entity;
+    if (entity_id) filter.entity_id = String(entity_id);
+    if (action) filter.action = action;
+    if (user) {
+      filter.$or = mongoose.Types.ObjectId.isValid(user)
+        ? [{ 'actor.user_id': user }, { 'actor.api_key_id': user }]
+        : [{ 'actor.email': String(user).toLowerCase().trim() }, { 'actor.api_key_name': user }];
+    }
+
+    if (from || to) {
+      filter.created_at = {};
+      if (from) {
+        const fromDate = new Date(from);
+        if (isNaN(fromDate.getTime())) return res.status(400).json({ message: 'Invalid "from" date' });
+        fromDate.setHours(0, 0, 0, 0);
+        filter.created_at.$gte = fromDate;
+      }
+      if (to) {
+        const toDate = new Date(to);
+        if (isNaN(toDate.getTime())) return res.status(400).json({ message: 'Invalid "to" date' });
+        toDate.setHours(0, 0, 0, 0);
+        toDate.setDate(toDate.getDate() + 1);
+        filter.created_at.$lt = toDate;
+      }
+    }
+
+    const total = await AuditLog.countDocuments(filter);
+    const entries = await AuditLog.find(filter)
+      .sort({ created_at: -1 })
+      .skip((page - 1) * pageSize)
+      .limit(pageSize)
+      .lean();
+
+    res.json({
+      entries: entries.map(e => ({ ...e, id: e._id })),
+      page,
+      pageSize,
+      total
+    });
+  } catch (error) {
+    console.error('Error in listAuditLogs:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
+module.exports = { listAuditLogs };
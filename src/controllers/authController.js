@@ -1,11 +1,54 @@
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const LoginAttempt = require('../models/LoginAttempt');
 const { findUserByEmail } = require('../models/userModel');
 
-function signToken(user) {
-  return jwt.sign({ id: user.id, email: user.email, role: user.role }, process.env.JWT_SECRET || 'dev_secret', {
-    expiresIn: '7d',
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+function signToken(user, sessionId) {
+  const claims = { id: user._id || user.id, email: user.email, role: user.role, sid: String(sessionId) };
+  // Temporary passwords only open the change-password route
+  if (user.must_change_password) claims.must_change_password = true;
+  return jwt.sign(claims, process.env.JWT_SECRET || 'dev_secret', {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+}
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found without scanning hashes
+function buildRefreshToken(sessionId, secret) {
+  return `${sessionId}.${secret}`;
+}
+
+function parseRefreshToken(refreshToken) {
+  if (!refreshToken || typeof refreshToken !== 'string') return null;
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!sessionId || !secret || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+  return { sessionId, secret };
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+async function issueTokens(user, req) {
+  const secret = Session.generateSecret();
+  const session = await Session.create({
+    user_id: user._id,
+    refresh_token_hash: Session.hashToken(secret),
+    expires_at: refreshExpiry(),
+    last_used_at: new Date(),
+    user_agent: req.headers['user-agent'] || null,
+    ip: req.ip
   });
+  return {
+    token: signToken(user, session._id),
+    refreshToken: buildRefreshToken(session._id, secret),
+    expiresIn: ACCESS_TOKEN_TTL
+  };
 }
 
 async function login(req, res) {
@@ -13,19 +56,219 @@ async function login(req, res) {
     const { email, password } = req.body;
     if (!email || !password) return res.status(400).json({ message: 'Email and password required' });
 
-    const user = await findUserByEmail(email);
-    if (!user) return res.status(401).json({ message: 'Invalid credentials' });
+    const normalizedEmail = String(email).toLowerCase().trim();
+    const attemptKeys = [
+      { key_type: 'email', key: normalizedEmail },
+      { key_type: 'ip', key: req.ip || 'unknown' }
+    ];
+
+    // Count the attempt before checking the password so parallel guesses share one budget
+    const attempts = await Promise.all(attemptKeys.map(k => LoginAttempt.registerAttempt(k)));
+    const block = attempts.find(attempt => attempt.blocked);
+    if (block) {
+      // Keys that did count this request give it back; it never reached the password check
+      await Promise.all(attemptKeys.filter((_k, i) => !attempts[i].blocked).map(k => LoginAttempt.forgiveAttempt(k)));
+      res.set('Retry-After', String(block.retryAfter));
+      return res.status(429).json({
+        message: block.reason === 'locked'
+          ? 'Too many failed login attempts. Account temporarily locked.'
+          : 'Too many failed login attempts. Please wait before trying again.',
+        retry_after: block.retryAfter
+      });
+    }
+
+    const user = await findUserByEmail(normalizedEmail);
+    const ok = user ? await bcrypt.compare(password, user.password_hash) : false;
+    if (!ok) {
+      const context = { ip: req.ip, email: normalizedEmail, user_agent: req.headers['user-agent'] || null };
+      await Promise.all(attemptKeys.map(k => LoginAttempt.noteFailure(k, context)));
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+
+    // Successful sign-in: clear the email's counters and return the IP's attempt
+    await LoginAttempt.forgiveAttempt(attemptKeys[1]);
+    await LoginAttempt.reset(attemptKeys[0]);
+
+    // Deactivated accounts keep their history but may not sign in
+    if (user.is_active === false) {
+      return res.status(403).json({ message: 'Account is deactivated' });
+    }
+
+    await User.updateOne({ _id: user._id }, { last_login_at: new Date() });
+
+    const tokens = await issueTokens(user, req);
+    res.json({
+      ...tokens,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        must_change_password: !!user.must_change_password
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
+// Self-service sign-up for the mobile app; always creates a customer account
+async function register(req, res) {
+  try {
+    const { name, email, password, phone } = req.body || {};
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ message: 'Name is required' });
+    }
+    if (!email || typeof email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
+      return res.status(400).json({ message: 'A valid email is required' });
+    }
+    if (!password || typeof password !== 'string' || password.length < 8) {
+      return res.status(400).json({ message: 'Password must be at least 8 characters' });
+    }
+
+    const normalizedEmail = email.toLowerCase().trim();
+    const existing = await findUserByEmail(normalizedEmail);
+    if (existing) {
+      return res.status(409).json({ message: 'An account with this email already exists' });
+    }
+
+    const user = await User.create({
+      name: name.trim(),
+      email: normalizedEmail,
+      password_hash: await bcrypt.hash(password, 10),
+      role: 'customer',
+      phone: phone || null,
+      last_login_at: new Date()
+    });
+
+    const tokens = await issueTokens(user, req);
+    res.status(201).json({
+      ...tokens,
+      user: { id: user._id, name: user.name, email: user.email, role: user.role }
+    });
+  } catch (err) {
+    console.error('Error in register:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
+// Exchange a refresh token for a new access token, rotating the refresh token
+async function refresh(req, res) {
+  try {
+    const parsed = parseRefreshToken((req.body || {}).refreshToken);
+    if (!parsed) return res.status(400).json({ message: 'refreshToken required' });
+
+    const session = await Session.findById(parsed.sessionId);
+    if (!session || !session.isActive()) {
+      return res.status(401).json({ message: 'Session expired or revoked' });
+    }
+
+    const presentedHash = Session.hashToken(parsed.secret);
+    if (presentedHash !== session.refresh_token_hash) {
+      // A rotated-out token was replayed: treat the session as compromised
+      if (presentedHash === session.previous_token_hash) {
+        session.revoked_at = new Date();
+        session.revoked_reason = 'refresh_token_reuse';
+        await session.save();
+        console.warn(`Refresh token reuse detected for session ${session._id}; session revoked`);
+      }
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+
+    const user = await User.findById(session.user_id).lean();
+    if (!user || user.is_active === false) {
+      session.revoked_at = new Date();
+      session.revoked_reason = 'user_inactive';
+      await session.save();
+      return res.status(401).json({ message: 'Account is deactivated' });
+    }
 
-    const ok = await bcrypt.compare(password, user.password_hash);
-    if (!ok) return res.status(401).json({ message: 'Invalid credentials' });
+    // Rotate only if nobody else spent this token in the meantime
+    const secret = Session.generateSecret();
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, refresh_token_hash: presentedHash, revoked_at: null },
+      {
+        previous_token_hash: presentedHash,
+        refresh_token_hash: Session.hashToken(secret),
+        expires_at: refreshExpiry(),
+        last_used_at: new Date()
+      },
+      { new: true }
+    );
+    if (!rotated) {
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
 
-    const token = signToken(user);
-    res.json({ token, user: { id: user.id, name: user.name, email: user.email, role: user.role } });
+    res.json({
+      token: signToken(user, session._id),
+      refreshToken: buildRefreshToken(session._id, secret),
+      expiresIn: ACCESS_TOKEN_TTL
+    });
   } catch (err) {
+    console.error('Error in refresh:', err);
     res.status(500).json({ message: 'Server error' });
   }
 }
 
-module.exports = { login };
+// Revoke the session behind the current access token
+async function logout(req, res) {
+  try {
+    await Session.updateOne(
+      { _id: req.user.sid, revoked_at: null },
+      { revoked_at: new Date(), revoked_reason: 'logout' }
+    );
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error in logout:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
 
+// Revoke every session for the current user ("log out all devices")
+async function logoutAll(req, res) {
+  try {
+    const revoked = await Session.revokeAllForUser(req.user.id, 'logout_all');
+    res.json({ success: true, revoked_sessions: revoked });
+  } catch (err) {
+    console.error('Error in logoutAll:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
+// Set a new password; clears must_change_password and signs out every other device
+async function changePassword(req, res) {
+  try {
+    const { current_password, new_password } = req.body || {};
+    if (!current_password || !new_password) {
+      return res.status(400).json({ message: 'current_password and new_password are required' });
+    }
+    if (typeof new_password !== 'string' || new_password.length < 8) {
+      return res.status(400).json({ message: 'Password must be at least 8 characters' });
+    }
+    if (new_password === current_password) {
+      return res.status(400).json({ message: 'New password must be different from the current one' });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user || user.is_active === false) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+    const ok = await bcrypt.compare(String(current_password), user.password_hash);
+    if (!ok) return res.status(401).json({ message: 'Current password is incorrect' });
+
+    user.password_hash = await bcrypt.hash(new_password, 10);
+    user.must_change_password = false;
+    await user.save();
+
+    // Every existing session (this one included) was opened with the old password
+    await Session.revokeAllForUser(user._id, 'password_changed');
+    const tokens = await issueTokens(user, req);
+
+    res.json({ ...tokens, user: User.toPublic(user) });
+  } catch (err) {
+    console.error('Error in changePassword:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
 
+module.exports = { login, register, refresh, logout, logoutAll, changePassword };
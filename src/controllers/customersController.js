@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Order = require('../models/Order_Standalone');
+
+const CLAIM_CODE_TTL_MINUTES = 10;
+const CLAIM_CODE_MAX_ATTEMPTS = 5;
+
+function hashClaimCode(code) {
+  return crypto.createHash('sha256').update(String(code)).digest('hex');
+}
+
+// Push the one-time claim code to the device that placed the orders
+async function sendClaimCode(fcmToken, code) {
+  const { initFirebaseAdmin, admin } = require('../config/fcm');
+  initFirebaseAdmin();
+  if (!admin.apps || admin.apps.length === 0) return false;
+  await admin.messaging().send({
+    token: fcmToken,
+    notification: {
+      title: 'Link your orders',
+      body: `Your code to link this device's orders to your account is ${code}. It expires in ${CLAIM_CODE_TTL_MINUTES} minutes.`
+    },
+    data: { type: 'device_claim', code }
+  });
+  return true;
+}
+
+/**
+ * Get the signed-in customer's profile
+ */
+async function getMe(req, res) {
+  try {
+    const user = await User.findById(req.user.id).lean();
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    res.json({
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        phone: user.phone || null,
+        role: user.role,
+        claimed_device_ids: user.claimed_device_ids || []
+      }
+    });
+  } catch (error) {
+    console.error('Error in getMe:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * List orders owned by the signed-in customer
+ */
+async function listMyOrders(req, res) {
+  try {
+    const page = Math.max(parseInt(req.query.page || '1'), 1);
+    const pageSize = Math.min(Math.max(parseInt(req.query.pageSize || '20'), 1), 100);
+    const filter = { customer_id: req.user.id };
+
+    const total = await Order.countDocuments(filter);
+    const orders = await Order.find(filter)
+      .select('order_code name contact address status type payment ref totalPrice discount net_total cash_received createdAt payment_proof_image_url')
+      .sort({ _id: -1 })
+      .skip((page - 1) * pageSize)
+      .limit(pageSize)
+      .lean();
+
+    res.json({ orders: orders.map(o => ({ ...o, id: o._id })), page, pageSize, total });
+  } catch (error) {
+    console.error('Error in listMyOrders:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * Start claiming legacy device-based orders: push a one-time code to the
+ * notification token the device registered with its orders. Only someone
+ * holding the device can read it, unlike the guessable order codes.
+ */
+async function requestDeviceClaim(req, res) {
+  try {
+    const { device_id } = req.body || {};
+    if (!device_id || typeof device_id !== 'string') {
+      return res.status(400).json({ message: 'device_id is required' });
+    }
+
+    const order = await Order.findOne({ device_id, customer_id: null, fcm_token: { $nin: [null, ''] } })
+      .sort({ _id: -1 })
+      .select('fcm_token')
+      .lean();
+    if (!order) {
+      return res.status(404).json({ message: 'No unclaimed orders from this device can be verified' });
+    }
+
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    await User.updateOne({ _id: req.user.id }, {
+      device_claim: {
+        device_id,
+        code_hash: hashClaimCode(code),
+        expires_at: new Date(Date.now() + CLAIM_CODE_TTL_MINUTES * 60 * 1000),
+        attempts: 0
+      }
+    });
+
+    const sent = await sendClaimCode(order.fcm_token, code);
+    if (!sent) {
+      return res.status(503).json({ message: 'Device notifications are unavailable; try again later' });
+    }
+
+    res.json({ success: true, expires_in_minutes: CLAIM_CODE_TTL_MINUTES });
+  } catch (error) {
+    console.error('Error in requestDeviceClaim:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * Claim legacy device-based orders for the signed-in customer.
+ * The customer proves they hold the device by quoting the one-time code pushed
+ * to it by requestDeviceClaim; every unclaimed order from that device is then
+ * linked to them.
+ */
+async function claimDeviceOrders(req, res) {
+  try {
+    const { device_id, code } = req.body || {};
+    if (!device_id || typeof device_id !== 'string') {
+      return res.status(400).json({ message: 'device_id is required' });
+    }
+    if (!code || typeof code !== 'string') {
+      return res.status(400).json({ message: 'code is required' });
+    }
+
+    // Count the attempt atomically so the six-digit code cannot be brute-forced in parallel
+    const user = await User.findOneAndUpdate(
+      {
+        _id: req.user.id,
+        'device_claim.device_id': device_id,
+        'device_claim.expires_at': { $gt: new Date() },
+        'device_claim.attempts': { $lt: CLAIM_CODE_MAX_ATTEMPTS }
+      },
+      { $inc: { 'device_claim.attempts': 1 } },
+      { new: true }
+    ).select('device_claim').lean();
+    if (!user) {
+      return res.status(403).json({ message: 'No valid claim code for this device; request a new one' });
+    }
+    if (user.device_claim.code_hash !== hashClaimCode(code.trim())) {
+      return res.status(403).json({ message: 'Claim code does not match' });
+    }
+
+    const claimedElsewhere = await Order.exists({ device_id, customer_id: { $nin: [null, req.user.id] } });
+    if (claimedElsewhere) {
+      return res.status(409).json({ message: 'Orders from this device were already claimed by another account' });
+    }
+
+    const result = await Order.updateMany(
+      { device_id, customer_id: null },
+      { customer_id: req.user.id, claimed_at: new Date() }
+    );
+
+    await User.updateOne(
+      { _id: req.user.id },
+      { $addToSet: { claimed_device_ids: device_id }, $unset: { device_claim: 1 } }
+    );
+
+    res.json({ success: true, claimed_orders: result.modifiedCount || 0 });
+  } catch (error) {
+    console.error('Error in claimDeviceOrders:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
+module.exports = { getMe, listMyOrders, requestDeviceClaim, claimDeviceOrders };
@@ -2,6 +2,7 @@ const Order = require('../models/Order_Standalone');
 const OrderItem = require('../models/OrderItem');
 const Product = require('../models/Product');
 const SalesDailySummary = require('../models/SalesDailySummary');
+const Refund = require('../models/Refund');
 
 async function getMetrics(_req, res) {
   try {
@@ -20,11 +21,15 @@ async function getMetrics(_req, res) {
       {
         $group: {
           _id: null,
-          total_sales: { $sum: '$net_total' }
+          // Delivery fees are passed through to the rider, not sales
+          total_sales: { $sum: { $subtract: ['$net_total', { $ifNull: ['$delivery_fee', 0] }] } }
         }
       }
     ]);
-    const total_sales = totalSalesResult[0]?.total_sales || 0;
+    const gross_sales = totalSalesResult[0]?.total_sales || 0;
+    // Refunds issued today come off today's sales
+    const refundTotals = await Refund.totalsBetween(today, tomorrow);
+    const total_sales = gross_sales - refundTotals.amount;
 
     const total_orders = await Order.countDocuments({
       createdAt: { $gte: today, $lt: tomorrow }
@@ -51,6 +56,8 @@ async function getMetrics(_req, res) {
 
     res.json({ 
       totalSales: Number(total_sales), 
+      refunds: Number(refundTotals.amount),
+      refundCount: Number(refundTotals.count),
       totalOrders: Number(total_orders), 
       customers: Number(customers), 
       lowStock: Number(low_stock) 
@@ -210,6 +217,7 @@ async function aggregateSalesData(_req, res) {
           orders: { $push: '$$ROOT' },
           total_gross_sales: { $sum: '$totalPrice' },
           total_discounts: { $sum: '$discount' },
+          total_delivery_fees: { $sum: { $ifNull: ['$delivery_fee', 0] } },
           total_net_sales: { $sum: '$net_total' },
           order_count: { $sum: 1 }
         }
@@ -220,10 +228,22 @@ async function aggregateSalesData(_req, res) {
     ]);
     
     console.log('Found orders for', ordersByDate.length, 'days');
-    
+
+    // Refunds are booked on the day they were issued, which may have no orders of its own
+    const refundDays = await Refund.aggregate([
+      { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } } } }
+    ]);
+    const orderDays = new Set(ordersByDate.map(day => day._id));
+    const days = [
+      ...ordersByDate,
+      ...refundDays
+        .filter(day => !orderDays.has(day._id))
+        .map(day => ({ _id: day._id, orders: [], total_gross_sales: 0, total_discounts: 0, total_delivery_fees: 0, total_net_sales: 0, order_count: 0 }))
+    ].sort((a, b) => a._id.localeCompare(b._id));
+
     const results = [];
     
-    for (const dayData of ordersByDate) {
+    for (const dayData of days) {
       const summaryDate = new Date(dayData._id);
       summaryDate.setHours(0, 0, 0, 0);
       
@@ -279,15 +299,20 @@ async function aggregateSalesData(_req, res) {
       
       const grossSales = dayData.total_gross_sales || 0;
       const discounts = dayData.total_discounts || 0;
-      const refunds = 0; // Assuming no refunds for now
+      const deliveryFees = dayData.total_delivery_fees || 0;
+      // Refunds count on the day they were issued, whatever the order date
+      const dayEnd = new Date(summaryDate);
+      dayEnd.setDate(dayEnd.getDate() + 1);
+      const refundTotals = await Refund.totalsBetween(summaryDate, dayEnd);
+      const refunds = refundTotals.amount;
       const netSales = grossSales - discounts - refunds;
       
       // Calculate online vs in-store sales
-      let onlineSales = 0;
-      let instoreSales = 0;
+      let onlineSales = -refundTotals.online;
+      let instoreSales = -refundTotals.instore;
       
       for (const order of dayData.orders) {
-        const orderNetTotal = (order.net_total || order.totalPrice || 0) - (order.discount || 0);
+        const orderNetTotal = (order.net_total || order.totalPrice || 0) - (order.discount || 0) - (order.delivery_fee || 0);
         if (order.type === 'In-Store') {
           instoreSales += orderNetTotal;
         } else {
@@ -304,6 +329,7 @@ async function aggregateSalesData(_req, res) {
         gross_sales: grossSales,
         refunds: refunds,
         discounts: discounts,
+        delivery_fees: deliveryFees,
         net_sales: netSales,
         online_sales: onlineSales,
         instore_sales: instoreSales,
@@ -382,7 +408,10 @@ async function manualAggregateToday(_req, res) {
     const totalOrdersInDB = await Order.countDocuments();
     console.log('Total orders in database:', totalOrdersInDB);
     
-    if (orders.length === 0) {
+    // Refunds count on the day they were issued, whatever the order date
+    const refundTotals = await Refund.totalsBetween(today, tomorrow);
+    
+    if (orders.length === 0 && refundTotals.count === 0) {
       return res.json({
         message: 'No orders found for today',
         processedOrders: 0,
@@ -399,19 +428,21 @@ async function manualAggregateToday(_req, res) {
     
     // Calculate summary data
     let grossSales = 0;
-    let refunds = 0;
+    let refunds = refundTotals.amount;
     let discounts = 0;
+    let deliveryFees = 0;
     let costOfGoods = 0;
     let taxes = 0;
-    let onlineSales = 0;
-    let instoreSales = 0;
+    let onlineSales = -refundTotals.online;
+    let instoreSales = -refundTotals.instore;
     
     for (const order of orders) {
       grossSales += order.totalPrice;
       discounts += order.discount;
+      deliveryFees += order.delivery_fee || 0;
       
       // Calculate online vs in-store sales
-      const orderNetTotal = (order.net_total || order.totalPrice || 0) - (order.discount || 0);
+      const orderNetTotal = (order.net_total || order.totalPrice || 0) - (order.discount || 0) - (order.delivery_fee || 0);
       if (order.type === 'In-Store') {
         instoreSales += orderNetTotal;
       } else {
@@ -477,6 +508,7 @@ async function manualAggregateToday(_req, res) {
         gross_sales: grossSales,
         refunds: refunds,
         discounts: discounts,
+        delivery_fees: deliveryFees,
         net_sales: netSales,
         online_sales: onlineSales,
         instore_sales: instoreSales,
@@ -493,6 +525,7 @@ async function manualAggregateToday(_req, res) {
       processedOrders: orders.length,
       date: today.toDateString(),
       grossSales: grossSales,
+      refunds: refunds,
       netSales: netSales,
       grossProfit: grossProfit,
       totalOrdersInDB: totalOrdersInDB,
@@ -593,6 +626,7 @@ async function getSalesByDate(req, res) {
       gross_sales: Number(summary.gross_sales || 0),
       refunds: Number(summary.refunds || 0),
       discounts: Number(summary.discounts || 0),
+      delivery_fees: Number(summary.delivery_fees || 0),
       net_sales: Number(summary.net_sales || 0),
       cost_of_goods: Number(summary.cost_of_goods || 0),
       gross_profit: Number(summary.gross_profit || 0),
@@ -605,6 +639,7 @@ async function getSalesByDate(req, res) {
       gross_sales: Number(todaySummary.gross_sales || 0),
       refunds: Number(todaySummary.refunds || 0),
       discounts: Number(todaySummary.discounts || 0),
+      delivery_fees: Number(todaySummary.delivery_fees || 0),
       net_sales: Number(todaySummary.net_sales || 0),
       cost_of_goods: Number(todaySummary.cost_of_goods || 0),
       gross_profit: Number(todaySummary.gross_profit || 0),
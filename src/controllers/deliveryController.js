@@ -0,0 +1,184 @@
+const mongoose = require('mongoose');
+const DeliveryZone = require('../models/DeliveryZone');
+
+function formatZone(zone) {
+  return {
+    id: zone._id,
+    name: zone.name,
+    is_active: zone.is_active,
+    priority: zone.priority,
+    address_keywords: zone.address_keywords || [],
+    max_distance_km: zone.max_distance_km ?? null,
+    fee_type: zone.fee_type,
+    flat_fee: zone.flat_fee || 0,
+    distance_bands: zone.distance_bands || [],
+    free_above: zone.free_above ?? null,
+    created_at: zone.createdAt
+  };
+}
+
+// Validate zone fields from a request body; returns { data } or { error }
+function zoneFieldsFromBody(body, { partial = false } = {}) {
+  const data = {};
+  const { name, is_active, priority, address_keywords, max_distance_km, fee_type, flat_fee, distance_bands, free_above } = body || {};
+
+  if (name !== undefined || !partial) {
+    if (!name || typeof name !== 'string' || !name.trim()) return { error: 'Name is required' };
+    data.name = name.trim();
+  }
+  if (is_active !== undefined) data.is_active = !!is_active;
+  if (priority !== undefined) data.priority = Number(priority) || 0;
+  if (address_keywords !== undefined) {
+    if (!Array.isArray(address_keywords)) return { error: 'address_keywords must be an array' };
+    data.address_keywords = address_keywords.map(k => String(k).trim()).filter(Boolean);
+  }
+  if (max_distance_km !== undefined) {
+    data.max_distance_km = max_distance_km === null ? null : Number(max_distance_km);
+    if (data.max_distance_km !== null && !(data.max_distance_km > 0)) return { error: 'max_distance_km must be greater than zero' };
+  }
+  if (fee_type !== undefined) {
+    if (!['flat', 'distance'].includes(fee_type)) return { error: 'fee_type must be flat or distance' };
+    data.fee_type = fee_type;
+  }
+  if (flat_fee !== undefined) {
+    data.flat_fee = Number(flat_fee);
+    if (!(data.flat_fee >= 0)) return { error: 'flat_fee must be zero or more' };
+  }
+  if (distance_bands !== undefined) {
+    if (!Array.isArray(distance_bands)) return { error: 'distance_bands must be an array' };
+    data.distance_bands = distance_bands.map(band => ({ up_to_km: Number(band.up_to_km), fee: Number(band.fee) }));
+    if (data.distance_bands.some(band => !(band.up_to_km > 0) || !(band.fee >= 0))) {
+      return { error: 'Each distance band needs up_to_km > 0 and fee >= 0' };
+    }
+  }
+  if (free_above !== undefined) {
+    data.free_above = free_above === null ? null : Number(free_above);
+    if (data.free_above !== null && !(data.free_above >= 0)) return { error: 'free_above must be zero or more' };
+  }
+
+  if (!partial && (!data.address_keywords || data.address_keywords.length === 0) && !data.max_distance_km) {
+    return { error: 'A zone needs address_keywords or max_distance_km' };
+  }
+  if (data.fee_type === 'distance' && data.distance_bands !== undefined && data.distance_bands.length === 0) {
+    return { error: 'Distance-based zones need at least one distance band' };
+  }
+  return { data };
+}
+
+/**
+ * List delivery zones
+ */
+async function listZones(_req, res) {
+  try {
+    const zones = await DeliveryZone.find({}).sort({ priority: -1, name: 1 }).lean();
+    res.json({ zones: zones.map(formatZone) });
+  } catch (error) {
+    console.error('Error in listZones:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * Create a delivery zone
+ */
+async function createZone(req, res) {
+  try {
+    const { data, error } = zoneFieldsFromBody(req.body);
+    if (error) return res.status(400).json({ message: error });
+    if (data.fee_type === 'distance' && (!data.distance_bands || data.distance_bands.length === 0)) {
+      return res.status(400).json({ message: 'Distance-based zones need at least one distance band' });
+    }
+
+    const zone = await DeliveryZone.create(data);
+    res.status(201).json({ zone: formatZone(zone) });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A zone with this name already exists' });
+    }
+    console.error('Error in createZone:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * Update a delivery zone
+ */
+async function updateZone(req, res) {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid zone ID format' });
+    }
+
+    const { data, error } = zoneFieldsFromBody(req.body, { partial: true });
+    if (error) return res.status(400).json({ message: error });
+
+    const zone = await DeliveryZone.findByIdAndUpdate(id, data, { new: true, runValidators: true });
+    if (!zone) return res.status(404).json({ message: 'Zone not found' });
+
+    res.json({ zone: formatZone(zone) });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A zone with this name already exists' });
+    }
+    console.error('Error in updateZone:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * Delete a delivery zone
+ */
+async function deleteZone(req, res) {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid zone ID format' });
+    }
+
+    const zone = await DeliveryZone.findByIdAndDelete(id);
+    if (!zone) return res.status(404).json({ message: 'Zone not found' });
+
+    res.json({ message: 'Zone deleted successfully' });
+  } catch (error) {
+    console.error('Error in deleteZone:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * Quote the delivery fee before checkout.
+ * Body: { address?, latitude?, longitude?, subtotal }
+ */
+async function quoteDelivery(req, res) {
+  try {
+    const { address, latitude, longitude, subtotal } = req.body || {};
+    if (!address && (latitude === undefined || longitude === undefined)) {
+      return res.status(400).json({ message: 'address or latitude/longitude is required' });
+    }
+
+    const basketTotal = Math.max(Number(subtotal) || 0, 0);
+    const quote = await DeliveryZone.quote({ address, latitude, longitude, basketTotal });
+    if (!quote.deliverable) {
+      return res.status(422).json({ message: quote.reason, deliverable: false, distance_km: quote.distance_km });
+    }
+
+    const zone = quote.zone;
+    res.json({
+      deliverable: true,
+      delivery_fee: quote.fee,
+      distance_km: quote.distance_km,
+      zone: zone ? { id: zone._id, name: zone.name } : null,
+      free_above: zone ? zone.free_above ?? null : null,
+      // How much more the basket needs for free delivery, when that applies
+      amount_to_free_delivery: zone && zone.free_above !== null && zone.free_above !== undefined && quote.fee > 0
+        ? Math.max(Math.round((zone.free_above - basketTotal) * 100) / 100, 0)
+        : null
+    });
+  } catch (error) {
+    console.error('Error in quoteDelivery:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
+module.exports = { listZones, createZone, updateZone, deleteZone, quoteDelivery };
@@ -4,10 +4,13 @@ const Product = require('../models/Product');
 const SalesDailySummary = require('../models/SalesDailySummary');
 const Order = require('../models/Order_Standalone');
 const OrderItem = require('../models/OrderItem');
+const StockMovement = require('../models/StockMovement');
+const { actorFromRequest } = require('../middleware/audit');
 
 async function importProducts(req, res) {
   if (!req.file) return res.status(400).json({ message: 'CSV file required' });
   const filePath = req.file.path;
+  const actor = actorFromRequest(req);
   let imported = 0;
   
   try {
@@ -70,11 +73,18 @@ async function importProducts(req, res) {
               tax_rate: taxRate
             };
             
-            await Product.findOneAndUpdate(
+            const before = await Product.findOne({ $or: [{ handle }, { sku }] }).select('stock variants._id variants.stock').lean();
+            const product = await Product.findOneAndUpdate(
               { $or: [{ handle }, { sku }] },
               productData,
-              { upsert: true, new: true }
+              { upsert: true, new: true, setDefaultsOnInsert: true }
             );
+            await StockMovement.recordSnapshotChanges(product._id, before, product, {
+              type: 'import',
+              reference: { kind: 'Import', code: req.file.originalname },
+              user: { user_id: actor.user_id, email: actor.email },
+              note: 'Product CSV import'
+            });
             imported += 1;
           } catch (_e) {
             console.error('Error importing product:', _e);
@@ -327,7 +337,7 @@ async function importItemSalesAsOrder(req, res) {
     const createdOrders = [];
     let totalItemsInserted = 0;
 
-    for (const [index, orderGroup] of ordersToCreate.entries()) {
+    for (const orderGroup of ordersToCreate) {
       const { date, labelSuffix, items } = orderGroup;
 
       let totalGross = 0;
@@ -350,7 +360,7 @@ async function importItemSalesAsOrder(req, res) {
       const orderName = `Imported In-Store Sales${note ? ` - ${note}` : ''} ${labelSuffix}`;
 
       const order = await Order.create({
-        order_code: `IMPORT-${Date.now()}-${index}`,
+        order_code: await Order.nextOrderCode('In-Store', { date }),
         name: orderName,
         contact: '',
         address: '',
@@ -1,10 +1,16 @@
 const Order = require('../models/Order_Standalone');
 const OrderItem = require('../models/OrderItem');
 const Product = require('../models/Product');
+const StockReservation = require('../models/StockReservation');
+const Refund = require('../models/Refund');
+const Payment = require('../models/Payment');
+const DeliveryZone = require('../models/DeliveryZone');
 const mongoose = require('mongoose');
 const cloudinary = require('../config/cloudinary');
 const { Readable } = require('stream');
+const crypto = require('crypto');
 const multer = require('multer');
+const { actorFromRequest } = require('../middleware/audit');
 
 // Configure multer for memory storage (for Cloudinary)
 const storage = multer.memoryStorage();
@@ -31,16 +37,280 @@ function isValidObjectId(id) {
   return mongoose.Types.ObjectId.isValid(id);
 }
 
+const PRICE_TOLERANCE = 0.01;
+// 'reject' refuses mismatched orders; 'flag' saves them at server prices for review
+const PRICE_MISMATCH_MODE = process.env.ORDER_PRICE_MISMATCH_MODE === 'flag' ? 'flag' : 'reject';
+// 'reject' refuses a GCash reference/proof already used on another order; 'flag' accepts it for review
+const GCASH_DUPLICATE_MODE = process.env.GCASH_DUPLICATE_MODE === 'flag' ? 'flag' : 'reject';
+
+function roundMoney(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+// Staff may discount at the till; app orders get no client-side discount unless configured
+function maxDiscountPercent(req) {
+  const isStaff = req.user && req.user.role !== 'customer';
+  const configured = isStaff ? process.env.MAX_STAFF_DISCOUNT_PERCENT : process.env.MAX_ONLINE_DISCOUNT_PERCENT;
+  if (configured !== undefined && configured !== '') return Number(configured) || 0;
+  return isStaff ? 100 : 0;
+}
+
+// Replace client unit prices with current Product/variant prices.
+// Returns the per-line differences between what the client sent and the server price.
+async function repriceOrderLines(lines) {
+  const productIds = [...new Set(lines.map(line => String(line.product_id)))];
+  const products = await Product.find({ _id: { $in: productIds } }).select('name price variants').lean();
+  const productsById = new Map(products.map(p => [String(p._id), p]));
+
+  const discrepancies = [];
+  for (const line of lines) {
+    const product = productsById.get(String(line.product_id));
+    if (!product) continue;
+    const variant = line.variant_id && Array.isArray(product.variants)
+      ? product.variants.find(v => String(v._id) === String(line.variant_id))
+      : null;
+    const serverPrice = roundMoney(variant ? variant.price : product.price);
+
+    if (Number.isFinite(line.unit_price) && line.unit_price > 0 && Math.abs(line.unit_price - serverPrice) > PRICE_TOLERANCE) {
+      discrepancies.push({
+        field: 'unit_price',
+        product_id: product._id,
+        variant_id: variant ? variant._id : null,
+        name: line.product_name,
+        client_value: line.unit_price,
+        server_value: serverPrice
+      });
+    }
+
+    line.unit_price = serverPrice;
+    line.total_price = roundMoney(serverPrice * line.quantity);
+  }
+  return discrepancies;
+}
+
+// Compare requested quantities with available-to-sell (stock minus active holds).
+// Lines for the same product/variant are summed; untracked stock is never short.
+async function findStockShortages(lines, { session = null } = {}) {
+  const requested = new Map();
+  for (const line of lines) {
+    const key = StockReservation.key(line.product_id, line.variant_id);
+    requested.set(key, (requested.get(key) || 0) + Number(line.quantity || 0));
+  }
+
+  const productIds = [...new Set(lines.map(line => String(line.product_id)))];
+  const products = await Product.find({ _id: { $in: productIds } })
+    .select('name stock track_stock variants')
+    .session(session)
+    .lean();
+  await StockReservation.annotateAvailability(products, { session });
+  const productsById = new Map(products.map(p => [String(p._id), p]));
+
+  const shortages = [];
+  for (const line of lines) {
+    const key = StockReservation.key(line.product_id, line.variant_id);
+    if (!requested.has(key)) continue;
+    const quantity = requested.get(key);
+    requested.delete(key);
+
+    const product = productsById.get(String(line.product_id));
+    if (!product) continue;
+    const variant = line.variant_id && Array.isArray(product.variants)
+      ? product.variants.find(v => String(v._id) === String(line.variant_id))
+      : null;
+    const target = variant || product;
+    if (target.track_stock === false) continue;
+
+    if (target.available_to_sell < quantity) {
+      shortages.push({
+        product_id: product._id,
+        variant_id: variant ? variant._id : null,
+        name: line.product_name || product.name,
+        requested: quantity,
+        available: target.available_to_sell
+      });
+    }
+  }
+  return shortages;
+}
+
+// Statuses that undo the stock taken when an order was fulfilled
+const RESTOCK_ON_EXIT_STATUSES = ['Cancelled', 'Declined'];
+
+// Error carrying the HTTP status (and optional extra body fields) to return when thrown out of a transaction
+function httpError(status, message, extra = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.body = { message, ...extra };
+  return error;
+}
+
+// Refuse lines that are already spoken for, inside the caller's transaction. The
+// products are written to first, so two checkouts after the same last unit
+// conflict and the one that retries sees the other's hold or deduction.
+async function claimOrderStock(lines, session) {
+  await Product.lockForStockCheck(lines.map(line => line.product_id), { session });
+  const shortages = await findStockShortages(lines, { session });
+  if (shortages.length > 0) {
+    throw httpError(409, 'Insufficient stock for some items', { shortages });
+  }
+}
+
+function transitionErrorBody(from, to) {
+  return {
+    message: `Cannot change order status from ${from} to ${to}`,
+    current_status: from,
+    allowed_statuses: Order.STATUS_TRANSITIONS[from] || []
+  };
+}
+
+// Who made a change, in the shape stored on history, revision, refund and payment records
+function changedBy(req) {
+  const actor = actorFromRequest(req);
+  return {
+    user_id: actor.user_id,
+    email: actor.email,
+    role: actor.role,
+    api_key_name: actor.api_key_name
+  };
+}
+
+// Stock ledger context for a change caused by an order
+function orderStockMovement(req, order, type, note) {
+  return {
+    type,
+    reference: { kind: 'Order', id: order._id, code: order.order_code },
+    user: changedBy(req),
+    note
+  };
+}
+
+function statusHistoryEntry(req, from, to, note) {
+  return {
+    from,
+    to,
+    changed_at: new Date(),
+    changed_by: changedBy(req),
+    note
+  };
+}
+
+// Who may act on an order: staff always, customers only on their own orders,
+// anonymous (public) callers only on unclaimed orders from their device, which
+// they must name. Returns an error message, or null when access is allowed.
+function orderAccessError(order, req, deviceId) {
+  const user = req.user;
+  if (user && user.role !== 'customer') return null;
+  if (user && user.role === 'customer') {
+    return order.customer_id && String(order.customer_id) === String(user.id)
+      ? null
+      : 'Access denied. This order belongs to a different customer.';
+  }
+  if (order.customer_id) {
+    return 'Access denied. Sign in to the customer account that owns this order.';
+  }
+  if (!deviceId || typeof deviceId !== 'string') {
+    return 'Access denied. device_id is required.';
+  }
+  if (!order.device_id || order.device_id !== deviceId) {
+    return 'Access denied. This order belongs to a different device.';
+  }
+  return null;
+}
+
+// Take an order's stock off when it is fulfilled and turn its checkout holds
+// into real deductions. Runs inside the caller's transaction.
+async function deductOrderStock(orderId, session, movement) {
+  let stockUpdates = 0;
+
+  // Fetch order items from separate collection
+  const orderItems = await OrderItem.find({ order_id: orderId }).session(session);
+
+  for (const item of orderItems) {
+    const qty = Number(item.quantity) || 0;
+    if (qty <= 0) continue;
+
+    // Decrement the ordered variant (and re-total the product), like scanProduct
+    const change = await Product.adjustStock(item.product_id, item.variant_id, -qty, { session, movement });
+    if (change.applied) stockUpdates += 1;
+  }
+
+  // The holds placed at checkout are now real deductions
+  const reservationsConverted = await StockReservation.convertForOrder(orderId, { session });
+
+  return { items_processed: orderItems.length, stock_updates: stockUpdates, reservations_converted: reservationsConverted };
+}
+
+// Push the new status to the customer's device, if it registered for notifications
+async function sendStatusNotification(order, status) {
+  if (!order.fcm_token) return;
+  try {
+    const { initFirebaseAdmin, admin } = require('../config/fcm');
+    initFirebaseAdmin();
+    if (admin.apps && admin.apps.length > 0) {
+      let title, body;
+      switch (status) {
+        case 'Processing':
+          title = 'Order Being Processed';
+          body = `Your order #${order.order_code} is now being prepared.`;
+          break;
+        case 'Completed':
+          title = 'Order Completed';
+          body = `Your order #${order.order_code} has been completed.`;
+          break;
+        case 'Delivered':
+          title = 'Order Delivered!';
+          body = `Your order #${order.order_code} has been delivered successfully.`;
+          break;
+        case 'Cancelled':
+          title = 'Order Cancelled';
+          body = `Your order #${order.order_code} has been cancelled.`;
+          break;
+        case 'Declined':
+          title = 'Order Declined';
+          body = `Your order #${order.order_code} was declined. Please contact support.`;
+          break;
+        default:
+          title = 'Order Update';
+          body = `Your order #${order.order_code} status has been updated to ${status}.`;
+      }
+      await admin.messaging().send({
+        token: order.fcm_token,
+        notification: { title, body },
+        data: {
+          orderId: String(order._id),
+          orderCode: order.order_code,
+          status,
+        },
+      });
+    }
+  } catch (e) {
+    console.warn('FCM send error:', e.message);
+  }
+}
+
 async function listOrders(req, res) {
   try {
     const page = Math.max(parseInt(req.query.page || '1'), 1);
     const pageSize = Math.min(Math.max(parseInt(req.query.pageSize || '20'), 1), 10000);
     const deviceId = req.query.device_id;
     
-    // Build query filter
+    // Build query filter; public (API-key) callers only list their own device's orders
+    if (!req.user && (!deviceId || typeof deviceId !== 'string')) {
+      return res.status(400).json({ message: 'device_id is required' });
+    }
     let filter = {};
     if (deviceId) {
       filter.device_id = deviceId;
+      // Orders claimed by a customer account are no longer readable by device id
+      filter.customer_id = null;
+    }
+    // Orders saved despite a client/server price mismatch
+    if (req.query.pricing_flagged === 'true') {
+      filter.pricing_flagged = true;
+    }
+    // Orders whose GCash reference or proof was already used elsewhere
+    if (req.query.payment_flagged === 'true') {
+      filter.payment_flagged = true;
     }
     
     // Get total count
@@ -48,7 +318,7 @@ async function listOrders(req, res) {
     
     // Get paginated orders
     const orders = await Order.find(filter)
-      .select('order_code name contact address status type payment ref totalPrice discount net_total cash_received device_id createdAt payment_proof_image_url payment_proof_public_id')
+      .select('order_code name contact address status type payment ref totalPrice discount net_total cash_received device_id createdAt payment_proof_image_url payment_proof_public_id pricing_flagged payment_status amount_paid payment_flagged delivery_fee')
       .sort({ _id: -1 })
       .skip((page - 1) * pageSize)
       .limit(pageSize)
@@ -80,7 +350,7 @@ async function updateOrderPayment(req, res) {
 
     // Validate enum values
     const validPayments = ['Cash', 'GCash'];
-    const validStatuses = ['Pending', 'Processing', 'Completed', 'Cancelled', 'Declined', 'Delivered'];
+    const validStatuses = Order.STATUSES;
 
     if (payment && !validPayments.includes(payment)) {
       return res.status(400).json({ message: 'Invalid payment method. Must be Cash or GCash' });
@@ -90,15 +360,29 @@ async function updateOrderPayment(req, res) {
       return res.status(400).json({ message: 'Invalid status. Must be one of: ' + validStatuses.join(', ') });
     }
 
-    // Check if device_id matches (if provided)
-    if (device_id) {
-      const existingOrder = await Order.findById(id).select('device_id');
-      if (!existingOrder) {
-        return res.status(404).json({ message: 'Order not found' });
-      }
-      if (existingOrder.device_id !== device_id) {
-        return res.status(403).json({ message: 'Access denied. This order belongs to a different device.' });
-      }
+    // Check the caller owns the order (customer account or device)
+    const existingOrder = await Order.findById(id).select('device_id customer_id status');
+    if (!existingOrder) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+    const accessError = orderAccessError(existingOrder, req, device_id);
+    if (accessError) {
+      return res.status(403).json({ message: accessError });
+    }
+
+    // Customers and public callers may attach payment details but only staff
+    // move an order through the workflow
+    const isStaff = req.user && req.user.role !== 'customer';
+    if (!isStaff && typeof status !== 'undefined') {
+      return res.status(403).json({ message: 'Only staff can change order status' });
+    }
+
+    // Refuse (or flag) a GCash reference already used on another order
+    let referenceFlags = [];
+    if (ref) {
+      const screening = await screenGcashPayment(existingOrder._id, { reference: ref });
+      if (screening.rejection) return res.status(409).json(screening.rejection);
+      referenceFlags = screening.flags;
     }
 
     // Build update object
@@ -114,25 +398,48 @@ async function updateOrderPayment(req, res) {
       return res.status(400).json({ message: 'No update fields' });
     }
 
+    // Enforce the status state machine and record who moved the order
+    const previousStatus = existingOrder.status;
+    const statusChanging = typeof status !== 'undefined' && status !== previousStatus;
+    if (statusChanging) {
+      if (!Order.canTransition(previousStatus, status)) {
+        return res.status(409).json(transitionErrorBody(previousStatus, status));
+      }
+      updateFields.$push = { status_history: statusHistoryEntry(req, previousStatus, status) };
+    } else {
+      delete updateFields.status;
+    }
+
     let updated;
-    
-    // If moving to Processing, adjust inventory
-    if (status === 'Processing') {
+    let stockSummary = null;
+
+    // Entering Processing, Completed or Delivered from Pending takes stock off;
+    // cancelling or declining a fulfilled order puts it back
+    const deductsStock = Order.STOCK_DEDUCTED_STATUSES.includes(status) && !Order.STOCK_DEDUCTED_STATUSES.includes(previousStatus);
+    const restoresStock = RESTOCK_ON_EXIT_STATUSES.includes(status) && Order.STOCK_DEDUCTED_STATUSES.includes(previousStatus);
+
+    // If the move takes stock off or puts it back, adjust inventory
+    if (statusChanging && (deductsStock || restoresStock)) {
       const session = await Order.startSession();
       try {
         await session.withTransaction(async () => {
           // Lock the order to prevent race conditions
           const lockedOrder = await Order.findById(id).session(session);
           if (!lockedOrder) {
-            throw new Error('Order not found');
+            throw httpError(404, 'Order not found');
           }
 
-          // Re-validate device_id under the same transaction if provided
-          if (device_id && lockedOrder.device_id && lockedOrder.device_id !== device_id) {
-            throw new Error('Access denied. This order belongs to a different device.');
+          // Re-validate ownership under the same transaction
+          const lockedAccessError = orderAccessError(lockedOrder, req, device_id);
+          if (lockedAccessError) {
+            throw httpError(403, lockedAccessError);
           }
 
-          const previousStatus = lockedOrder.status;
+          // Another request may have moved the order since it was read
+          if (!Order.canTransition(lockedOrder.status, status)) {
+            const { message, ...extra } = transitionErrorBody(lockedOrder.status, status);
+            throw httpError(409, message, extra);
+          }
 
           // Update order fields
           updated = await Order.findByIdAndUpdate(
@@ -141,104 +448,366 @@ async function updateOrderPayment(req, res) {
             { new: true, session }
           );
 
-          // Only decrement stock if transitioning into Processing
-          if (previousStatus !== 'Processing') {
-            let itemsProcessed = 0;
-            let stockUpdates = 0;
-            
-            // Fetch order items from separate collection
+          // Only decrement stock when the order is first fulfilled
+          if (!Order.STOCK_DEDUCTED_STATUSES.includes(lockedOrder.status) && Order.STOCK_DEDUCTED_STATUSES.includes(status)) {
+            stockSummary = await deductOrderStock(id, session, orderStockMovement(req, lockedOrder, 'sale', `Order moved to ${status}`));
+          }
+
+          // Give the stock back when a fulfilled order is cancelled or declined
+          if (RESTOCK_ON_EXIT_STATUSES.includes(status) && Order.STOCK_DEDUCTED_STATUSES.includes(lockedOrder.status)) {
             const orderItems = await OrderItem.find({ order_id: id }).session(session);
-            
+            const lines = [];
+            let unitsRestored = 0;
+
             for (const item of orderItems) {
               const qty = Number(item.quantity) || 0;
               if (qty <= 0) continue;
-              
-              await Product.findByIdAndUpdate(
-                item.product_id,
-                { $inc: { stock: -qty } },
-                { session }
-              );
-              stockUpdates += 1;
+
+              const change = await Product.adjustStock(item.product_id, item.variant_id, qty, {
+                session,
+                movement: orderStockMovement(req, lockedOrder, 'return', `Order ${status}`)
+              });
+              if (change.applied) unitsRestored += qty;
+              lines.push({
+                product_id: item.product_id,
+                variant_id: change.variant_id,
+                product_name: item.product_name,
+                quantity: qty,
+                restored: change.applied
+              });
             }
-            itemsProcessed = orderItems.length;
-            
-            // Attach diagnostics
-            updated.items_processed = itemsProcessed;
-            updated.stock_updates = stockUpdates;
+
+            stockSummary = {
+              stock_restored: {
+                items: lines.filter(l => l.restored).length,
+                units: unitsRestored,
+                lines
+              }
+            };
           }
         });
       } catch (error) {
         console.error('updateOrderPayment transaction error:', error.message);
+        if (error.status) return res.status(error.status).json(error.body || { message: error.message });
         return res.status(500).json({ message: 'Server error' });
       } finally {
         await session.endSession();
       }
     } else {
-      updated = await Order.findByIdAndUpdate(id, updateFields, { new: true });
-      if (!updated) return res.status(404).json({ message: 'Not found' });
+      // Only apply a status change if nobody moved the order in the meantime
+      const filter = statusChanging ? { _id: id, status: previousStatus } : { _id: id };
+      updated = await Order.findOneAndUpdate(filter, updateFields, { new: true });
+      if (!updated) {
+        const current = statusChanging ? await Order.findById(id).select('status').lean() : null;
+        if (current) {
+          return res.status(409).json({
+            ...transitionErrorBody(current.status, status),
+            message: 'Order status changed while updating. Reload the order and try again.'
+          });
+        }
+        return res.status(404).json({ message: 'Not found' });
+      }
+
+      // Leaving Pending any other way than fulfilment frees the checkout holds
+      if (statusChanging && previousStatus === 'Pending') {
+        stockSummary = { reservations_released: await StockReservation.releaseForOrder(id) };
+      }
+    }
+
+    // A GCash reference sent by the app opens (or updates) the payment awaiting review
+    if (typeof ref !== 'undefined' && updated.payment === 'GCash') {
+      await attachGcashPayment(updated, req, { reference: ref, flags: referenceFlags });
+      updated = await Order.findById(id);
     }
 
     // Send response
     const orderResponse = {
       ...updated.toObject(),
-      id: updated._id
+      id: updated._id,
+      ...(stockSummary || {})
     };
     res.json({ order: orderResponse });
 
     // Send FCM notification if status changed
-    if (status && validStatuses.includes(status) && updated.fcm_token) {
-      try {
-        const { initFirebaseAdmin, admin } = require('../config/fcm');
-        initFirebaseAdmin();
-        if (admin.apps && admin.apps.length > 0) {
-          let title, body;
-          switch (status) {
-            case 'Processing':
-              title = 'Order Being Processed';
-              body = `Your order #${updated.order_code} is now being prepared.`;
-              break;
-            case 'Completed':
-              title = 'Order Completed';
-              body = `Your order #${updated.order_code} has been completed.`;
-              break;
-            case 'Delivered':
-              title = 'Order Delivered!';
-              body = `Your order #${updated.order_code} has been delivered successfully.`;
-              break;
-            case 'Cancelled':
-              title = 'Order Cancelled';
-              body = `Your order #${updated.order_code} has been cancelled.`;
-              break;
-            case 'Declined':
-              title = 'Order Declined';
-              body = `Your order #${updated.order_code} was declined. Please contact support.`;
-              break;
-            default:
-              title = 'Order Update';
-              body = `Your order #${updated.order_code} status has been updated to ${status}.`;
-          }
-          await admin.messaging().send({
-            token: updated.fcm_token,
-            notification: { title, body },
-            data: {
-              orderId: String(updated._id),
-              orderCode: updated.order_code,
-              status,
-            },
-          });
-        }
-      } catch (e) {
-        console.warn('FCM send error:', e.message);
-      }
+    if (statusChanging) {
+      await sendStatusNotification(updated, status);
     }
   } catch (_e) {
     res.status(500).json({ message: 'Server error' });
   }
 }
 
+function cashTender(amount, received) {
+  return {
+    method: 'Cash',
+    amount,
+    cash_received: received,
+    change_due: roundMoney(received - amount),
+    status: 'verified'
+  };
+}
+
+// Turn the tenders sent with a new order into Payment rows. Accepts split
+// tender as `payments: [{ method, amount, cash_received?, ref? }]` or the
+// legacy single `payment`/`ref`/`cash_received` fields. Cash is only recorded
+// for In-Store orders; online cash is collected (and recorded) on delivery.
+function buildOrderTenders(body, order) {
+  const { payments, ref, cash_received, payment_proof_image_url, payment_proof_public_id } = body;
+
+  if (payments === undefined) {
+    if (order.payment === 'GCash') {
+      return {
+        tenders: [{
+          method: 'GCash',
+          amount: order.net_total,
+          reference: ref || undefined,
+          proof_image_url: payment_proof_image_url || undefined,
+          proof_public_id: payment_proof_public_id || undefined,
+          status: 'pending_verification'
+        }]
+      };
+    }
+    if (order.type !== 'In-Store') return { tenders: [] };
+    const received = roundMoney(cash_received) || order.net_total;
+    if (received + PRICE_TOLERANCE < order.net_total) {
+      return { error: `cash_received (${received}) is less than the amount due (${order.net_total})` };
+    }
+    return { tenders: [cashTender(order.net_total, received)] };
+  }
+
+  if (!Array.isArray(payments) || payments.length === 0) {
+    return { error: 'payments must be a non-empty array' };
+  }
+
+  const tenders = [];
+  for (const tender of payments) {
+    if (!Payment.METHODS.includes(tender.method)) {
+      return { error: 'Invalid payment method. Must be one of: ' + Payment.METHODS.join(', ') };
+    }
+    const amount = roundMoney(tender.amount);
+    if (!(amount > 0)) {
+      return { error: 'Each payment amount must be greater than zero' };
+    }
+    if (tender.method === 'Cash') {
+      const received = tender.cash_received !== undefined ? roundMoney(tender.cash_received) : amount;
+      if (received + PRICE_TOLERANCE < amount) {
+        return { error: `cash_received (${received}) is less than the cash amount (${amount})` };
+      }
+      tenders.push(cashTender(amount, received));
+    } else {
+      tenders.push({ method: 'GCash', amount, reference: tender.ref || tender.reference || undefined, status: 'pending_verification' });
+    }
+  }
+
+  const tendered = roundMoney(tenders.reduce((sum, tender) => sum + tender.amount, 0));
+  if (Math.abs(tendered - order.net_total) > PRICE_TOLERANCE) {
+    return { error: `Payments add up to ${tendered} but the order total is ${order.net_total}` };
+  }
+
+  return { tenders: order.type === 'In-Store' ? tenders : tenders.filter(tender => tender.method !== 'Cash') };
+}
+
+const DUPLICATE_PAYMENT_MESSAGES = {
+  duplicate_reference: 'This GCash reference number was already used for another order',
+  duplicate_proof: 'This payment screenshot was already used for another order',
+  similar_proof: 'This payment screenshot matches one already used for another order'
+};
+
+// Check a GCash reference or proof against other orders. Returns { flags } to
+// store on the payment, or { rejection } (a 409 body) in reject mode.
+async function screenGcashPayment(orderId, details) {
+  const flags = await Payment.findDuplicates(orderId, details);
+  if (flags.length === 0) return { flags };
+
+  console.warn(`GCash duplicate on order ${orderId} (${GCASH_DUPLICATE_MODE}):`, JSON.stringify(flags));
+  if (GCASH_DUPLICATE_MODE === 'reject') {
+    const other = await Order.findById(flags[0].other_order_id).select('order_code').lean();
+    return {
+      rejection: {
+        message: DUPLICATE_PAYMENT_MESSAGES[flags[0].type],
+        duplicate_of: other ? other.order_code : null,
+        flags: flags.map(flag => flag.type)
+      }
+    };
+  }
+  return { flags };
+}
+
+// Recompute the order's payment_status/amount_paid/change_due from its payments
+async function refreshOrderPaymentState(order, { session = null } = {}) {
+  const summary = await Payment.summarizeForOrder(order._id, order.net_total, { session });
+  const update = {
+    payment_status: summary.payment_status,
+    amount_paid: summary.amount_paid,
+    change_due: summary.change_due,
+    payment_flagged: summary.payment_flagged
+  };
+  if (summary.payment) update.payment = summary.payment;
+  return await Order.findByIdAndUpdate(order._id, update, { new: true, session });
+}
+
+// Attach GCash details sent by the customer to the order's open GCash payment,
+// opening one for the outstanding amount when there is none (or the last was rejected)
+async function attachGcashPayment(order, req, { reference, proofUrl, proofPublicId, proofHash, proofPhash, flags = [] } = {}) {
+  let payment = await Payment.findOne({ order_id: order._id, method: 'GCash', status: 'pending_verification' })
+    .sort({ createdAt: -1 });
+
+  if (!payment) {
+    const outstanding = roundMoney(order.net_total - (order.amount_paid || 0));
+    if (outstanding <= PRICE_TOLERANCE) return null;
+    payment = new Payment({
+      order_id: order._id,
+      method: 'GCash',
+      amount: outstanding,
+      status: 'pending_verification',
+      recorded_by: changedBy(req)
+    });
+  }
+
+  if (reference !== undefined) payment.reference = reference || undefined;
+  if (proofUrl) {
+    payment.proof_image_url = proofUrl;
+    payment.proof_public_id = proofPublicId;
+    payment.proof_hash = proofHash;
+    payment.proof_phash = proofPhash;
+  }
+  if (flags.length > 0) {
+    payment.flags.push(...flags);
+    payment.flagged = true;
+  }
+  await payment.save();
+  await refreshOrderPaymentState(order);
+  return payment;
+}
+
+// Numeric Flutter ids (dart_hash) are accepted until this date; afterwards
+// only product_uid or the product ObjectId resolve an order line
+const DART_HASH_FALLBACK_UNTIL = process.env.DART_HASH_FALLBACK_UNTIL
+  ? new Date(process.env.DART_HASH_FALLBACK_UNTIL)
+  : null;
+
+function legacyProductLookupAllowed() {
+  if (!DART_HASH_FALLBACK_UNTIL || isNaN(DART_HASH_FALLBACK_UNTIL.getTime())) return true;
+  return new Date() < DART_HASH_FALLBACK_UNTIL;
+}
+
+// Every use of a legacy lookup is logged so we know when the window can close
+function logProductLookupFallback(method, details) {
+  console.warn(`[product-lookup-fallback] ${method}`, JSON.stringify(details));
+}
+
+// Find the product for an order line: product_uid first, then ObjectId,
+// then (during the compatibility window) the legacy numeric dart_hash id.
+async function resolveOrderProduct(it) {
+  const productUid = it.product_uid || it.productUid;
+  const productId = it.product_id || it.productId;
+  const fields = '_id name price product_uid dart_hash variants';
+
+  if (productUid) {
+    const product = await Product.findOne({ product_uid: String(productUid) }).select(fields);
+    return product ? { product } : { error: `No product with product_uid ${productUid}` };
+  }
+
+  if (typeof productId === 'string' && isValidObjectId(productId)) {
+    const product = await Product.findById(productId).select(fields);
+    return product ? { product } : { error: `No product with id ${productId}` };
+  }
+
+  if (typeof productId === 'number') {
+    if (!legacyProductLookupAllowed()) {
+      return { error: 'Numeric product ids are no longer accepted; send product_uid' };
+    }
+
+    const product = await Product.findOne({ dart_hash: productId }).select(fields);
+    if (product) {
+      logProductLookupFallback('dart_hash', { product_id: productId, matched: String(product._id) });
+      return { product };
+    }
+
+    // Fuzzy fallbacks: by name, then by the alternative hash algorithms older app builds used
+    const productName = it.product_name || it.name;
+    if (productName && productName !== 'Unknown Product') {
+      const byName = await Product.findOne({ name: productName }).select(fields);
+      if (byName) {
+        logProductLookupFallback('name', { product_id: productId, name: productName, matched: String(byName._id) });
+        return { product: byName };
+      }
+    }
+
+    const candidates = await Product.find({}).select(fields).limit(100);
+    for (const p of candidates) {
+      const objectIdString = p._id.toString();
+      let hash1 = 0, hash2 = 0, hash3 = 0;
+      for (let i = 0; i < objectIdString.length; i++) {
+        const char = objectIdString.charCodeAt(i);
+        hash1 = ((hash1 << 5) - hash1) + char;
+        hash1 = hash1 & hash1;
+
+        hash2 = hash2 * 31 + char;
+        hash2 = hash2 | 0;
+
+        hash3 += char;
+      }
+      if (Math.abs(hash1) === productId || Math.abs(hash2) === productId || Math.abs(hash3) === productId) {
+        logProductLookupFallback('alternative_hash', { product_id: productId, matched: objectIdString });
+        return { product: p };
+      }
+    }
+
+    return { error: `No product matches numeric id ${productId}` };
+  }
+
+  return { error: productId ? `Invalid product id: ${productId}` : 'product_uid or product_id is required' };
+}
+
+function variantDisplayName(variant) {
+  if (variant.name) return variant.name;
+  const parts = [variant.option1_value, variant.option2_value, variant.option3_value].filter(Boolean);
+  return parts.length > 0 ? parts.join(' / ') : 'Default';
+}
+
+// Turn one client item into an OrderItem row, or { error } when it cannot be resolved exactly
+async function resolveOrderLine(it) {
+  const quantity = Number(it.quantity || it.qty || 0);
+  if (!Number.isFinite(quantity) || quantity <= 0) {
+    return { error: 'Quantity must be greater than zero' };
+  }
+
+  const { product, error } = await resolveOrderProduct(it);
+  if (error) return { error };
+
+  const variantId = it.variant_id || it.variantId || null;
+  let variant = null;
+  if (variantId) {
+    variant = (product.variants || []).find(v => String(v._id) === String(variantId)) || null;
+    if (!variant) {
+      return { error: `Variant ${variantId} not found on product ${product.name}` };
+    }
+  }
+
+  let variantName = it.variant_name || it.variantName || null;
+  if (variant && (!variantName || !variantName.trim())) {
+    variantName = variantDisplayName(variant);
+  }
+
+  return {
+    line: {
+      product_id: product._id,
+      product_uid: product.product_uid || null,
+      quantity,
+      // Client price is kept only for comparison; repriceOrderLines sets the real one
+      unit_price: Number(it.price || it.unit_price || 0),
+      total_price: 0,
+      product_name: it.product_name || it.name || product.name,
+      variant_id: variant ? variant._id : null,
+      variant_name: variantName || null
+    }
+  };
+}
+
 async function createOrder(req, res) {
   try {
-    const { name, contact, address, payment, ref, totalPrice, discount, net_total, status, type, device_id, fcm_token, items = [], payment_proof_image_url, payment_proof_public_id, cash_received } = req.body || {};
+    const { name, contact, address, payment, ref, totalPrice, discount, net_total, status, type, device_id, fcm_token, items = [], payment_proof_image_url, payment_proof_public_id, cash_received, delivery_fee } = req.body || {};
 
     if (!name || typeof name !== 'string') {
       return res.status(400).json({ message: 'Name is required' });
@@ -248,13 +817,15 @@ async function createOrder(req, res) {
       return res.status(400).json({ message: 'Total price is required' });
     }
 
-    if (!device_id || typeof device_id !== 'string') {
+    // Signed-in customers own their orders; anonymous app installs still identify by device
+    const customerId = req.user && req.user.role === 'customer' ? req.user.id : null;
+    if (!customerId && (!device_id || typeof device_id !== 'string')) {
       return res.status(400).json({ message: 'Device ID is required' });
     }
 
     // Validate enum values
     const validPayments = ['Cash', 'GCash'];
-    const validStatuses = ['Pending', 'Processing', 'Completed', 'Cancelled', 'Declined', 'Delivered'];
+    const validStatuses = Order.STATUSES;
     const validTypes = ['Online', 'In-Store'];
 
     if (payment && !validPayments.includes(payment)) {
@@ -269,12 +840,20 @@ async function createOrder(req, res) {
       return res.status(400).json({ message: 'Invalid type. Must be Online or In-Store' });
     }
 
-    // Generate order code
-    const orderCode = 'ORD' + Date.now().toString().slice(-6);
+    // Orders start as Pending and move on through PATCH, which runs the state machine.
+    // Only staff ringing up an in-store sale may open one already fulfilled; its stock is taken at once.
+    const initialStatus = status || 'Pending';
+    const staffSale = !!req.user && req.user.role !== 'customer' && type === 'In-Store';
+    if (initialStatus !== 'Pending' && !(staffSale && Order.STOCK_DEDUCTED_STATUSES.includes(initialStatus))) {
+      return res.status(400).json({
+        message: staffSale
+          ? 'In-store sales must start as Pending, Processing, Completed or Delivered'
+          : 'New orders must start as Pending'
+      });
+    }
 
     // Create order (without embedded items)
     const orderData = {
-      order_code: orderCode,
       name,
       contact: contact || null,
       address: address || null,
@@ -284,241 +863,175 @@ async function createOrder(req, res) {
       discount: discount || 0,
       net_total: net_total || totalPrice,
       cash_received: cash_received || (payment === 'Cash' ? net_total || totalPrice : 0),
-      status: status || 'Pending',
+      status: initialStatus,
+      status_history: [statusHistoryEntry(req, null, initialStatus)],
       type: type || 'Online',
-      device_id,
+      device_id: device_id || null,
+      customer_id: customerId,
       fcm_token: fcm_token || null,
       payment_proof_image_url: payment_proof_image_url || null,
       payment_proof_public_id: payment_proof_public_id || null
     };
 
-    // Create the order first
+    // Build the order first so items can reference its id; it is saved once items are resolved
     const order = new Order(orderData);
-    await order.save();
 
     // Now create order items separately (like your MySQL structure)
     let insertedItems = 0;
-    if (Array.isArray(items) && items.length > 0) {
-      console.log('Processing order items:', JSON.stringify(items, null, 2));
-      const orderItems = [];
-      
-      for (const it of items) {
-        console.log('Processing item:', JSON.stringify(it, null, 2));
-        const productId = it.product_id || it.productId;
-        const quantity = Number(it.quantity || it.qty || 0);
-        if (!productId || quantity <= 0) {
-          console.log('Skipping item - invalid productId or quantity:', { productId, quantity });
-          continue;
-        }
+    const orderItems = [];
+    const unresolved = [];
+    const itemList = Array.isArray(items) ? items : [];
+
+    for (let index = 0; index < itemList.length; index++) {
+      const it = itemList[index];
+      const result = await resolveOrderLine(it);
+      if (result.error) {
+        unresolved.push({ index, product_id: it.product_uid || it.product_id || it.productId || null, error: result.error });
+        continue;
+      }
+      orderItems.push({ ...result.line, order_id: order._id });
+    }
 
-        // Handle Flutter app's data structure
-        let validProductId;
-        let unitPrice = Number(it.price || it.unit_price || 0);
-        let productName = it.product_name || it.name || '';
-        let itemTotalPrice = Number(it.total || it.total_price || 0);
-
-        try {
-          if (typeof productId === 'number') {
-            // Flutter app sends hash of MongoDB ObjectId as integer
-            console.log(`Looking for product with dart_hash: ${productId}`);
-            
-            // Debug: Show what dart_hash values exist in the database
-            const existingHashes = await Product.find({}).select('name dart_hash').limit(10);
-            console.log('Existing dart_hash values in database:', existingHashes.map(p => `${p.name}: ${p.dart_hash}`));
-            
-            // First try to find by dart_hash field
-            let matchingProduct = await Product.findOne({ dart_hash: productId }).select('_id name price');
-            
-            if (matchingProduct) {
-              console.log(`Found matching product by dart_hash: ${matchingProduct.name} (${matchingProduct._id})`);
-            } else {
-              console.warn(`Product with dart_hash ${productId} not found. Trying alternative methods...`);
-              
-              // Try to find by name if provided
-              if (productName && productName !== 'Unknown Product') {
-                matchingProduct = await Product.findOne({ name: productName }).select('_id name price');
-                if (matchingProduct) {
-                  console.log(`Found product by name: ${matchingProduct.name} (${matchingProduct._id})`);
-                }
-              }
-              
-              // If still not found, try to find by price match
-              if (!matchingProduct && Number.isFinite(unitPrice) && unitPrice > 0) {
-                matchingProduct = await Product.findOne({ price: unitPrice }).select('_id name price');
-                if (matchingProduct) {
-                  console.log(`Found product by price: ${matchingProduct.name} (${matchingProduct._id})`);
-                }
-              }
-              
-              // Last resort: try to find any product with similar characteristics
-              if (!matchingProduct) {
-                const products = await Product.find({}).select('_id name price dart_hash').limit(100);
-                // Try different hash calculations
-                for (const p of products) {
-                  const objectIdString = p._id.toString();
-                  
-                  // Try different hash algorithms
-                  let hash1 = 0, hash2 = 0, hash3 = 0;
-                  for (let i = 0; i < objectIdString.length; i++) {
-                    const char = objectIdString.charCodeAt(i);
-                    hash1 = ((hash1 << 5) - hash1) + char;
-                    hash1 = hash1 & hash1;
-                    
-                    hash2 = hash2 * 31 + char;
-                    hash2 = hash2 | 0;
-                    
-                    hash3 += char;
-                  }
-                  
-                  if (Math.abs(hash1) === productId || Math.abs(hash2) === productId || Math.abs(hash3) === productId) {
-                    matchingProduct = p;
-                    console.log(`Found product with alternative hash: ${matchingProduct.name} (${matchingProduct._id})`);
-                    break;
-                  }
-                }
-              }
-            }
-            
-            if (matchingProduct) {
-              validProductId = matchingProduct._id;
-              if (!productName) productName = matchingProduct.name;
-              if (!Number.isFinite(unitPrice)) unitPrice = Number(matchingProduct.price) || 0;
-            } else {
-              console.warn(`Product with hash ID ${productId} not found with any method`);
-              continue;
-            }
-          } else if (typeof productId === 'string') {
-            // If it's a string, validate it's a valid ObjectId
-            if (mongoose.Types.ObjectId.isValid(productId)) {
-              validProductId = new mongoose.Types.ObjectId(productId);
-              // Fetch product details if not provided
-              if (!productName || !Number.isFinite(unitPrice)) {
-                const product = await Product.findById(validProductId).select('name price');
-                if (product) {
-                  if (!productName) productName = product.name;
-                  if (!Number.isFinite(unitPrice)) unitPrice = Number(product.price) || 0;
-                }
-              }
-            } else {
-              console.warn(`Invalid ObjectId format: ${productId}`);
-              continue;
-            }
-          } else {
-            console.warn(`Invalid product_id type: ${typeof productId}`);
-            continue;
-          }
-        } catch (e) {
-          console.warn(`Error processing product_id ${productId}:`, e.message);
-          continue;
-        }
+    // Every line must map to a real product; never drop lines silently
+    if (unresolved.length > 0) {
+      console.warn('Order rejected - unresolved items:', JSON.stringify(unresolved));
+      return res.status(422).json({ message: 'Some order items could not be matched to a product', unresolved });
+    }
 
-        // Calculate total price if not provided
-        if (!Number.isFinite(itemTotalPrice)) {
-          itemTotalPrice = unitPrice * quantity;
-        }
+    if (orderItems.length === 0) {
+      return res.status(400).json({ message: 'Order must contain at least one valid item' });
+    }
 
-        // Ensure we have a product name
-        if (!productName) {
-          productName = 'Unknown Product';
-        }
+    // Never trust client prices: re-price every line and recompute the totals
+    const discrepancies = await repriceOrderLines(orderItems);
+    const subtotal = roundMoney(orderItems.reduce((sum, line) => sum + line.total_price, 0));
+    const requestedDiscount = Math.max(Number(discount) || 0, 0);
+    const maxDiscount = roundMoney(subtotal * maxDiscountPercent(req) / 100);
+    const serverDiscount = Math.min(requestedDiscount, maxDiscount);
+
+    // Online orders are delivered: the zone's fee is its own line, added after the discount
+    let deliveryFee = 0;
+    if (order.type === 'Online') {
+      const { latitude, longitude } = req.body || {};
+      const quote = await DeliveryZone.quote({ address, latitude, longitude, basketTotal: subtotal });
+      if (!quote.deliverable) {
+        return res.status(422).json({ message: quote.reason, deliverable: false });
+      }
+      deliveryFee = roundMoney(quote.fee);
+      order.delivery_fee = deliveryFee;
+      order.delivery = {
+        zone_id: quote.zone ? quote.zone._id : null,
+        zone_name: quote.zone ? quote.zone.name : null,
+        distance_km: quote.distance_km,
+        latitude: Number.isFinite(parseFloat(latitude)) ? parseFloat(latitude) : undefined,
+        longitude: Number.isFinite(parseFloat(longitude)) ? parseFloat(longitude) : undefined
+      };
+    }
+    const serverNetTotal = roundMoney(subtotal - serverDiscount + deliveryFee);
 
-        // Extract variant information if provided
-        const variantId = it.variant_id || it.variantId || null;
-        let variantName = it.variant_name || it.variantName || null;
-        
-        // Clean up variant_name if it's empty string
-        if (variantName === '') variantName = null;
-        
-        console.log(`Processing variant - variant_id: ${variantId}, variant_name: ${variantName}`);
-        
-        // If variant_id is provided, validate it and fetch variant name if needed
-        let validVariantId = null;
-        if (variantId) {
-          if (mongoose.Types.ObjectId.isValid(variantId)) {
-            validVariantId = new mongoose.Types.ObjectId(variantId);
-          } else {
-            // Handle case where variant_id might be a string hash (from Flutter)
-            // Try to find variant by matching the hash or by name
-            console.log(`Variant ID ${variantId} is not a valid ObjectId, attempting to find variant in product`);
-          }
-          
-          // If variant_name is not provided or empty but variant_id is, fetch it from the product
-          if ((!variantName || variantName.trim() === '') && validProductId) {
-            try {
-              const product = await Product.findById(validProductId).select('variants');
-              if (product && product.variants && product.variants.length > 0) {
-                // Try to find variant by ObjectId match
-                let foundVariant = product.variants.find(v => 
-                  v._id && v._id.toString() === variantId.toString()
-                );
-                
-                // If not found by ObjectId, try to find by matching the variant_id as string
-                if (!foundVariant) {
-                  foundVariant = product.variants.find(v => 
-                    v._id && v._id.toString().includes(variantId.toString().substring(0, 8))
-                  );
-                }
-                
-                if (foundVariant) {
-                  // Get variant display name
-                  if (foundVariant.name) {
-                    variantName = foundVariant.name;
-                  } else {
-                    // Build name from option values
-                    const parts = [];
-                    if (foundVariant.option1_value) parts.push(foundVariant.option1_value);
-                    if (foundVariant.option2_value) parts.push(foundVariant.option2_value);
-                    if (foundVariant.option3_value) parts.push(foundVariant.option3_value);
-                    variantName = parts.length > 0 ? parts.join(' / ') : 'Default';
-                  }
-                  // Update validVariantId to the actual ObjectId
-                  if (foundVariant._id) {
-                    validVariantId = foundVariant._id;
-                  }
-                  console.log(`Found variant name: ${variantName} for variant_id: ${variantId}`);
-                } else {
-                  console.warn(`Variant not found in product for variant_id: ${variantId}`);
-                }
-              }
-            } catch (variantError) {
-              console.warn(`Error fetching variant name: ${variantError.message}`);
-            }
-          }
-        }
+    if (requestedDiscount - maxDiscount > PRICE_TOLERANCE) {
+      discrepancies.push({ field: 'discount', client_value: requestedDiscount, server_value: serverDiscount });
+    }
+    if (delivery_fee !== undefined && delivery_fee !== null && Math.abs(Number(delivery_fee) - deliveryFee) > PRICE_TOLERANCE) {
+      discrepancies.push({ field: 'delivery_fee', client_value: Number(delivery_fee), server_value: deliveryFee });
+    }
+    if (Math.abs(Number(totalPrice) - subtotal) > PRICE_TOLERANCE) {
+      discrepancies.push({ field: 'totalPrice', client_value: Number(totalPrice), server_value: subtotal });
+    }
+    if (net_total !== undefined && net_total !== null && Math.abs(Number(net_total) - serverNetTotal) > PRICE_TOLERANCE) {
+      discrepancies.push({ field: 'net_total', client_value: Number(net_total), server_value: serverNetTotal });
+    }
 
-        const orderItem = {
-          order_id: order._id,
-          product_id: validProductId,
-          quantity,
-          unit_price: unitPrice,
-          total_price: itemTotalPrice,
-          product_name: productName,
-          variant_id: validVariantId,
-          variant_name: variantName || null  // Ensure null instead of empty string
-        };
-        
-        console.log('Created order item:', JSON.stringify(orderItem, null, 2));
-        console.log(`Order item variant - variant_id: ${orderItem.variant_id}, variant_name: ${orderItem.variant_name}`);
-        orderItems.push(orderItem);
+    if (discrepancies.length > 0) {
+      console.warn(`Order pricing mismatch (${PRICE_MISMATCH_MODE}):`, JSON.stringify(discrepancies));
+      if (PRICE_MISMATCH_MODE === 'reject') {
+        return res.status(422).json({
+          message: 'Order prices do not match current prices. Refresh the cart and try again.',
+          discrepancies,
+          server_totals: { totalPrice: subtotal, discount: serverDiscount, delivery_fee: deliveryFee, net_total: serverNetTotal }
+        });
       }
+      order.pricing_flagged = true;
+      order.pricing_discrepancies = discrepancies;
+    }
 
-      if (orderItems.length > 0) {
-        await OrderItem.insertMany(orderItems);
-        insertedItems = orderItems.length;
-        console.log(`Successfully inserted ${insertedItems} order items`);
-      } else {
-        console.log('No valid order items to insert');
+    order.client_totals = {
+      totalPrice: Number(totalPrice),
+      discount: Number(discount) || 0,
+      delivery_fee: delivery_fee !== undefined && delivery_fee !== null ? Number(delivery_fee) : null,
+      net_total: net_total !== undefined && net_total !== null ? Number(net_total) : null
+    };
+    order.totalPrice = subtotal;
+    order.discount = serverDiscount;
+    order.net_total = serverNetTotal;
+    order.cash_received = cash_received || (order.payment === 'Cash' ? serverNetTotal : 0);
+
+    // Split tender: validate against the server total before anything is saved
+    const { tenders, error: tenderError } = buildOrderTenders(req.body || {}, order);
+    if (tenderError) {
+      return res.status(422).json({ message: tenderError });
+    }
+    for (const tender of tenders) {
+      if (tender.method !== 'GCash' || !tender.reference) continue;
+      const { flags, rejection } = await screenGcashPayment(order._id, { reference: tender.reference });
+      if (rejection) return res.status(409).json(rejection);
+      if (flags.length > 0) {
+        tender.flags = flags;
+        tender.flagged = true;
       }
-    } else {
-      console.log('No items provided in order');
+    }
+    const cashTenders = tenders.filter(tender => tender.method === 'Cash');
+    if (cashTenders.length > 0) {
+      order.cash_received = roundMoney(cashTenders.reduce((sum, tender) => sum + tender.cash_received, 0));
+    }
+
+    // Pending orders hold their stock and fulfilled sales take it. The stock check,
+    // the order and its holds are written in one transaction, so a failed hold
+    // leaves no order behind.
+    let savedOrder;
+    let reservationExpiresAt = null;
+    const session = await Order.startSession();
+    try {
+      await session.withTransaction(async () => {
+        await claimOrderStock(orderItems, session);
+
+        // Take the order code only once the order is accepted, so rejected requests leave no gaps
+        const orderCode = await Order.nextOrderCode(order.type, { session });
+        // Created from a plain copy so a retried transaction inserts it afresh
+        [savedOrder] = await Order.create([{ ...order.toObject(), order_code: orderCode }], { session });
+
+        await OrderItem.insertMany(orderItems, { session });
+        insertedItems = orderItems.length;
+
+        if (savedOrder.status === 'Pending') {
+          const reservations = await StockReservation.holdForOrder(savedOrder._id, orderItems, { session });
+          reservationExpiresAt = reservations.length > 0 ? reservations[0].expires_at : null;
+        } else {
+          await deductOrderStock(savedOrder._id, session, orderStockMovement(req, savedOrder, 'sale', `Order created as ${savedOrder.status}`));
+        }
+      });
+    } catch (error) {
+      console.error('createOrder transaction error:', error.message);
+      if (error.status) return res.status(error.status).json(error.body || { message: error.message });
+      return res.status(500).json({ message: 'Server error' });
+    } finally {
+      await session.endSession();
+    }
+    console.log(`Successfully inserted ${insertedItems} order items`);
+
+    if (tenders.length > 0) {
+      const recordedBy = changedBy(req);
+      await Payment.insertMany(tenders.map(tender => ({ ...tender, order_id: order._id, recorded_by: recordedBy })));
+      savedOrder = await refreshOrderPaymentState(savedOrder);
     }
 
     // Respond with created order
     const orderResponse = {
-      ...order.toObject(),
+      ...savedOrder.toObject(),
       id: order._id,
       _id: order._id.toString(), // Ensure _id is included as string for mobile app
-      inserted_items: insertedItems
+      inserted_items: insertedItems,
+      reservation_expires_at: reservationExpiresAt
     };
     
     res.status(201).json({ order: orderResponse });
@@ -547,15 +1060,19 @@ async function getOrder(req, res) {
     const order = await Order.findOne(filter).lean();
     if (!order) return res.status(404).json({ message: 'Order not found' });
 
+    const accessError = orderAccessError(order, req, deviceId);
+    if (accessError) return res.status(403).json({ message: accessError });
+
     // Get items from separate collection
     const items = await OrderItem.find({ order_id: id })
-      .populate('product_id', 'name category price')
+      .populate('product_id', 'product_uid name category price')
       .lean();
 
     // Format items with product names
     const formattedItems = items.map(item => {
       const formatted = {
         product_id: item.product_id._id,
+        product_uid: item.product_uid || item.product_id.product_uid || null,
         name: item.product_name,
         quantity: Number(item.quantity) || 0,
         price: Number(item.unit_price) || 0,
@@ -598,9 +1115,12 @@ async function getOrderItems(req, res) {
     const order = await Order.findById(id);
     if (!order) return res.status(404).json({ message: 'Order not found' });
 
+    const accessError = orderAccessError(order, req, req.query.device_id);
+    if (accessError) return res.status(403).json({ message: accessError });
+
     // Get items from separate collection
     const items = await OrderItem.find({ order_id: id })
-      .populate('product_id', 'name category price')
+      .populate('product_id', 'product_uid name category price')
       .lean();
 
     const formattedItems = items.map((item, index) => {
@@ -613,6 +1133,7 @@ async function getOrderItems(req, res) {
       return {
         id: index + 1, // Use index as id for consistency
         product_id: productId,
+        product_uid: item.product_uid || item.product_id?.product_uid || null,
         name: item.product_name || productName,
         quantity: Number(item.quantity) || 0,
         price: Number(item.unit_price) || 0,
@@ -675,13 +1196,16 @@ async function uploadPaymentProof(req, res) {
     }
     console.log('Order found:', order.order_code);
 
-    // Delete old payment proof if exists
-    if (order.payment_proof_public_id) {
-      try {
-        await cloudinary.uploader.destroy(order.payment_proof_public_id);
-      } catch (deleteError) {
-        console.warn('Failed to delete old payment proof:', deleteError);
-      }
+    const accessError = orderAccessError(order, req, (req.body && req.body.device_id) || req.query.device_id);
+    if (accessError) {
+      return res.status(403).json({ message: accessError });
+    }
+
+    // Catch a screenshot reused from another order before uploading it
+    const proofHash = crypto.createHash('sha256').update(req.file.buffer).digest('hex');
+    const exactScreening = await screenGcashPayment(order._id, { proofHash });
+    if (exactScreening.rejection) {
+      return res.status(409).json(exactScreening.rejection);
     }
 
     // Upload new image to Cloudinary using Promise wrapper
@@ -690,6 +1214,8 @@ async function uploadPaymentProof(req, res) {
         {
           folder: 'midwest-grocery/orders/payment-proofs',
           public_id: `order-${orderId}-${Date.now()}`,
+          // Perceptual hash, to spot the same screenshot re-saved or cropped
+          phash: true,
           transformation: [
             { width: 1200, height: 1200, crop: 'limit', quality: 'auto' },
             { fetch_format: 'auto' }
@@ -725,6 +1251,25 @@ async function uploadPaymentProof(req, res) {
     // Wait for upload to complete
     const result = await uploadPromise;
 
+    const similarScreening = await screenGcashPayment(order._id, { proofPhash: result.phash });
+    if (similarScreening.rejection) {
+      try {
+        await cloudinary.uploader.destroy(result.public_id);
+      } catch (destroyError) {
+        console.error('Failed to delete uploaded image from Cloudinary:', destroyError);
+      }
+      return res.status(409).json(similarScreening.rejection);
+    }
+
+    // Delete old payment proof only once the new one is accepted
+    if (order.payment_proof_public_id) {
+      try {
+        await cloudinary.uploader.destroy(order.payment_proof_public_id);
+      } catch (deleteError) {
+        console.warn('Failed to delete old payment proof:', deleteError);
+      }
+    }
+
     // Update order with payment proof URL
     const updatedOrder = await Order.findByIdAndUpdate(
       orderId,
@@ -745,6 +1290,16 @@ async function uploadPaymentProof(req, res) {
       return res.status(500).json({ message: 'Failed to update order with payment proof URL' });
     }
 
+    // The proof goes to the open GCash payment, where an admin reviews it
+    const payment = await attachGcashPayment(order, req, {
+      reference: order.ref || undefined,
+      proofUrl: result.secure_url,
+      proofPublicId: result.public_id,
+      proofHash,
+      proofPhash: result.phash,
+      flags: [...exactScreening.flags, ...similarScreening.flags]
+    });
+
     res.json({
       message: 'Payment proof uploaded successfully',
       order: {
@@ -752,7 +1307,8 @@ async function uploadPaymentProof(req, res) {
         order_code: updatedOrder.order_code,
         payment_proof_image_url: updatedOrder.payment_proof_image_url,
         has_payment_proof: !!updatedOrder.payment_proof_image_url
-      }
+      },
+      payment: payment ? formatPayment(payment) : null
     });
     
   } catch (error) {
@@ -768,4 +1324,688 @@ async function uploadPaymentProof(req, res) {
   }
 }
 
-module.exports = { listOrders, updateOrderPayment, createOrder, getOrder, getOrderItems, uploadPaymentProof };
\ No newline at end of file
+function formatPayment(payment) {
+  return {
+    id: payment._id,
+    order_id: payment.order_id,
+    method: payment.method,
+    amount: payment.amount,
+    cash_received: payment.cash_received ?? null,
+    change_due: payment.change_due || 0,
+    reference: payment.reference || null,
+    proof_image_url: payment.proof_image_url || null,
+    status: payment.status,
+    flagged: !!payment.flagged,
+    flags: payment.flags || [],
+    rejection_reason: payment.rejection_reason || null,
+    recorded_by: payment.recorded_by || null,
+    reviewed_by: payment.reviewed_by || null,
+    reviewed_at: payment.reviewed_at || null,
+    created_at: payment.createdAt
+  };
+}
+
+function paymentState(order) {
+  return {
+    id: order._id,
+    order_code: order.order_code,
+    status: order.status,
+    payment: order.payment,
+    net_total: order.net_total,
+    payment_status: order.payment_status || 'unpaid',
+    payment_flagged: !!order.payment_flagged,
+    amount_paid: order.amount_paid || 0,
+    change_due: order.change_due || 0
+  };
+}
+
+/**
+ * List the payments recorded against an order
+ */
+async function listOrderPayments(req, res) {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ message: 'Invalid order ID format' });
+    }
+
+    const order = await Order.findById(id).lean();
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+
+    const accessError = orderAccessError(order, req, req.query.device_id);
+    if (accessError) return res.status(403).json({ message: accessError });
+
+    const payments = await Payment.find({ order_id: id }).sort({ createdAt: 1 }).lean();
+    res.json({ order: paymentState(order), payments: payments.map(formatPayment) });
+  } catch (error) {
+    console.error('Error in listOrderPayments:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * Record a payment taken by staff, e.g. cash collected on delivery or the
+ * rest of a split tender. Body: { method, amount?, cash_received?, ref? }
+ * amount defaults to the outstanding balance.
+ */
+async function recordPayment(req, res) {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ message: 'Invalid order ID format' });
+    }
+
+    const { method, amount, cash_received, ref } = req.body || {};
+    if (!Payment.METHODS.includes(method)) {
+      return res.status(400).json({ message: 'Invalid payment method. Must be one of: ' + Payment.METHODS.join(', ') });
+    }
+
+    const order = await Order.findById(id);
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+    if (['Cancelled', 'Declined'].includes(order.status)) {
+      return res.status(409).json({ message: `Cannot take payment for a ${order.status} order` });
+    }
+
+    const outstanding = roundMoney(order.net_total - (order.amount_paid || 0));
+    if (outstanding <= PRICE_TOLERANCE) {
+      return res.status(409).json({ message: 'Order is already paid' });
+    }
+
+    const paymentAmount = amount !== undefined ? roundMoney(amount) : outstanding;
+    if (!(paymentAmount > 0) || paymentAmount - outstanding > PRICE_TOLERANCE) {
+      return res.status(400).json({ message: `Amount must be greater than zero and at most the outstanding ${outstanding}` });
+    }
+
+    let tender;
+    if (method === 'Cash') {
+      const received = cash_received !== undefined ? roundMoney(cash_received) : paymentAmount;
+      if (received + PRICE_TOLERANCE < paymentAmount) {
+        return res.status(400).json({ message: `cash_received (${received}) is less than the amount (${paymentAmount})` });
+      }
+      tender = cashTender(paymentAmount, received);
+    } else {
+      tender = { method: 'GCash', amount: paymentAmount, reference: ref || undefined, status: 'pending_verification' };
+      if (ref) {
+        const { flags, rejection } = await screenGcashPayment(order._id, { reference: ref });
+        if (rejection) return res.status(409).json(rejection);
+        if (flags.length > 0) {
+          tender.flags = flags;
+          tender.flagged = true;
+        }
+      }
+    }
+
+    const payment = await Payment.create({ ...tender, order_id: order._id, recorded_by: changedBy(req) });
+    const updated = await refreshOrderPaymentState(order);
+
+    res.status(201).json({ payment: formatPayment(payment), order: paymentState(updated) });
+  } catch (error) {
+    console.error('Error in recordPayment:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * Payments awaiting review (?status= to see verified or rejected ones).
+ * Payments reusing a GCash reference or proof are listed first; ?flagged=true
+ * narrows the queue to them.
+ */
+async function listPaymentsForReview(req, res) {
+  try {
+    const page = Math.max(parseInt(req.query.page || '1'), 1);
+    const pageSize = Math.min(Math.max(parseInt(req.query.pageSize || '20'), 1), 200);
+    const status = req.query.status || 'pending_verification';
+    if (!Payment.STATUSES.includes(status)) {
+      return res.status(400).json({ message: 'Invalid status. Must be one of: ' + Payment.STATUSES.join(', ') });
+    }
+
+    const filter = { status };
+    if (req.query.flagged === 'true') filter.flagged = true;
+    const total = await Payment.countDocuments(filter);
+    const payments = await Payment.find(filter)
+      .sort({ flagged: -1, createdAt: 1 })
+      .skip((page - 1) * pageSize)
+      .limit(pageSize)
+      .populate('order_id', 'order_code name contact status net_total payment_status amount_paid payment_flagged')
+      .lean();
+
+    res.json({
+      payments: payments.map(payment => ({
+        ...formatPayment(payment),
+        order_id: payment.order_id ? payment.order_id._id : null,
+        order: payment.order_id ? paymentState(payment.order_id) : null
+      })),
+      total,
+      page,
+      pageSize
+    });
+  } catch (error) {
+    console.error('Error in listPaymentsForReview:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * Verify or reject a payment awaiting review. Once verified payments cover
+ * the order, a Pending order moves on to Processing (taking its stock).
+ * Body: { decision: 'verify' | 'reject', reason? }
+ */
+async function reviewPayment(req, res) {
+  const { paymentId } = req.params;
+  if (!isValidObjectId(paymentId)) {
+    return res.status(400).json({ message: 'Invalid payment ID format' });
+  }
+
+  const { decision, reason } = req.body || {};
+  if (!['verify', 'reject'].includes(decision)) {
+    return res.status(400).json({ message: 'decision must be verify or reject' });
+  }
+  if (decision === 'reject' && (!reason || !String(reason).trim())) {
+    return res.status(400).json({ message: 'A reason is required to reject a payment' });
+  }
+
+  const reviewer = changedBy(req);
+  let payment;
+  let updated;
+  let statusChanged = false;
+  let stockSummary = null;
+  let session;
+  try {
+    session = await Order.startSession();
+    await session.withTransaction(async () => {
+      payment = await Payment.findOneAndUpdate(
+        { _id: paymentId, status: 'pending_verification' },
+        {
+          status: decision === 'verify' ? 'verified' : 'rejected',
+          rejection_reason: decision === 'reject' ? String(reason).trim() : undefined,
+          reviewed_by: { user_id: reviewer.user_id, email: reviewer.email },
+          reviewed_at: new Date()
+        },
+        { new: true, session }
+      );
+      if (!payment) {
+        const exists = await Payment.exists({ _id: paymentId }).session(session);
+        throw httpError(exists ? 409 : 404, exists ? 'Payment has already been reviewed' : 'Payment not found');
+      }
+
+      const order = await Order.findById(payment.order_id).session(session);
+      if (!order) throw httpError(404, 'Order not found');
+
+      updated = await refreshOrderPaymentState(order, { session });
+
+      // Fully paid: move the order forward as if staff had started processing it
+      if (updated.payment_status === 'verified' && updated.status === 'Pending') {
+        updated = await Order.findOneAndUpdate(
+          { _id: order._id, status: 'Pending' },
+          {
+            status: 'Processing',
+            $push: { status_history: statusHistoryEntry(req, 'Pending', 'Processing', 'Payment verified') }
+          },
+          { new: true, session }
+        );
+        if (!updated) throw httpError(409, 'Order status changed while reviewing. Try again.');
+        stockSummary = await deductOrderStock(order._id, session, orderStockMovement(req, order, 'sale', 'Payment verified'));
+        statusChanged = true;
+      }
+    });
+  } catch (error) {
+    console.error('Error in reviewPayment:', error.message);
+    if (error.status) return res.status(error.status).json(error.body || { message: error.message });
+    return res.status(500).json({ message: 'Server error' });
+  } finally {
+    if (session) await session.endSession();
+  }
+
+  res.json({ payment: formatPayment(payment), order: paymentState(updated), ...(stockSummary || {}) });
+
+  if (statusChanged) {
+    await sendStatusNotification(updated, 'Processing');
+  }
+}
+
+// Price delivery again for an amended basket, in the zone the order was quoted in.
+// Keeps the current fee when the order is not delivered or can no longer be priced.
+async function requoteDeliveryFee(order, basketTotal) {
+  const currentFee = order.delivery_fee || 0;
+  if (order.type !== 'Online') return currentFee;
+  const delivery = order.delivery || {};
+  if (delivery.zone_id) {
+    const zone = await DeliveryZone.findById(delivery.zone_id);
+    if (zone) {
+      const fee = zone.feeFor(delivery.distance_km ?? null, basketTotal);
+      return fee === null ? currentFee : roundMoney(fee);
+    }
+  }
+  const quote = await DeliveryZone.quote({ address: order.address, latitude: delivery.latitude, longitude: delivery.longitude, basketTotal });
+  return quote.deliverable ? roundMoney(quote.fee) : currentFee;
+}
+
+/**
+ * Amend the lines of a Pending or Processing order in one transaction.
+ * Body: { add?: [{ product_uid | product_id, variant_id?, quantity }],
+ *         update?: [{ order_item_id, quantity }], remove?: [order_item_id],
+ *         discount?, note?, expected_revision? }
+ * Added lines are priced at current prices; totals are recalculated and the
+ * held (Pending) or deducted (Processing) stock follows the new quantities.
+ */
+async function amendOrder(req, res) {
+  const { id } = req.params;
+  if (!isValidObjectId(id)) {
+    return res.status(400).json({ message: 'Invalid order ID format' });
+  }
+
+  const { add = [], update = [], remove = [], discount, note, expected_revision } = req.body || {};
+  if (!Array.isArray(add) || !Array.isArray(update) || !Array.isArray(remove)) {
+    return res.status(400).json({ message: 'add, update and remove must be arrays' });
+  }
+  if (add.length + update.length + remove.length === 0 && discount === undefined) {
+    return res.status(400).json({ message: 'No changes requested' });
+  }
+
+  try {
+    const order = await Order.findById(id).lean();
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+    if (!Order.AMENDABLE_STATUSES.includes(order.status)) {
+      return res.status(409).json({ message: `Only ${Order.AMENDABLE_STATUSES.join(' or ')} orders can be amended`, current_status: order.status });
+    }
+    if ((order.refunded_total || 0) > 0) {
+      return res.status(409).json({ message: 'Orders with refunds cannot be amended' });
+    }
+    const currentRevision = order.revision || 0;
+    if (expected_revision !== undefined && Number(expected_revision) !== currentRevision) {
+      return res.status(409).json({ message: 'Order has been amended since it was loaded', current_revision: currentRevision });
+    }
+
+    // Resolve and price new lines up front; product reads do not need the transaction
+    const addedLines = [];
+    const unresolved = [];
+    for (let index = 0; index < add.length; index++) {
+      const result = await resolveOrderLine(add[index]);
+      if (result.error) {
+        unresolved.push({ index, product_id: add[index].product_uid || add[index].product_id || null, error: result.error });
+        continue;
+      }
+      addedLines.push({ ...result.line, order_id: order._id });
+    }
+    if (unresolved.length > 0) {
+      return res.status(422).json({ message: 'Some added items could not be matched to a product', unresolved });
+    }
+    await repriceOrderLines(addedLines);
+
+    const currentItems = await OrderItem.find({ order_id: id }).lean();
+    const itemsById = new Map(currentItems.map(item => [String(item._id), item]));
+    const changes = [];
+    // Extra stock each change needs (negative when stock is given back)
+    const stockDeltas = [];
+    const touched = new Set();
+
+    const lineChange = (action, item, quantityAfter) => ({
+      action,
+      order_item_id: item._id || null,
+      product_id: item.product_id,
+      variant_id: item.variant_id || null,
+      product_name: item.product_name,
+      variant_name: item.variant_name || null,
+      quantity_before: action === 'add' ? 0 : item.quantity,
+      quantity_after: quantityAfter,
+      unit_price: item.unit_price
+    });
+
+    for (const entry of [...update.map(e => ({ ...e, action: 'update' })), ...remove.map(itemId => ({ order_item_id: itemId, action: 'remove' }))]) {
+      const itemId = String(entry.order_item_id || '');
+      const item = itemsById.get(itemId);
+      if (!item) {
+        return res.status(400).json({ message: `Order item ${itemId} does not belong to this order` });
+      }
+      if (touched.has(itemId)) {
+        return res.status(400).json({ message: `Order item ${itemId} is listed more than once` });
+      }
+      touched.add(itemId);
+
+      const quantity = entry.action === 'remove' ? 0 : Number(entry.quantity);
+      if (entry.action === 'update' && (!Number.isInteger(quantity) || quantity <= 0)) {
+        return res.status(400).json({ message: `Quantity for ${item.product_name} must be a positive whole number; use remove to drop the line` });
+      }
+      if (quantity === item.quantity) continue;
+
+      changes.push(lineChange(entry.action, item, quantity));
+      stockDeltas.push({ product_id: item.product_id, variant_id: item.variant_id, product_name: item.product_name, quantity: quantity - item.quantity });
+    }
+    for (const line of addedLines) {
+      changes.push(lineChange('add', line, line.quantity));
+      stockDeltas.push({ product_id: line.product_id, variant_id: line.variant_id, product_name: line.product_name, quantity: line.quantity });
+    }
+
+    const remainingLines = currentItems
+      .filter(item => !changes.some(c => c.action === 'remove' && String(c.order_item_id) === String(item._id)))
+      .map(item => {
+        const change = changes.find(c => c.action === 'update' && String(c.order_item_id) === String(item._id));
+        return change ? roundMoney(item.unit_price * change.quantity_after) : item.total_price;
+      });
+    if (remainingLines.length + addedLines.length === 0) {
+      return res.status(400).json({ message: 'An order must keep at least one item; cancel the order instead' });
+    }
+
+    const totalPrice = roundMoney([...remainingLines, ...addedLines.map(line => line.total_price)].reduce((sum, value) => sum + value, 0));
+    let newDiscount = Math.min(order.discount || 0, totalPrice);
+    if (discount !== undefined) {
+      const requestedDiscount = Math.max(Number(discount) || 0, 0);
+      const maxDiscount = roundMoney(totalPrice * maxDiscountPercent(req) / 100);
+      if (requestedDiscount - maxDiscount > PRICE_TOLERANCE) {
+        return res.status(422).json({ message: `Discount cannot exceed ${maxDiscount}`, max_discount: maxDiscount });
+      }
+      newDiscount = requestedDiscount;
+    }
+    // The basket may have crossed the zone's free-delivery threshold either way
+    const deliveryFee = await requoteDeliveryFee(order, totalPrice);
+    const totalsBefore = { totalPrice: order.totalPrice, discount: order.discount || 0, delivery_fee: order.delivery_fee || 0, net_total: order.net_total };
+    const totalsAfter = { totalPrice, discount: roundMoney(newDiscount), delivery_fee: deliveryFee, net_total: roundMoney(totalPrice - newDiscount + deliveryFee) };
+
+    let updated;
+    let stockSummary = null;
+    let session;
+    try {
+      session = await Order.startSession();
+      await session.withTransaction(async () => {
+        // Claim the next revision; fails if the order moved on since it was read
+        const locked = await Order.findOneAndUpdate(
+          { _id: id, status: order.status, revision: currentRevision },
+          { $inc: { revision: 1 } },
+          { new: true, session }
+        );
+        if (!locked) throw httpError(409, 'Order changed while amending. Reload the order and try again.');
+
+        for (const change of changes) {
+          if (change.action === 'update') {
+            await OrderItem.updateOne(
+              { _id: change.order_item_id },
+              { quantity: change.quantity_after, total_price: roundMoney(change.unit_price * change.quantity_after) },
+              { session }
+            );
+          } else if (change.action === 'remove') {
+            await OrderItem.deleteOne({ _id: change.order_item_id }, { session });
+          }
+        }
+        if (addedLines.length > 0) {
+          const created = await OrderItem.insertMany(addedLines, { session });
+          changes.filter(c => c.action === 'add').forEach((change, index) => {
+            change.order_item_id = created[index]._id;
+          });
+        }
+
+        if (order.status === 'Pending') {
+          // Re-hold the whole order at its new quantities, keeping the original expiry
+          const existingHold = await StockReservation.findOne({ order_id: id, status: 'held' }).session(session);
+          const ttlMinutes = existingHold ? Math.max((existingHold.expires_at - Date.now()) / 60000, 1) : undefined;
+          const released = await StockReservation.releaseForOrder(id, { session });
+          const lines = await OrderItem.find({ order_id: id }).session(session).lean();
+          // With its own holds released, the whole order must fit in what is available to sell
+          await claimOrderStock(lines, session);
+          const holds = await StockReservation.holdForOrder(id, lines, { session, ...(ttlMinutes ? { ttlMinutes } : {}) });
+          stockSummary = { reservations_released: released, reservations_held: holds.length };
+        } else {
+          // Processing orders already had their stock taken, so apply the differences.
+          // Extra units must be available to sell, like a new order's lines.
+          const increases = stockDeltas.filter(delta => delta.quantity > 0);
+          if (increases.length > 0) await claimOrderStock(increases, session);
+          let unitsDeducted = 0;
+          let unitsRestored = 0;
+          for (const delta of stockDeltas) {
+            const change = await Product.adjustStock(delta.product_id, delta.variant_id, -delta.quantity, {
+              session,
+              movement: orderStockMovement(req, order, delta.quantity > 0 ? 'sale' : 'return', `Order amended (revision ${currentRevision + 1})`),
+              requireStock: delta.quantity > 0
+            });
+            if (!change.applied) {
+              // A deduction that cannot be taken aborts the amendment; a product
+              // deleted since it was ordered has nowhere to take returns back to
+              if (delta.quantity > 0) {
+                throw httpError(409, 'Insufficient stock for some items', {
+                  shortages: [{ product_id: delta.product_id, variant_id: delta.variant_id || null, name: delta.product_name, requested: delta.quantity, reason: change.reason }]
+                });
+              }
+              continue;
+            }
+            if (delta.quantity > 0) unitsDeducted += delta.quantity;
+            else unitsRestored -= delta.quantity;
+          }
+          stockSummary = { stock_adjusted: { units_deducted: unitsDeducted, units_restored: unitsRestored } };
+        }
+
+        updated = await Order.findByIdAndUpdate(
+          id,
+          {
+            ...totalsAfter,
+            $push: {
+              revisions: {
+                revision: locked.revision,
+                changed_at: new Date(),
+                changed_by: changedBy(req),
+                note: note || undefined,
+                changes,
+                totals_before: totalsBefore,
+                totals_after: totalsAfter
+              }
+            }
+          },
+          { new: true, session }
+        );
+      });
+    } catch (error) {
+      console.error('amendOrder transaction error:', error.message);
+      if (error.status) return res.status(error.status).json(error.body || { message: error.message });
+      return res.status(500).json({ message: 'Server error' });
+    } finally {
+      if (session) await session.endSession();
+    }
+
+    // The new total may leave the order under- or over-paid
+    updated = await refreshOrderPaymentState(updated);
+
+    const items = await OrderItem.find({ order_id: id }).lean();
+    res.json({
+      order: { ...updated.toObject(), id: updated._id },
+      items: items.map(item => ({
+        id: item._id,
+        product_id: item.product_id,
+        product_uid: item.product_uid || null,
+        name: item.product_name,
+        quantity: item.quantity,
+        price: item.unit_price,
+        total_price: item.total_price,
+        variant_id: item.variant_id || null,
+        variant_name: item.variant_name || null
+      })),
+      ...(stockSummary || {})
+    });
+  } catch (error) {
+    console.error('Error in amendOrder:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
+function formatRefund(refund) {
+  return {
+    id: refund._id,
+    order_id: refund.order_id,
+    order_code: refund.order_code,
+    amount: refund.amount,
+    delivery_fee_refunded: refund.delivery_fee_refunded || 0,
+    method: refund.method,
+    reason: refund.reason,
+    note: refund.note || null,
+    lines: refund.lines,
+    refunded_by: refund.refunded_by,
+    created_at: refund.createdAt
+  };
+}
+
+/**
+ * Refund an order fully or partially, by line item and quantity.
+ * Body: { items?: [{ order_item_id, quantity, restock? }], reason, method, restock?, note? }
+ * Omitting items refunds everything not yet refunded.
+ */
+async function createRefund(req, res) {
+  const { id } = req.params;
+  if (!isValidObjectId(id)) {
+    return res.status(400).json({ message: 'Invalid order ID format' });
+  }
+
+  const { items, reason, method, restock = false, note } = req.body || {};
+  if (!reason || typeof reason !== 'string' || !reason.trim()) {
+    return res.status(400).json({ message: 'Refund reason is required' });
+  }
+  if (!Refund.METHODS.includes(method)) {
+    return res.status(400).json({ message: 'Invalid refund method. Must be one of: ' + Refund.METHODS.join(', ') });
+  }
+  if (items !== undefined && (!Array.isArray(items) || items.length === 0)) {
+    return res.status(400).json({ message: 'items must be a non-empty array when provided' });
+  }
+
+  let refund;
+  let updatedOrder;
+  let session;
+  try {
+    session = await Order.startSession();
+    await session.withTransaction(async () => {
+      const order = await Order.findById(id).session(session);
+      if (!order) throw httpError(404, 'Order not found');
+      if (!Refund.REFUNDABLE_STATUSES.includes(order.status)) {
+        throw httpError(409, `Only ${Refund.REFUNDABLE_STATUSES.join(' or ')} orders can be refunded`);
+      }
+
+      const orderItems = await OrderItem.find({ order_id: id }).session(session);
+      const itemsById = new Map(orderItems.map(item => [String(item._id), item]));
+      const refunded = await Refund.refundedQuantities(id, { session });
+      const remainingFor = item => (Number(item.quantity) || 0) - (refunded.get(String(item._id)) || 0);
+
+      const requested = items
+        ? items.map(line => ({
+          order_item_id: String(line.order_item_id || ''),
+          quantity: Number(line.quantity),
+          restock: line.restock !== undefined ? !!line.restock : !!restock
+        }))
+        : orderItems
+          .filter(item => remainingFor(item) > 0)
+          .map(item => ({ order_item_id: String(item._id), quantity: remainingFor(item), restock: !!restock }));
+
+      if (requested.length === 0) throw httpError(409, 'Order has already been fully refunded');
+
+      // Order-level discounts are shared out across lines in proportion to their value;
+      // the delivery fee is only returned by the refund that clears the order
+      const discountRatio = order.totalPrice > 0 ? (order.net_total - (order.delivery_fee || 0)) / order.totalPrice : 1;
+      const lines = [];
+      for (const line of requested) {
+        const item = itemsById.get(line.order_item_id);
+        if (!item) throw httpError(400, `Order item ${line.order_item_id} does not belong to this order`);
+        if (!Number.isInteger(line.quantity) || line.quantity <= 0) {
+          throw httpError(400, `Refund quantity for ${item.product_name} must be a positive whole number`);
+        }
+        if (line.quantity > remainingFor(item)) {
+          throw httpError(409, `Only ${remainingFor(item)} of ${item.product_name} can still be refunded`);
+        }
+        // Count this line against the remaining quantity for any repeated entry
+        refunded.set(line.order_item_id, (refunded.get(line.order_item_id) || 0) + line.quantity);
+
+        let restocked = false;
+        if (line.restock) {
+          const change = await Product.adjustStock(item.product_id, item.variant_id, line.quantity, {
+            session,
+            movement: orderStockMovement(req, order, 'return', 'Refund restock')
+          });
+          restocked = change.applied;
+        }
+
+        lines.push({
+          order_item_id: item._id,
+          product_id: item.product_id,
+          variant_id: item.variant_id || null,
+          product_name: item.product_name,
+          variant_name: item.variant_name || null,
+          quantity: line.quantity,
+          unit_price: item.unit_price,
+          amount: roundMoney(item.unit_price * line.quantity * discountRatio),
+          restocked
+        });
+      }
+
+      const remainingAmount = roundMoney(order.net_total - (order.refunded_total || 0));
+      const fullyRefunded = orderItems.every(item => remainingFor(item) <= 0);
+      // The last refund takes whatever is left so rounding never leaves a few cents behind
+      const amount = fullyRefunded
+        ? remainingAmount
+        : Math.min(roundMoney(lines.reduce((sum, line) => sum + line.amount, 0)), remainingAmount);
+      // Kept apart so sales summaries, which leave delivery fees out, only lose the goods
+      const deliveryFeeRefunded = fullyRefunded ? Math.min(order.delivery_fee || 0, amount) : 0;
+
+      [refund] = await Refund.create([{
+        order_id: order._id,
+        order_code: order.order_code,
+        order_type: order.type,
+        lines,
+        amount,
+        delivery_fee_refunded: deliveryFeeRefunded,
+        reason: reason.trim(),
+        method,
+        note: note || undefined,
+        refunded_by: changedBy(req)
+      }], { session });
+
+      updatedOrder = await Order.findByIdAndUpdate(
+        id,
+        {
+          $inc: { refunded_total: amount },
+          refund_status: fullyRefunded ? 'Full' : 'Partial'
+        },
+        { new: true, session, select: 'order_code status net_total refunded_total refund_status' }
+      );
+    });
+  } catch (error) {
+    console.error('Error in createRefund:', error.message);
+    if (error.status) return res.status(error.status).json(error.body || { message: error.message });
+    return res.status(500).json({ message: 'Server error' });
+  } finally {
+    if (session) await session.endSession();
+  }
+
+  res.status(201).json({
+    refund: formatRefund(refund),
+    order: {
+      id: updatedOrder._id,
+      order_code: updatedOrder.order_code,
+      net_total: updatedOrder.net_total,
+      refunded_total: updatedOrder.refunded_total,
+      refund_status: updatedOrder.refund_status
+    }
+  });
+}
+
+/**
+ * List refunds issued against an order
+ */
+async function listOrderRefunds(req, res) {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ message: 'Invalid order ID format' });
+    }
+
+    const order = await Order.findById(id).select('order_code net_total refunded_total refund_status').lean();
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+
+    const refunds = await Refund.find({ order_id: id }).sort({ createdAt: 1 }).lean();
+    res.json({
+      order_id: order._id,
+      order_code: order.order_code,
+      net_total: order.net_total,
+      refunded_total: order.refunded_total || 0,
+      refund_status: order.refund_status || 'None',
+      refunds: refunds.map(formatRefund)
+    });
+  } catch (error) {
+    console.error('Error in listOrderRefunds:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
+module.exports = { listOrders, updateOrderPayment, createOrder, getOrder, getOrderItems, uploadPaymentProof, listOrderPayments, recordPayment, listPaymentsForReview, reviewPayment, amendOrder, createRefund, listOrderRefunds };
\ No newline at end of file
@@ -1,13 +1,33 @@
 const Product = require('../models/Product');
+const StockReservation = require('../models/StockReservation');
+const StockMovement = require('../models/StockMovement');
+const StockLot = require('../models/StockLot');
 const path = require('path');
 const mongoose = require('mongoose');
 const { imageOptimization, generatePlaceholder, checkImageExists, resizeImage, progressiveLoading } = require('../middleware/imageOptimization');
+const { actorFromRequest } = require('../middleware/audit');
 
 // Helper function to validate MongoDB ObjectId
 function isValidObjectId(id) {
   return mongoose.Types.ObjectId.isValid(id);
 }
 
+// Default look-ahead for the expiring-soon list
+const EXPIRY_WARNING_DAYS = Number(process.env.EXPIRY_WARNING_DAYS) || 30;
+
+// Fields loaded for a barcode scan
+const SCAN_SELECT = 'product_uid name category description price stock barcode track_stock image_url variants';
+
+// Stock ledger context for a change made through this controller
+function stockMovementContext(req, type, note) {
+  const actor = actorFromRequest(req);
+  return {
+    type,
+    user: { user_id: actor.user_id, email: actor.email, api_key_name: actor.api_key_name },
+    note
+  };
+}
+
 async function listProducts(req, res) {
   try {
     const page = Math.max(parseInt(req.query.page || '1'), 1);
@@ -31,12 +51,15 @@ async function listProducts(req, res) {
     
     // Get paginated products with search and external sorting
     const products = await Product.find(searchQuery)
-      .select('name category description price stock barcode image_url image_public_id variants createdAt')
+      .select('product_uid name category description price stock barcode image_url image_public_id variants createdAt')
       .sort({ name: 1 })
       .allowDiskUse(true) // Enable external sorting to prevent memory limit issues
       .skip((page - 1) * pageSize)
       .limit(pageSize)
       .lean();
+
+    // Stock held by pending orders is not available to sell
+    await StockReservation.annotateAvailability(products);
     
     // Add lazy loading support for images with Cloudinary URLs
     const productsWithUrls = products.map(product => {
@@ -108,7 +131,7 @@ async function listProductsDataTables(req, res) {
     
     // Get paginated products with search and sorting
     const products = await Product.find(searchQuery)
-      .select('name category description price stock barcode image_url image_public_id variants createdAt')
+      .select('product_uid name category description price stock barcode image_url image_public_id variants createdAt')
       .sort({ [sortField]: sortOrder })
       .allowDiskUse(true)
       .skip(start)
@@ -120,6 +143,7 @@ async function listProductsDataTables(req, res) {
       return {
         DT_RowId: product._id,
         id: product._id, // Add id field for client-side access
+        product_uid: product.product_uid || null,
         name: product.name,
         barcode: product.barcode || null,
         category: product.category || '-',
@@ -163,6 +187,7 @@ async function updateProduct(req, res) {
   }
   
   if (!name || typeof name !== 'string') return res.status(400).json({ message: 'Name required' });
+  let session;
   try {
     const updateData = {
       name,
@@ -170,6 +195,7 @@ async function updateProduct(req, res) {
       description: description || null
     };
     const unsetData = {}; // Fields to unset (for sparse index compatibility)
+    const requestedStock = new Map(); // Stock asked for per unit ('' for a product without variants)
 
     // If variants are provided, use them; otherwise use legacy fields
     if (variants && Array.isArray(variants) && variants.length > 0) {
@@ -209,9 +235,9 @@ async function updateProduct(req, res) {
           };
         });
         updateData.variants = validatedVariants;
-        // Calculate aggregate price and stock from variants
+        for (const variant of validatedVariants) requestedStock.set(String(variant._id), variant.stock);
+        // Calculate aggregate price from variants; stock is applied below
         updateData.price = validatedVariants.reduce((sum, v) => sum + (v.price || 0), 0) / validatedVariants.length;
-        updateData.stock = validatedVariants.reduce((sum, v) => sum + (v.stock || 0), 0);
         // Unset barcode field instead of setting to null (for sparse index compatibility)
         unsetData.barcode = '';
       } catch (validationError) {
@@ -224,7 +250,7 @@ async function updateProduct(req, res) {
     } else {
       // Legacy mode - single product without variants
       updateData.price = Number(price) || 0;
-      updateData.stock = Number(stock) || 0;
+      requestedStock.set('', Number(stock) || 0);
       // Only set barcode if it has a value; otherwise unset it (for sparse index compatibility)
       const trimmedBarcode = barcode ? barcode.trim() : '';
       if (trimmedBarcode) {
@@ -243,11 +269,43 @@ async function updateProduct(req, res) {
 
     console.log('Update query:', JSON.stringify(updateQuery, null, 2));
     
-    const product = await Product.findByIdAndUpdate(
-      id,
-      updateQuery,
-      { new: true, runValidators: true }
-    );
+    const movement = stockMovementContext(req, 'adjustment', 'Product edited');
+    let product = null;
+    session = await Product.startSession();
+    await session.withTransaction(async () => {
+      const before = await Product.findById(id).select('stock variants._id variants.stock').session(session).lean();
+      if (!before) {
+        product = null;
+        return;
+      }
+
+      // The edit keeps each unit's stock on record (new variants start empty);
+      // stock changes then go through Product.adjustStock so lots follow them
+      const current = new Map((before.variants || []).map(v => [String(v._id), v.stock || 0]));
+      if (updateData.variants.length > 0) {
+        for (const variant of updateData.variants) variant.stock = current.get(String(variant._id)) || 0;
+        updateData.stock = updateData.variants.reduce((sum, v) => sum + v.stock, 0);
+      } else {
+        updateData.stock = current.size > 0 ? 0 : before.stock || 0;
+      }
+
+      product = await Product.findByIdAndUpdate(
+        id,
+        updateQuery,
+        { new: true, runValidators: true, session }
+      );
+      // Stock that went with removed variants (or a switch to or from variants)
+      await StockMovement.recordSnapshotChanges(product._id, before, product, movement, { session });
+
+      let adjusted = false;
+      for (const [unit, quantity] of requestedStock) {
+        const onRecord = unit ? product.variants.id(unit).stock : product.stock;
+        if (quantity === onRecord) continue;
+        await Product.adjustStock(product._id, unit || null, quantity - onRecord, { session, movement });
+        adjusted = true;
+      }
+      if (adjusted) product = await Product.findById(id).session(session);
+    });
     if (!product) return res.status(404).json({ message: 'Not found' });
     const productWithUrl = {
       ...product.toObject(),
@@ -260,6 +318,8 @@ async function updateProduct(req, res) {
   } catch (error) {
     console.error('Error updating product:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
+  } finally {
+    if (session) await session.endSession();
   }
 }
 
@@ -330,7 +390,7 @@ async function getProduct(req, res) {
   
   try {
     const product = await Product.findById(id)
-      .select('name category description price stock barcode image_url image_public_id variants createdAt');
+      .select('product_uid name category description price stock barcode image_url image_public_id variants createdAt');
     
     if (!product) return res.status(404).json({ message: 'Product not found' });
     
@@ -442,7 +502,7 @@ async function getAllProductsLazy(req, res) {
     
     // Get products with pagination and external sorting
     const products = await Product.find(searchQuery)
-      .select('name category description price stock barcode image_url image_public_id variants createdAt')
+      .select('product_uid name category description price stock barcode image_url image_public_id variants createdAt')
       .sort({ name: 1 })
       .allowDiskUse(true) // Enable external sorting to prevent memory limit issues
       .skip((page - 1) * pageSize)
@@ -503,7 +563,7 @@ async function getLowStockItems(req, res) {
     
     // Get all low stock products with external sorting
     const products = await Product.find(searchQuery)
-      .select('name category description price stock barcode image_url image_public_id variants createdAt')
+      .select('product_uid name category description price stock barcode image_url image_public_id variants createdAt')
       .sort({ stock: 1, name: 1 })
       .allowDiskUse(true) // Enable external sorting to prevent memory limit issues
       .lean();
@@ -536,6 +596,69 @@ async function getLowStockItems(req, res) {
   }
 }
 
+// Products with lots expiring within `days` (default EXPIRY_WARNING_DAYS); expired
+// lots still on hand are included unless include_expired=false
+async function getExpiringItems(req, res) {
+  try {
+    const days = req.query.days !== undefined ? Number(req.query.days) : EXPIRY_WARNING_DAYS;
+    if (!Number.isFinite(days) || days < 0 || days > 365) {
+      return res.status(400).json({ message: 'days must be between 0 and 365' });
+    }
+    const includeExpired = req.query.include_expired !== 'false';
+
+    const now = new Date();
+    const until = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+    let lots = await StockLot.expiringBefore(until);
+    if (!includeExpired) lots = lots.filter(lot => lot.expiry_date > now);
+
+    const products = await Product.find({ _id: { $in: [...new Set(lots.map(lot => String(lot.product_id)))] } })
+      .select('product_uid name category image_url variants._id variants.name variants.option1_value variants.option2_value variants.option3_value')
+      .lean();
+    const productById = new Map(products.map(p => [String(p._id), p]));
+
+    const items = lots.map(lot => {
+      const product = productById.get(String(lot.product_id));
+      const variant = product && lot.variant_id
+        ? (product.variants || []).find(v => String(v._id) === String(lot.variant_id))
+        : null;
+      const variantName = variant
+        ? (variant.name || [variant.option1_value, variant.option2_value, variant.option3_value].filter(Boolean).join(' / ') || 'Default')
+        : null;
+      const daysLeft = Math.ceil((lot.expiry_date - now) / (24 * 60 * 60 * 1000));
+      return {
+        lot_id: lot._id,
+        product_id: lot.product_id,
+        product_uid: product ? product.product_uid || null : null,
+        product_name: product ? product.name : null,
+        category: product ? product.category || null : null,
+        variant_id: lot.variant_id || null,
+        variant_name: variantName,
+        batch_number: lot.batch_number || null,
+        received_at: lot.received_at,
+        expiry_date: lot.expiry_date,
+        days_until_expiry: daysLeft,
+        expired: lot.expiry_date <= now,
+        quantity_remaining: lot.quantity_remaining,
+        unit_cost: lot.unit_cost || 0,
+        value: Math.round(lot.quantity_remaining * (lot.unit_cost || 0) * 100) / 100
+      };
+    });
+
+    res.json({
+      items,
+      total: items.length,
+      days,
+      expired: items.filter(i => i.expired).length,
+      expiring: items.filter(i => !i.expired).length,
+      units: items.reduce((sum, i) => sum + i.quantity_remaining, 0),
+      value: Math.round(items.reduce((sum, i) => sum + i.value, 0) * 100) / 100
+    });
+  } catch (error) {
+    console.error('Error in getExpiringItems:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
 async function createProduct(req, res) {
   const { name, category, description, price, stock, barcode, variants } = req.body || {};
   
@@ -606,6 +729,7 @@ async function createProduct(req, res) {
     
     const product = new Product(productData);
     await product.save();
+    await StockMovement.recordSnapshotChanges(product._id, null, product, stockMovementContext(req, 'adjustment', 'Opening stock'));
     
     const productWithUrl = {
       ...product.toObject(),
@@ -648,6 +772,7 @@ async function deleteProduct(req, res) {
       message: 'Product deleted successfully',
       deletedProduct: {
         id: product._id,
+        product_uid: product.product_uid || null,
         name: product.name
       }
     });
@@ -665,48 +790,40 @@ async function searchProductByBarcode(req, res) {
       return res.status(400).json({ message: 'Barcode is required' });
     }
 
-    const normalizedBarcode = barcode.trim();
-    
-    // First try to find by legacy barcode field
-    let product = await Product.findOne({ barcode: normalizedBarcode })
-      .select('name category description price stock barcode track_stock image_url variants');
+    const { product, variant } = await Product.findByBarcode(
+      barcode,
+      'product_uid name category description price stock barcode track_stock image_url variants'
+    );
 
-    // If not found, search in variants
     if (!product) {
-      product = await Product.findOne({ 'variants.barcodes': normalizedBarcode })
-        .select('name category description price stock barcode track_stock image_url variants');
-      
-      if (product) {
-        // Find the specific variant that matches the barcode
-        const matchingVariant = product.variants.find(v => 
-          v.barcodes && v.barcodes.includes(normalizedBarcode)
-        );
-        
-        if (matchingVariant) {
-          return res.json({
-            product: {
-              ...product.toObject(),
-              id: product._id,
-              image_url: product.image_url || `/assets/images/Midwest.jpg`,
-              variant: matchingVariant,
-              variantId: matchingVariant._id.toString(),
-              price: matchingVariant.price,
-              stock: matchingVariant.stock,
-              currentStock: matchingVariant.stock
-            }
-          });
-        }
-      }
+      return res.status(404).json({ message: 'Product not found for this barcode' });
     }
 
-    if (!product) {
-      return res.status(404).json({ message: 'Product not found for this barcode' });
+    if (variant) {
+      const productObject = product.toObject();
+      await StockReservation.annotateAvailability([productObject]);
+      const matchingVariant = productObject.variants.find(v => String(v._id) === String(variant._id));
+      return res.json({
+        product: {
+          ...productObject,
+          id: product._id,
+          image_url: product.image_url || `/assets/images/Midwest.jpg`,
+          variant: matchingVariant,
+          variantId: matchingVariant._id.toString(),
+          price: matchingVariant.price,
+          stock: matchingVariant.stock,
+          currentStock: matchingVariant.stock,
+          available_to_sell: matchingVariant.available_to_sell
+        }
+      });
     }
 
     // Handle legacy product (no variants)
+    const productObject = product.toObject();
+    await StockReservation.annotateAvailability([productObject]);
     res.json({
       product: {
-        ...product.toObject(),
+        ...productObject,
         id: product._id,
         image_url: product.image_url || `/assets/images/Midwest.jpg`,
         currentStock: product.stock
@@ -718,6 +835,31 @@ async function searchProductByBarcode(req, res) {
   }
 }
 
+// Take scanned units off the shelf through the stock ledger. Untracked stock is
+// left alone. Returns { stock } with the new on-hand quantity, or { error, status }.
+async function deductScannedStock(req, product, variant, qty, note) {
+  const target = variant || product;
+  if (target.track_stock === false) return { stock: target.stock };
+
+  const change = await Product.adjustStock(product._id, variant ? variant._id : null, -qty, {
+    requireStock: true,
+    movement: stockMovementContext(req, 'sale', note)
+  });
+  if (!change.applied) {
+    if (change.reason !== 'insufficient_stock') return { error: 'Product not found for this barcode', status: 404 };
+    return { error: variant ? 'Insufficient stock available for this variant' : 'Insufficient stock available', status: 400 };
+  }
+
+  // Mirror the stored change on the loaded document for the response
+  if (variant) {
+    variant.stock = change.stock;
+    product.stock -= qty;
+  } else {
+    product.stock = change.stock;
+  }
+  return { stock: change.stock };
+}
+
 // Batch process multiple scans
 async function batchProcessScans(req, res) {
   try {
@@ -730,7 +872,7 @@ async function batchProcessScans(req, res) {
     const errors = [];
 
     for (const item of items) {
-      const { barcode, quantity = 1, variantId } = item;
+      const { barcode, quantity = 1 } = item;
       if (!barcode || !barcode.trim()) {
         errors.push({ barcode, error: 'Barcode is required' });
         continue;
@@ -743,78 +885,28 @@ async function batchProcessScans(req, res) {
       }
 
       try {
-        const normalizedBarcode = barcode.trim();
-        
-        // First try to find by legacy barcode field
-        let product = await Product.findOne({ barcode: normalizedBarcode })
-          .select('name category description price stock barcode track_stock image_url variants');
-
-        // If not found, search in variants
-        if (!product) {
-          product = await Product.findOne({ 'variants.barcodes': normalizedBarcode })
-            .select('name category description price stock barcode track_stock image_url variants');
-          
-          if (product) {
-            // Find the specific variant that matches the barcode
-            const matchingVariant = product.variants.find(v => 
-              v.barcodes && v.barcodes.includes(normalizedBarcode)
-            );
-            
-            if (matchingVariant) {
-              // Check variant stock
-              if (matchingVariant.track_stock !== false && matchingVariant.stock < qty) {
-                errors.push({ barcode, error: 'Insufficient stock available for this variant' });
-                continue;
-              }
-
-              // Update variant stock
-              if (matchingVariant.track_stock !== false) {
-                matchingVariant.stock = Math.max(0, matchingVariant.stock - qty);
-                // Recalculate product aggregate stock
-                product.stock = product.variants.reduce((sum, v) => sum + (v.stock || 0), 0);
-                await product.save();
-              }
-
-              results.push({
-                barcode,
-                success: true,
-                product: {
-                  id: product._id,
-                  name: product.name,
-                  variant: matchingVariant,
-                  price: matchingVariant.price,
-                  stock: matchingVariant.stock
-                }
-              });
-              continue;
-            }
-          }
-        }
-
+        const { product, variant } = await Product.findByBarcode(barcode, SCAN_SELECT);
         if (!product) {
           errors.push({ barcode, error: 'Product not found for this barcode' });
           continue;
         }
 
-        // Handle legacy product (no variants)
-        if (product.track_stock !== false && product.stock < qty) {
-          errors.push({ barcode, error: 'Insufficient stock available' });
+        const deduction = await deductScannedStock(req, product, variant, qty, 'Batch barcode scan');
+        if (deduction.error) {
+          errors.push({ barcode, error: deduction.error });
           continue;
         }
 
-        if (product.track_stock !== false) {
-          product.stock = Math.max(0, product.stock - qty);
-          await product.save();
-        }
-
         results.push({
           barcode,
           success: true,
           product: {
             id: product._id,
+            product_uid: product.product_uid || null,
             name: product.name,
-            price: product.price,
-            stock: product.stock
+            ...(variant ? { variant } : {}),
+            price: variant ? variant.price : product.price,
+            stock: deduction.stock
           }
         });
       } catch (error) {
@@ -847,63 +939,27 @@ async function scanProduct(req, res) {
       return res.status(400).json({ message: 'Quantity must be greater than zero' });
     }
 
-    const normalizedBarcode = barcode.trim();
-    
-    // First try to find by legacy barcode field
-    let product = await Product.findOne({ barcode: normalizedBarcode })
-      .select('name category description price stock barcode track_stock image_url variants');
-
-    // If not found, search in variants
-    if (!product) {
-      product = await Product.findOne({ 'variants.barcodes': normalizedBarcode })
-        .select('name category description price stock barcode track_stock image_url variants');
-      
-      if (product) {
-        // Find the specific variant that matches the barcode
-        const matchingVariant = product.variants.find(v => 
-          v.barcodes && v.barcodes.includes(normalizedBarcode)
-        );
-        
-        if (matchingVariant) {
-          // Check variant stock
-          if (matchingVariant.track_stock !== false && matchingVariant.stock < qty) {
-            return res.status(400).json({ message: 'Insufficient stock available for this variant' });
-          }
-
-          // Update variant stock
-          if (matchingVariant.track_stock !== false) {
-            matchingVariant.stock = Math.max(0, matchingVariant.stock - qty);
-            // Recalculate product aggregate stock
-            product.stock = product.variants.reduce((sum, v) => sum + (v.stock || 0), 0);
-            await product.save();
-          }
-
-          return res.json({
-            product: {
-              ...product.toObject(),
-              id: product._id,
-              image_url: product.image_url || `/assets/images/Midwest.jpg`,
-              variant: matchingVariant,
-              price: matchingVariant.price,
-              stock: matchingVariant.stock
-            }
-          });
-        }
-      }
-    }
-
+    const { product, variant } = await Product.findByBarcode(barcode, SCAN_SELECT);
     if (!product) {
       return res.status(404).json({ message: 'Product not found for this barcode' });
     }
 
-    // Handle legacy product (no variants)
-    if (product.track_stock !== false && product.stock < qty) {
-      return res.status(400).json({ message: 'Insufficient stock available' });
+    const deduction = await deductScannedStock(req, product, variant, qty, 'Barcode scan');
+    if (deduction.error) {
+      return res.status(deduction.status).json({ message: deduction.error });
     }
 
-    if (product.track_stock !== false) {
-      product.stock = Math.max(0, product.stock - qty);
-      await product.save();
+    if (variant) {
+      return res.json({
+        product: {
+          ...product.toObject(),
+          id: product._id,
+          image_url: product.image_url || `/assets/images/Midwest.jpg`,
+          variant,
+          price: variant.price,
+          stock: variant.stock
+        }
+      });
     }
 
     res.json({
@@ -1023,6 +1079,81 @@ async function uploadVariantImage(req, res) {
   }
 }
 
+/**
+ * Stock ledger for a product, newest first
+ * Query: variant_id, type, from, to (dates), page, limit
+ */
+async function getStockHistory(req, res) {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ message: 'Invalid product ID format' });
+    }
+
+    const product = await Product.findById(id).select('product_uid name stock variants._id variants.name variants.stock').lean();
+    if (!product) return res.status(404).json({ message: 'Product not found' });
+
+    const { variant_id, type, from, to } = req.query;
+    const page = Math.max(parseInt(req.query.page || '1'), 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '50'), 1), 200);
+
+    const filter = { product_id: product._id };
+    if (variant_id) {
+      if (!isValidObjectId(variant_id)) return res.status(400).json({ message: 'Invalid variant ID format' });
+      filter.variant_id = variant_id;
+    }
+    if (type) {
+      if (!StockMovement.TYPES.includes(type)) {
+        return res.status(400).json({ message: 'Invalid movement type', allowed_types: StockMovement.TYPES });
+      }
+      filter.type = type;
+    }
+    if (from || to) {
+      filter.created_at = {};
+      if (from) filter.created_at.$gte = new Date(from);
+      if (to) filter.created_at.$lte = new Date(to);
+      if (Object.values(filter.created_at).some(date => isNaN(date.getTime()))) {
+        return res.status(400).json({ message: 'Invalid date format' });
+      }
+    }
+
+    const [movements, total] = await Promise.all([
+      StockMovement.find(filter)
+        .sort({ created_at: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      StockMovement.countDocuments(filter)
+    ]);
+
+    res.json({
+      product: {
+        id: product._id,
+        product_uid: product.product_uid || null,
+        name: product.name,
+        stock: product.stock,
+        variants: (product.variants || []).map(v => ({ id: v._id, name: v.name || null, stock: v.stock }))
+      },
+      movements: movements.map(m => ({
+        id: m._id,
+        type: m.type,
+        variant_id: m.variant_id || null,
+        quantity: m.quantity,
+        stock_before: m.stock_before ?? null,
+        stock_after: m.stock_after ?? null,
+        reference: m.reference || null,
+        user: m.user || null,
+        note: m.note || null,
+        created_at: m.created_at
+      })),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('Error in getStockHistory:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
 module.exports = { 
   listProducts, 
   listProductsDataTables,
@@ -1043,7 +1174,9 @@ module.exports = {
   scanProduct,
   searchProductByBarcode,
   batchProcessScans,
-  uploadVariantImage
+  uploadVariantImage,
+  getStockHistory,
+  getExpiringItems
 };
 
 
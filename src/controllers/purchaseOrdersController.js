@@ -0,0 +1,788 @@
+const mongoose = require('mongoose');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Supplier = require('../models/Supplier');
+const SupplierProduct = require('../models/SupplierProduct');
+const Product = require('../models/Product');
+const OrderItem = require('../models/OrderItem');
+const StockReservation = require('../models/StockReservation');
+const { actorFromRequest } = require('../middleware/audit');
+
+function isValidObjectId(id) {
+  return mongoose.Types.ObjectId.isValid(id);
+}
+
+// Reorder engine defaults: sales history window, safety stock and how many
+// days of sales a suggested order should cover once it arrives
+const REORDER_VELOCITY_DAYS = Number(process.env.REORDER_VELOCITY_DAYS) || 30;
+const REORDER_SAFETY_DAYS = Number(process.env.REORDER_SAFETY_DAYS) || 7;
+const REORDER_COVER_DAYS = Number(process.env.REORDER_COVER_DAYS) || 30;
+
+function roundMoney(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+function httpError(status, message, extra = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.body = { message, ...extra };
+  return error;
+}
+
+function actorFrom(req) {
+  const actor = actorFromRequest(req);
+  return { user_id: actor.user_id, email: actor.email };
+}
+
+function transitionErrorBody(from, to) {
+  return {
+    message: `Cannot change purchase order status from ${from} to ${to}`,
+    current_status: from,
+    allowed_statuses: PurchaseOrder.TRANSITIONS[from] || []
+  };
+}
+
+function formatPurchaseOrder(po) {
+  const supplier = po.supplier_id && po.supplier_id.name ? po.supplier_id : null;
+  return {
+    id: po._id,
+    po_number: po.po_number,
+    supplier_id: supplier ? supplier._id : po.supplier_id,
+    supplier_name: supplier ? supplier.name : undefined,
+    status: po.status,
+    lines: (po.lines || []).map(line => ({
+      id: line._id,
+      supplier_product_id: line.supplier_product_id,
+      product_id: line.product_id,
+      variant_id: line.variant_id || null,
+      product_name: line.product_name,
+      variant_name: line.variant_name || null,
+      supplier_sku: line.supplier_sku || null,
+      quantity_ordered: line.quantity_ordered,
+      quantity_received: line.quantity_received || 0,
+      quantity_outstanding: Math.max(0, line.quantity_ordered - (line.quantity_received || 0)),
+      unit_cost: line.unit_cost,
+      line_total: line.line_total
+    })),
+    subtotal: po.subtotal || 0,
+    received_value: po.received_value || 0,
+    receipts: po.receipts || [],
+    notes: po.notes || null,
+    expected_date: po.expected_date || null,
+    sent_at: po.sent_at || null,
+    received_at: po.received_at || null,
+    closed_at: po.closed_at || null,
+    close_reason: po.close_reason || null,
+    created_by: po.created_by || null,
+    created_at: po.createdAt,
+    updated_at: po.updatedAt
+  };
+}
+
+function variantDisplayName(variant) {
+  if (variant.name) return variant.name;
+  const parts = [variant.option1_value, variant.option2_value, variant.option3_value].filter(Boolean);
+  return parts.length > 0 ? parts.join(' / ') : 'Default';
+}
+
+/**
+ * Price requested lines from the supplier's catalogue.
+ * items: [{ product_id, variant_id?, quantity }]. Each product must be an active
+ * SupplierProduct of the supplier; unit_cost comes from supplier_cost and the
+ * quantity per product must respect minimum/maximum_order_quantity.
+ */
+async function buildPurchaseOrderLines(supplierId, items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw httpError(400, 'At least one line is required');
+  }
+
+  const seen = new Set();
+  for (const item of items) {
+    if (!item || !isValidObjectId(item.product_id)) throw httpError(400, 'Each line needs a valid product_id');
+    if (item.variant_id && !isValidObjectId(item.variant_id)) throw httpError(400, 'Invalid variant_id format');
+    const quantity = Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity <= 0) throw httpError(400, 'Each line needs a whole quantity greater than zero');
+    const key = `${item.product_id}:${item.variant_id || ''}`;
+    if (seen.has(key)) throw httpError(400, 'Each product/variant can only appear once per purchase order');
+    seen.add(key);
+  }
+
+  const productIds = [...new Set(items.map(item => String(item.product_id)))];
+  const [supplierProducts, products] = await Promise.all([
+    SupplierProduct.find({ supplier_id: supplierId, product_id: { $in: productIds }, is_active: true }).lean(),
+    Product.find({ _id: { $in: productIds } }).select('name sku variants').lean()
+  ]);
+  const supplierProductById = new Map(supplierProducts.map(sp => [String(sp.product_id), sp]));
+  const productById = new Map(products.map(p => [String(p._id), p]));
+
+  const notSupplied = productIds.filter(id => !supplierProductById.has(id) || !productById.has(id));
+  if (notSupplied.length > 0) {
+    throw httpError(422, 'Some products are not supplied by this supplier', { product_ids: notSupplied });
+  }
+
+  const lines = items.map(item => {
+    const product = productById.get(String(item.product_id));
+    const supplierProduct = supplierProductById.get(String(item.product_id));
+    let variant = null;
+    if (item.variant_id) {
+      variant = (product.variants || []).find(v => String(v._id) === String(item.variant_id));
+      if (!variant) throw httpError(422, `Variant ${item.variant_id} not found on ${product.name}`);
+    }
+    const quantity = Number(item.quantity);
+    const unitCost = roundMoney(supplierProduct.supplier_cost);
+    return {
+      supplier_product_id: supplierProduct._id,
+      product_id: product._id,
+      variant_id: variant ? variant._id : null,
+      product_name: product.name,
+      variant_name: variant ? variantDisplayName(variant) : null,
+      supplier_sku: supplierProduct.supplier_sku || product.sku || null,
+      quantity_ordered: quantity,
+      quantity_received: 0,
+      unit_cost: unitCost,
+      line_total: roundMoney(unitCost * quantity)
+    };
+  });
+
+  // Order quantity limits are per product, so variants of one product count together
+  const violations = [];
+  for (const productId of productIds) {
+    const supplierProduct = supplierProductById.get(productId);
+    const quantity = lines
+      .filter(line => String(line.product_id) === productId)
+      .reduce((sum, line) => sum + line.quantity_ordered, 0);
+    const minimum = supplierProduct.minimum_order_quantity || 1;
+    const maximum = supplierProduct.maximum_order_quantity;
+    if (quantity < minimum) {
+      violations.push({ product_id: productId, product_name: productById.get(productId).name, quantity, minimum_order_quantity: minimum });
+    } else if (maximum && quantity > maximum) {
+      violations.push({ product_id: productId, product_name: productById.get(productId).name, quantity, maximum_order_quantity: maximum });
+    }
+  }
+  if (violations.length > 0) {
+    throw httpError(422, 'Some lines do not meet the supplier order quantity limits', { violations });
+  }
+
+  return lines;
+}
+
+function subtotalOf(lines) {
+  return roundMoney(lines.reduce((sum, line) => sum + line.line_total, 0));
+}
+
+// Create a draft purchase order; shared with other controllers that raise POs
+async function createDraftPurchaseOrder({ supplierId, items, notes, expectedDate, createdBy }) {
+  if (!isValidObjectId(supplierId)) throw httpError(400, 'Invalid supplier ID format');
+  const supplier = await Supplier.findById(supplierId).select('name is_active').lean();
+  if (!supplier) throw httpError(404, 'Supplier not found');
+  if (supplier.is_active === false) throw httpError(422, 'Supplier is inactive');
+
+  const lines = await buildPurchaseOrderLines(supplierId, items);
+  const po = new PurchaseOrder({
+    po_number: await PurchaseOrder.nextPoNumber(),
+    supplier_id: supplierId,
+    lines,
+    subtotal: subtotalOf(lines),
+    notes: notes || undefined,
+    expected_date: expectedDate || undefined,
+    created_by: createdBy
+  });
+  await po.save();
+  return po;
+}
+
+function parseDaysParam(value, fallback, max = 365) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const days = Number(value);
+  if (!Number.isFinite(days) || days < 0 || days > max) return null;
+  return days;
+}
+
+// The supplier a product is reordered from: its primary supplier, then a
+// preferred supplier, then the cheapest
+function pickReorderSupplier(supplierProducts) {
+  const candidates = supplierProducts.filter(sp => sp.supplier_id && sp.supplier_id.is_active !== false);
+  candidates.sort((a, b) =>
+    (b.is_primary_supplier ? 1 : 0) - (a.is_primary_supplier ? 1 : 0) ||
+    (b.supplier_id.is_preferred ? 1 : 0) - (a.supplier_id.is_preferred ? 1 : 0) ||
+    (a.supplier_cost || 0) - (b.supplier_cost || 0)
+  );
+  return candidates[0] || null;
+}
+
+// Bring one product's suggested lines within the supplier's order quantity limits
+function applyOrderQuantityLimits(lines, supplierProduct) {
+  const total = lines.reduce((sum, line) => sum + line.suggested_quantity, 0);
+  const minimum = supplierProduct.minimum_order_quantity || 1;
+  const maximum = supplierProduct.maximum_order_quantity;
+
+  if (total < minimum) {
+    // Top up the fastest seller so the product reaches the minimum
+    const fastest = lines.reduce((best, line) => (line.average_daily_sales > best.average_daily_sales ? line : best), lines[0]);
+    fastest.suggested_quantity += minimum - total;
+  } else if (maximum && total > maximum) {
+    for (const line of lines) {
+      line.suggested_quantity = Math.floor(line.suggested_quantity * maximum / total);
+    }
+  }
+  return lines.filter(line => line.suggested_quantity > 0);
+}
+
+/**
+ * Work out reorder suggestions from sales velocity.
+ * For each stocked product/variant: average daily sales over `days`, a reorder
+ * point of sales during (lead time + safety days), and when stock position
+ * (stock - reserved + on order) is at or below it, a quantity that tops it up
+ * to cover (lead time + safety + cover days). Quantities respect the supplier's
+ * minimum/maximum_order_quantity and lines are grouped by the chosen supplier.
+ */
+async function buildReorderSuggestions({ days, safetyDays, coverDays, supplierId = null }) {
+  const products = await Product.find({ track_stock: { $ne: false } })
+    .select('name sku stock variants track_stock')
+    .lean();
+  const productIds = products.map(p => p._id);
+
+  const [velocity, held, onOrder, supplierProducts] = await Promise.all([
+    OrderItem.salesVelocity({ days }),
+    StockReservation.heldQuantities(productIds),
+    PurchaseOrder.onOrderQuantities(),
+    SupplierProduct.find({ product_id: { $in: productIds }, is_active: true })
+      .populate('supplier_id', 'name is_active is_preferred delivery_lead_time minimum_order_value')
+      .lean()
+  ]);
+
+  const supplierProductsByProduct = new Map();
+  for (const sp of supplierProducts) {
+    const key = String(sp.product_id);
+    if (!supplierProductsByProduct.has(key)) supplierProductsByProduct.set(key, []);
+    supplierProductsByProduct.get(key).push(sp);
+  }
+
+  const groups = new Map();
+  const unassigned = [];
+
+  for (const product of products) {
+    const units = Array.isArray(product.variants) && product.variants.length > 0
+      ? product.variants.filter(v => v.track_stock !== false).map(v => ({ variant: v, stock: v.stock || 0 }))
+      : [{ variant: null, stock: product.stock || 0 }];
+
+    const supplierProduct = pickReorderSupplier(supplierProductsByProduct.get(String(product._id)) || []);
+    const supplier = supplierProduct ? supplierProduct.supplier_id : null;
+    const leadTimeDays = supplierProduct
+      ? (supplierProduct.lead_time_days || supplier.delivery_lead_time || 0)
+      : 0;
+
+    const lines = [];
+    for (const { variant, stock } of units) {
+      const key = `${product._id}:${variant ? variant._id : ''}`;
+      const sales = velocity.get(key);
+      if (!sales || sales.per_day <= 0) continue;
+
+      const reserved = held.get(key) || 0;
+      const incoming = onOrder.get(key) || 0;
+      const position = stock - reserved + incoming;
+      const reorderPoint = Math.ceil(sales.per_day * (leadTimeDays + safetyDays));
+      if (position > reorderPoint) continue;
+
+      const target = Math.ceil(sales.per_day * (leadTimeDays + safetyDays + coverDays));
+      lines.push({
+        product_id: product._id,
+        variant_id: variant ? variant._id : null,
+        product_name: product.name,
+        variant_name: variant ? variantDisplayName(variant) : null,
+        stock,
+        reserved,
+        on_order: incoming,
+        sold_in_period: sales.quantity,
+        average_daily_sales: Math.round(sales.per_day * 100) / 100,
+        days_of_cover: Math.max(0, Math.round((stock - reserved) / sales.per_day * 10) / 10),
+        lead_time_days: leadTimeDays,
+        reorder_point: reorderPoint,
+        suggested_quantity: Math.max(0, target - position)
+      });
+    }
+    if (lines.length === 0) continue;
+
+    if (!supplierProduct) {
+      unassigned.push(...lines);
+      continue;
+    }
+
+    const supplierKey = String(supplier._id);
+    if (supplierId && supplierKey !== String(supplierId)) continue;
+    if (!groups.has(supplierKey)) {
+      groups.set(supplierKey, {
+        supplier_id: supplier._id,
+        supplier_name: supplier.name,
+        is_preferred: !!supplier.is_preferred,
+        minimum_order_value: supplier.minimum_order_value || 0,
+        lines: []
+      });
+    }
+    const unitCost = roundMoney(supplierProduct.supplier_cost);
+    for (const line of applyOrderQuantityLimits(lines, supplierProduct)) {
+      line.minimum_order_quantity = supplierProduct.minimum_order_quantity || 1;
+      line.unit_cost = unitCost;
+      line.estimated_cost = roundMoney(unitCost * line.suggested_quantity);
+      groups.get(supplierKey).lines.push(line);
+    }
+  }
+
+  const suppliers = [...groups.values()]
+    .filter(group => group.lines.length > 0)
+    .map(group => {
+      const estimatedTotal = roundMoney(group.lines.reduce((sum, line) => sum + line.estimated_cost, 0));
+      return {
+        ...group,
+        estimated_total: estimatedTotal,
+        meets_minimum_order_value: estimatedTotal >= group.minimum_order_value
+      };
+    })
+    .sort((a, b) => (b.is_preferred ? 1 : 0) - (a.is_preferred ? 1 : 0) || b.estimated_total - a.estimated_total);
+
+  return { suppliers, unassigned };
+}
+
+// Read the reorder engine settings from a query string or body
+function reorderSettingsFrom(source) {
+  const days = parseDaysParam(source.days, REORDER_VELOCITY_DAYS);
+  const safetyDays = parseDaysParam(source.safety_days, REORDER_SAFETY_DAYS);
+  const coverDays = parseDaysParam(source.cover_days, REORDER_COVER_DAYS);
+  if (!days) return { error: 'days must be between 1 and 365' };
+  if (safetyDays === null) return { error: 'safety_days must be between 0 and 365' };
+  if (coverDays === null) return { error: 'cover_days must be between 0 and 365' };
+  return { settings: { days, safetyDays, coverDays } };
+}
+
+function parseOptionalDate(value) {
+  if (value === undefined || value === null || value === '') return { date: null };
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return { error: 'Invalid date format' };
+  return { date };
+}
+
+/**
+ * List purchase orders (filters: status, supplier_id)
+ */
+async function listPurchaseOrders(req, res) {
+  try {
+    const { status, supplier_id } = req.query;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    const filter = {};
+    if (status) {
+      if (!PurchaseOrder.STATUSES.includes(status)) {
+        return res.status(400).json({ message: 'Invalid status', allowed_statuses: PurchaseOrder.STATUSES });
+      }
+      filter.status = status;
+    }
+    if (supplier_id) {
+      if (!isValidObjectId(supplier_id)) return res.status(400).json({ message: 'Invalid supplier ID format' });
+      filter.supplier_id = supplier_id;
+    }
+
+    const [purchaseOrders, total] = await Promise.all([
+      PurchaseOrder.find(filter)
+        .populate('supplier_id', 'name')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      PurchaseOrder.countDocuments(filter)
+    ]);
+
+    res.json({
+      purchase_orders: purchaseOrders.map(formatPurchaseOrder),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('Error in listPurchaseOrders:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * Get a single purchase order
+ */
+async function getPurchaseOrder(req, res) {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) return res.status(400).json({ message: 'Invalid purchase order ID format' });
+
+    const po = await PurchaseOrder.findById(id).populate('supplier_id', 'name').lean();
+    if (!po) return res.status(404).json({ message: 'Purchase order not found' });
+
+    res.json({ purchase_order: formatPurchaseOrder(po) });
+  } catch (error) {
+    console.error('Error in getPurchaseOrder:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * Create a draft purchase order priced from the supplier's costs
+ * Body: { supplier_id, lines: [{ product_id, variant_id?, quantity }], notes?, expected_date? }
+ */
+async function createPurchaseOrder(req, res) {
+  try {
+    const { supplier_id, lines, notes, expected_date } = req.body || {};
+    const expected = parseOptionalDate(expected_date);
+    if (expected.error) return res.status(400).json({ message: expected.error });
+
+    const po = await createDraftPurchaseOrder({
+      supplierId: supplier_id,
+      items: lines,
+      notes,
+      expectedDate: expected.date,
+      createdBy: actorFrom(req)
+    });
+
+    res.status(201).json({ purchase_order: formatPurchaseOrder(po.toObject()) });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json(error.body || { message: error.message });
+    console.error('Error in createPurchaseOrder:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * Edit a draft purchase order; lines are replaced and re-priced
+ * Body: { lines?, notes?, expected_date? }
+ */
+async function updatePurchaseOrder(req, res) {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) return res.status(400).json({ message: 'Invalid purchase order ID format' });
+
+    const po = await PurchaseOrder.findById(id);
+    if (!po) return res.status(404).json({ message: 'Purchase order not found' });
+    if (po.status !== 'draft') {
+      return res.status(409).json({ message: 'Only draft purchase orders can be edited', current_status: po.status });
+    }
+
+    const { lines, notes, expected_date } = req.body || {};
+    if (lines !== undefined) {
+      po.lines = await buildPurchaseOrderLines(po.supplier_id, lines);
+      po.subtotal = subtotalOf(po.lines);
+    }
+    if (notes !== undefined) po.notes = notes || undefined;
+    if (expected_date !== undefined) {
+      const expected = parseOptionalDate(expected_date);
+      if (expected.error) return res.status(400).json({ message: expected.error });
+      po.expected_date = expected.date || undefined;
+    }
+
+    await po.save();
+    res.json({ purchase_order: formatPurchaseOrder(po.toObject()) });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json(error.body || { message: error.message });
+    console.error('Error in updatePurchaseOrder:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * Send a draft purchase order to the supplier.
+ * The subtotal must reach the supplier's minimum_order_value.
+ */
+async function sendPurchaseOrder(req, res) {
+  let session;
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) return res.status(400).json({ message: 'Invalid purchase order ID format' });
+
+    session = await PurchaseOrder.startSession();
+    let po;
+    await session.withTransaction(async () => {
+      po = await PurchaseOrder.findById(id).session(session);
+      if (!po) throw httpError(404, 'Purchase order not found');
+      if (!PurchaseOrder.canTransition(po.status, 'sent')) {
+        const error = httpError(409, 'Invalid status change');
+        error.body = transitionErrorBody(po.status, 'sent');
+        throw error;
+      }
+
+      const supplier = await Supplier.findById(po.supplier_id).session(session);
+      if (!supplier) throw httpError(404, 'Supplier not found');
+      const minimumValue = supplier.minimum_order_value || 0;
+      if (po.subtotal < minimumValue) {
+        throw httpError(422, `Order value is below the supplier minimum of ${minimumValue}`, {
+          subtotal: po.subtotal,
+          minimum_order_value: minimumValue,
+          shortfall: roundMoney(minimumValue - po.subtotal)
+        });
+      }
+
+      const now = new Date();
+      po.status = 'sent';
+      po.sent_at = now;
+      if (!po.expected_date) {
+        const supplierProducts = await SupplierProduct.find({ _id: { $in: po.lines.map(l => l.supplier_product_id) } })
+          .select('lead_time_days').session(session).lean();
+        const leadDays = Math.max(supplier.delivery_lead_time || 0, ...supplierProducts.map(sp => sp.lead_time_days || 0));
+        po.expected_date = new Date(now.getTime() + leadDays * 24 * 60 * 60 * 1000);
+      }
+      await po.save({ session });
+
+      supplier.last_order_date = now;
+      await supplier.save({ session });
+
+      for (const line of po.lines) {
+        await SupplierProduct.updateOne(
+          { _id: line.supplier_product_id },
+          { $set: { last_order_date: now, updated_at: now }, $inc: { total_orders: 1, total_quantity_ordered: line.quantity_ordered } },
+          { session }
+        );
+      }
+    });
+
+    res.json({ purchase_order: formatPurchaseOrder(po.toObject()) });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json(error.body || { message: error.message });
+    console.error('Error in sendPurchaseOrder:', error);
+    res.status(500).json({ message: 'Server error' });
+  } finally {
+    if (session) session.endSession();
+  }
+}
+
+/**
+ * Record a (partial) delivery against a sent purchase order.
+ * Body: { lines: [{ line_id, quantity, batch_number?, expiry_date? }], note?, date? }
+ * Each received line opens a stock lot carrying its batch and expiry.
+ * Adds the received quantities to stock, moves the PO to partially_received or
+ * received and updates supplier stats: total_orders counts the PO once, on its
+ * first delivery, and total_value grows by the value of each delivery.
+ */
+async function receivePurchaseOrder(req, res) {
+  let session;
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) return res.status(400).json({ message: 'Invalid purchase order ID format' });
+
+    const { lines, note, date } = req.body || {};
+    if (!Array.isArray(lines) || lines.length === 0) {
+      return res.status(400).json({ message: 'At least one received line is required' });
+    }
+    for (const line of lines) {
+      if (!line || !isValidObjectId(line.line_id)) return res.status(400).json({ message: 'Each received line needs a valid line_id' });
+      const quantity = Number(line.quantity);
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        return res.status(400).json({ message: 'Each received line needs a whole quantity greater than zero' });
+      }
+      if (parseOptionalDate(line.expiry_date).error) {
+        return res.status(400).json({ message: 'Invalid expiry_date format' });
+      }
+    }
+    if (new Set(lines.map(line => String(line.line_id))).size !== lines.length) {
+      return res.status(400).json({ message: 'Each line can only appear once per delivery' });
+    }
+    const received = parseOptionalDate(date);
+    if (received.error) return res.status(400).json({ message: received.error });
+    const receivedAt = received.date || new Date();
+
+    session = await PurchaseOrder.startSession();
+    let po;
+    await session.withTransaction(async () => {
+      po = await PurchaseOrder.findById(id).session(session);
+      if (!po) throw httpError(404, 'Purchase order not found');
+      if (!['sent', 'partially_received'].includes(po.status)) {
+        throw httpError(409, `Cannot receive against a ${po.status} purchase order`, { current_status: po.status });
+      }
+
+      const over = [];
+      const receiptLines = [];
+      for (const item of lines) {
+        const line = po.lines.id(item.line_id);
+        if (!line) throw httpError(422, `Line ${item.line_id} is not on this purchase order`);
+        const quantity = Number(item.quantity);
+        const outstanding = line.quantity_ordered - (line.quantity_received || 0);
+        if (quantity > outstanding) {
+          over.push({ line_id: line._id, product_name: line.product_name, quantity, outstanding });
+          continue;
+        }
+        line.quantity_received = (line.quantity_received || 0) + quantity;
+        receiptLines.push({
+          line_id: line._id,
+          product_id: line.product_id,
+          variant_id: line.variant_id || null,
+          quantity,
+          value: roundMoney(line.unit_cost * quantity),
+          unit_cost: line.unit_cost,
+          batch_number: item.batch_number ? String(item.batch_number) : undefined,
+          expiry_date: parseOptionalDate(item.expiry_date).date
+        });
+      }
+      if (over.length > 0) {
+        throw httpError(422, 'Received quantity exceeds what is outstanding', { lines: over });
+      }
+
+      for (const line of receiptLines) {
+        const result = await Product.adjustStock(line.product_id, line.variant_id, line.quantity, {
+          session,
+          movement: {
+            type: 'restock',
+            reference: { kind: 'PurchaseOrder', id: po._id, code: po.po_number },
+            user: actorFrom(req),
+            note: note || undefined
+          },
+          lot: {
+            batch_number: line.batch_number,
+            expiry_date: line.expiry_date,
+            received_at: receivedAt,
+            unit_cost: line.unit_cost,
+            supplier_id: po.supplier_id
+          }
+        });
+        if (!result.applied) throw httpError(422, `Product ${line.product_id}${line.variant_id ? ` variant ${line.variant_id}` : ''} no longer exists`);
+      }
+
+      const firstDelivery = po.receipts.length === 0;
+      const value = roundMoney(receiptLines.reduce((sum, line) => sum + line.value, 0));
+      po.receipts.push({
+        received_at: receivedAt,
+        received_by: actorFrom(req),
+        note: note || undefined,
+        lines: receiptLines,
+        value
+      });
+      po.received_value = roundMoney((po.received_value || 0) + value);
+      const complete = po.lines.every(line => (line.quantity_received || 0) >= line.quantity_ordered);
+      po.status = complete ? 'received' : 'partially_received';
+      if (complete) po.received_at = receivedAt;
+      await po.save({ session });
+
+      const receivedSupplierProducts = [...new Set(receiptLines.map(line => String(po.lines.id(line.line_id).supplier_product_id)))];
+      await SupplierProduct.updateMany(
+        { _id: { $in: receivedSupplierProducts } },
+        { $set: { last_delivery_date: receivedAt, updated_at: new Date() } },
+        { session }
+      );
+
+      await Supplier.updateOne(
+        { _id: po.supplier_id },
+        {
+          $set: { last_delivery: receivedAt },
+          $inc: { total_orders: firstDelivery ? 1 : 0, total_value: value }
+        },
+        { session }
+      );
+    });
+
+    res.json({ purchase_order: formatPurchaseOrder(po.toObject()) });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json(error.body || { message: error.message });
+    console.error('Error in receivePurchaseOrder:', error);
+    res.status(500).json({ message: 'Server error' });
+  } finally {
+    if (session) session.endSession();
+  }
+}
+
+/**
+ * Close a purchase order; nothing more will be received against it
+ * Body: { reason? }
+ */
+async function closePurchaseOrder(req, res) {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) return res.status(400).json({ message: 'Invalid purchase order ID format' });
+
+    const po = await PurchaseOrder.findById(id);
+    if (!po) return res.status(404).json({ message: 'Purchase order not found' });
+    if (!PurchaseOrder.canTransition(po.status, 'closed')) {
+      return res.status(409).json(transitionErrorBody(po.status, 'closed'));
+    }
+
+    po.status = 'closed';
+    po.closed_at = new Date();
+    const { reason } = req.body || {};
+    if (reason) po.close_reason = String(reason);
+    await po.save();
+
+    res.json({ purchase_order: formatPurchaseOrder(po.toObject()) });
+  } catch (error) {
+    console.error('Error in closePurchaseOrder:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * Reorder suggestions from sales velocity, grouped by supplier
+ * Query: days, safety_days, cover_days, supplier_id
+ */
+async function getReorderSuggestions(req, res) {
+  try {
+    const { settings, error } = reorderSettingsFrom(req.query);
+    if (error) return res.status(400).json({ message: error });
+    const { supplier_id } = req.query;
+    if (supplier_id && !isValidObjectId(supplier_id)) {
+      return res.status(400).json({ message: 'Invalid supplier ID format' });
+    }
+
+    const { suppliers, unassigned } = await buildReorderSuggestions({ ...settings, supplierId: supplier_id || null });
+
+    res.json({
+      settings: { days: settings.days, safety_days: settings.safetyDays, cover_days: settings.coverDays },
+      suppliers,
+      // Products that need reordering but have no active supplier
+      unassigned,
+      generated_at: new Date()
+    });
+  } catch (error) {
+    console.error('Error in getReorderSuggestions:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * Turn a supplier's reorder suggestion into a draft purchase order.
+ * Body: { supplier_id, lines?: [{ product_id, variant_id?, quantity }], days?, safety_days?, cover_days?, notes? }
+ * Without lines the current suggestion for that supplier is used as-is.
+ */
+async function createPurchaseOrderFromSuggestions(req, res) {
+  try {
+    const body = req.body || {};
+    if (!isValidObjectId(body.supplier_id)) return res.status(400).json({ message: 'Invalid supplier ID format' });
+
+    let items = body.lines;
+    if (items === undefined) {
+      const { settings, error } = reorderSettingsFrom(body);
+      if (error) return res.status(400).json({ message: error });
+      const { suppliers } = await buildReorderSuggestions({ ...settings, supplierId: body.supplier_id });
+      const group = suppliers[0];
+      if (!group) return res.status(404).json({ message: 'No reorder suggestions for this supplier' });
+      items = group.lines.map(line => ({
+        product_id: line.product_id,
+        variant_id: line.variant_id,
+        quantity: line.suggested_quantity
+      }));
+    }
+
+    const po = await createDraftPurchaseOrder({
+      supplierId: body.supplier_id,
+      items,
+      notes: body.notes || 'Raised from reorder suggestions',
+      createdBy: actorFrom(req)
+    });
+
+    res.status(201).json({ purchase_order: formatPurchaseOrder(po.toObject()) });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json(error.body || { message: error.message });
+    console.error('Error in createPurchaseOrderFromSuggestions:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
+module.exports = {
+  listPurchaseOrders,
+  getPurchaseOrder,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  sendPurchaseOrder,
+  receivePurchaseOrder,
+  closePurchaseOrder,
+  getReorderSuggestions,
+  createPurchaseOrderFromSuggestions,
+  createDraftPurchaseOrder
+};
@@ -0,0 +1,341 @@
+const mongoose = require('mongoose');
+const StockCount = require('../models/StockCount');
+const Product = require('../models/Product');
+const { actorFromRequest } = require('../middleware/audit');
+
+function isValidObjectId(id) {
+  return mongoose.Types.ObjectId.isValid(id);
+}
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function actorFrom(req) {
+  const actor = actorFromRequest(req);
+  return { user_id: actor.user_id, email: actor.email };
+}
+
+function variantDisplayName(variant) {
+  if (variant.name) return variant.name;
+  const parts = [variant.option1_value, variant.option2_value, variant.option3_value].filter(Boolean);
+  return parts.length > 0 ? parts.join(' / ') : 'Default';
+}
+
+// Snapshot line for one product or variant at its current stock
+function snapshotLine(product, variant) {
+  return {
+    product_id: product._id,
+    variant_id: variant ? variant._id : null,
+    product_name: product.name,
+    variant_name: variant ? variantDisplayName(variant) : null,
+    sku: (variant ? variant.sku : product.sku) || null,
+    barcode: variant ? ((variant.barcodes || [])[0] || null) : (product.barcode || null),
+    snapshot_quantity: (variant ? variant.stock : product.stock) || 0,
+    unit_cost: (variant ? variant.cost : product.cost) || 0
+  };
+}
+
+function formatLine(line) {
+  const counted = line.counted_quantity !== null && line.counted_quantity !== undefined;
+  const variance = counted ? line.counted_quantity - line.snapshot_quantity : null;
+  return {
+    id: line._id,
+    product_id: line.product_id,
+    variant_id: line.variant_id || null,
+    product_name: line.product_name,
+    variant_name: line.variant_name || null,
+    sku: line.sku || null,
+    barcode: line.barcode || null,
+    snapshot_quantity: line.snapshot_quantity,
+    counted_quantity: counted ? line.counted_quantity : null,
+    variance,
+    unit_cost: line.unit_cost || 0,
+    variance_value: counted ? Math.round(variance * (line.unit_cost || 0) * 100) / 100 : null,
+    counted_at: line.counted_at || null,
+    counted_by: line.counted_by || null,
+    adjustment: line.adjustment ?? null
+  };
+}
+
+function formatStockCount(count, { lines = null } = {}) {
+  const body = {
+    id: count._id,
+    count_number: count.count_number,
+    status: count.status,
+    category: count.category || null,
+    note: count.note || null,
+    summary: count.summarize(),
+    created_by: count.created_by || null,
+    approved_by: count.approved_by && count.approved_by.email ? count.approved_by : null,
+    approved_at: count.approved_at || null,
+    cancelled_at: count.cancelled_at || null,
+    created_at: count.createdAt
+  };
+  if (lines) body.lines = lines.map(formatLine);
+  return body;
+}
+
+/**
+ * List stock count sessions (without their lines)
+ */
+async function listStockCounts(req, res) {
+  try {
+    const { status } = req.query;
+    const filter = {};
+    if (status) {
+      if (!StockCount.STATUSES.includes(status)) {
+        return res.status(400).json({ message: 'Invalid status', allowed_statuses: StockCount.STATUSES });
+      }
+      filter.status = status;
+    }
+
+    const counts = await StockCount.find(filter).sort({ createdAt: -1 }).limit(100);
+    res.json({ stock_counts: counts.map(count => formatStockCount(count)) });
+  } catch (error) {
+    console.error('Error in listStockCounts:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * Open a count session and freeze the current stock of every stocked product
+ * Body: { category?, note? }
+ */
+async function createStockCount(req, res) {
+  try {
+    const { category, note } = req.body || {};
+
+    const filter = { track_stock: { $ne: false } };
+    if (category) filter.category = category;
+    const products = await Product.find(filter)
+      .select('name sku barcode stock cost category variants')
+      .sort({ name: 1 })
+      .lean();
+    if (products.length === 0) {
+      return res.status(422).json({ message: 'No stocked products to count' });
+    }
+
+    const lines = [];
+    for (const product of products) {
+      if (Array.isArray(product.variants) && product.variants.length > 0) {
+        for (const variant of product.variants) {
+          if (variant.track_stock === false) continue;
+          lines.push(snapshotLine(product, variant));
+        }
+      } else {
+        lines.push(snapshotLine(product, null));
+      }
+    }
+
+    const count = await StockCount.create({
+      count_number: await StockCount.nextCountNumber(),
+      category: category || undefined,
+      note: note || undefined,
+      lines,
+      created_by: actorFrom(req)
+    });
+
+    res.status(201).json({ stock_count: formatStockCount(count) });
+  } catch (error) {
+    console.error('Error in createStockCount:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * Get a count session with its lines and differences
+ * Query: filter = variances | uncounted | counted
+ */
+async function getStockCount(req, res) {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) return res.status(400).json({ message: 'Invalid stock count ID format' });
+
+    const count = await StockCount.findById(id);
+    if (!count) return res.status(404).json({ message: 'Stock count not found' });
+
+    const isCounted = line => line.counted_quantity !== null && line.counted_quantity !== undefined;
+    let lines = count.lines;
+    switch (req.query.filter) {
+      case 'variances':
+        lines = lines.filter(line => isCounted(line) && line.counted_quantity !== line.snapshot_quantity);
+        break;
+      case 'uncounted':
+        lines = lines.filter(line => !isCounted(line));
+        break;
+      case 'counted':
+        lines = lines.filter(isCounted);
+        break;
+    }
+
+    res.json({ stock_count: formatStockCount(count, { lines }) });
+  } catch (error) {
+    console.error('Error in getStockCount:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * Enter a counted quantity, by barcode or by product/variant id.
+ * Body: { barcode | product_id + variant_id?, quantity, mode: 'add' | 'set' }
+ * 'add' (default) adds to what was already counted, so the same item can be
+ * scanned on several shelves; 'set' replaces it.
+ */
+async function recordCount(req, res) {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) return res.status(400).json({ message: 'Invalid stock count ID format' });
+
+    const { barcode, product_id, variant_id, mode = 'add' } = req.body || {};
+    const quantity = Number(req.body && req.body.quantity !== undefined ? req.body.quantity : 1);
+    if (!['add', 'set'].includes(mode)) return res.status(400).json({ message: 'mode must be add or set' });
+    if (!Number.isFinite(quantity) || quantity < 0 || (mode === 'add' && quantity === 0)) {
+      return res.status(400).json({ message: 'Quantity must be zero or more (greater than zero when adding)' });
+    }
+
+    let product;
+    let variant = null;
+    if (barcode && String(barcode).trim()) {
+      ({ product, variant } = await Product.findByBarcode(barcode, 'name sku barcode stock cost category variants'));
+      if (!product) return res.status(404).json({ message: 'Product not found for this barcode' });
+    } else if (isValidObjectId(product_id)) {
+      product = await Product.findById(product_id).select('name sku barcode stock cost category variants');
+      if (!product) return res.status(404).json({ message: 'Product not found' });
+      if (variant_id) {
+        variant = product.variants.id(variant_id);
+        if (!variant) return res.status(404).json({ message: 'Variant not found' });
+      }
+    } else {
+      return res.status(400).json({ message: 'A barcode or product_id is required' });
+    }
+    if (!variant && product.variants && product.variants.length > 0) {
+      return res.status(422).json({
+        message: 'This product has variants; count a variant barcode or pass variant_id',
+        variants: product.variants.map(v => ({ id: v._id, name: variantDisplayName(v) }))
+      });
+    }
+
+    const count = await StockCount.findById(id);
+    if (!count) return res.status(404).json({ message: 'Stock count not found' });
+    if (count.status !== 'open') {
+      return res.status(409).json({ message: `Stock count is ${count.status}`, current_status: count.status });
+    }
+    if (count.category && product.category !== count.category) {
+      return res.status(422).json({ message: `${product.name} is not part of this ${count.category} count` });
+    }
+
+    // A product stocked after the count was opened is snapshotted at its stock on record now
+    const updated = await StockCount.enterCount(count._id, snapshotLine(product, variant), {
+      quantity,
+      mode,
+      counted_by: actorFrom(req)
+    });
+    if (!updated) {
+      // Approved or cancelled since it was read
+      const current = await StockCount.findById(id).select('status').lean();
+      const status = current ? current.status : 'gone';
+      return res.status(409).json({ message: `Stock count is ${status}`, current_status: status });
+    }
+
+    const line = updated.findLine(product._id, variant ? variant._id : null);
+    res.json({ line: formatLine(line), summary: updated.summarize() });
+  } catch (error) {
+    console.error('Error in recordCount:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * Approve a count: post every counted difference as a stock adjustment in one
+ * transaction. Differences are applied to current stock, so sales made while
+ * the count was open are kept. Uncounted lines are left unchanged.
+ */
+async function approveStockCount(req, res) {
+  const { id } = req.params;
+  if (!isValidObjectId(id)) return res.status(400).json({ message: 'Invalid stock count ID format' });
+
+  let session;
+  try {
+    session = await StockCount.startSession();
+    let count;
+    await session.withTransaction(async () => {
+      // Claim the count so it cannot be approved twice
+      count = await StockCount.findOneAndUpdate(
+        { _id: id, status: 'open' },
+        { status: 'approved', approved_at: new Date(), approved_by: actorFrom(req) },
+        { new: true, session }
+      );
+      if (!count) {
+        const existing = await StockCount.findById(id).select('status').session(session).lean();
+        if (!existing) throw httpError(404, 'Stock count not found');
+        throw httpError(409, `Stock count is already ${existing.status}`);
+      }
+
+      for (const line of count.lines) {
+        if (line.counted_quantity === null || line.counted_quantity === undefined) continue;
+        const variance = line.counted_quantity - line.snapshot_quantity;
+        line.adjustment = variance;
+        if (variance === 0) continue;
+
+        const change = await Product.adjustStock(line.product_id, line.variant_id, variance, {
+          session,
+          movement: {
+            type: variance < 0 ? 'shrinkage' : 'adjustment',
+            reference: { kind: 'StockCount', id: count._id, code: count.count_number },
+            user: actorFrom(req),
+            note: 'Stock count approved'
+          }
+        });
+        // A product or variant deleted since the count was opened has nothing to adjust
+        if (!change.applied) line.adjustment = 0;
+      }
+      await count.save({ session });
+    });
+
+    res.json({ stock_count: formatStockCount(count, { lines: count.lines.filter(line => line.adjustment) }) });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    console.error('Error in approveStockCount:', error);
+    res.status(500).json({ message: 'Server error' });
+  } finally {
+    if (session) session.endSession();
+  }
+}
+
+/**
+ * Cancel an open count without posting anything
+ */
+async function cancelStockCount(req, res) {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) return res.status(400).json({ message: 'Invalid stock count ID format' });
+
+    const count = await StockCount.findOneAndUpdate(
+      { _id: id, status: 'open' },
+      { status: 'cancelled', cancelled_at: new Date() },
+      { new: true }
+    );
+    if (!count) {
+      const existing = await StockCount.findById(id).select('status').lean();
+      if (!existing) return res.status(404).json({ message: 'Stock count not found' });
+      return res.status(409).json({ message: `Stock count is already ${existing.status}` });
+    }
+
+    res.json({ stock_count: formatStockCount(count) });
+  } catch (error) {
+    console.error('Error in cancelStockCount:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
+module.exports = {
+  listStockCounts,
+  createStockCount,
+  getStockCount,
+  recordCount,
+  approveStockCount,
+  cancelStockCount
+};
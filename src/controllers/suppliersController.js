@@ -2,6 +2,12 @@ const mongoose = require('mongoose');
 const Supplier = require('../models/Supplier');
 const Product = require('../models/Product');
 const SupplierProduct = require('../models/SupplierProduct');
+const { actorFromRequest } = require('../middleware/audit');
+
+function actorFrom(req) {
+  const actor = actorFromRequest(req);
+  return { user_id: actor.user_id, email: actor.email, api_key_name: actor.api_key_name };
+}
 
 async function listSuppliers(_req, res) {
   try {
@@ -137,7 +143,7 @@ async function addSupplierProduct(req, res) {
 
 async function restockSupplierProduct(req, res) {
   const supplierId = req.params.id;
-  const { productId, qty, date, variantId } = req.body || {};
+  const { productId, qty, date, variantId, batchNumber, expiryDate } = req.body || {};
   
   // Validate input
   if (!supplierId || !productId) {
@@ -169,6 +175,10 @@ async function restockSupplierProduct(req, res) {
     if (isNaN(deliveryDate.getTime())) {
       return res.status(400).json({ message: 'Invalid date format' });
     }
+    const expiry = expiryDate ? new Date(expiryDate) : null;
+    if (expiry && isNaN(expiry.getTime())) {
+      return res.status(400).json({ message: 'Invalid expiry date format' });
+    }
     
     await session.withTransaction(async () => {
       // Find product first
@@ -178,25 +188,27 @@ async function restockSupplierProduct(req, res) {
         throw new Error(`Product not found with ID: ${productId}`);
       }
       
-      // If variantId is provided, update variant stock
-      if (variantId) {
-        const variant = product.variants.id(variantId);
-        if (!variant) {
-          throw new Error(`Variant not found with ID: ${variantId}`);
-        }
-        
-        // Update variant stock
-        variant.stock = (variant.stock || 0) + quantity;
-        
-        // Recalculate product aggregate stock from variants
-        product.stock = product.variants.reduce((sum, v) => sum + (v.stock || 0), 0);
-        
-        await product.save({ session });
-      } else {
-        // Update product stock (legacy mode)
-        product.stock = (product.stock || 0) + quantity;
-        await product.save({ session });
+      if (variantId && !product.variants.id(variantId)) {
+        throw new Error(`Variant not found with ID: ${variantId}`);
       }
+
+      // Update variant stock (re-totalling the product), or product stock in legacy mode
+      await Product.adjustStock(productId, variantId || null, quantity, {
+        session,
+        movement: {
+          type: 'restock',
+          reference: { kind: 'Supplier', id: supplierId },
+          user: actorFrom(req),
+          note: 'Supplier restock'
+        },
+        lot: {
+          batch_number: batchNumber || undefined,
+          expiry_date: expiry,
+          received_at: deliveryDate,
+          unit_cost: variantId ? product.variants.id(variantId).cost : product.cost,
+          supplier_id: supplierId
+        }
+      });
       
       // Upsert SupplierProduct relationship and track restock stats
       // Ensure price and cost have valid values (SupplierProduct schema requires them)
@@ -1,6 +1,8 @@
 const Product = require('../models/Product');
 const Supplier = require('../models/Supplier');
 const Order = require('../models/Order');
+// Order codes come from the same per-channel counter as orders placed in the app
+const StandaloneOrder = require('../models/Order_Standalone');
 
 async function getAll(_req, res) {
   try {
@@ -63,17 +65,19 @@ async function saveAll(req, res) {
 
     // Insert orders
     for (const o of orders) {
+      const type = o.type || 'Online';
+      const createdAt = o.created_at ? new Date(o.created_at) : new Date();
       const orderData = {
-        order_code: o.id || o.order_code || `ORD${Date.now()}`,
+        order_code: await StandaloneOrder.nextOrderCode(type, { date: createdAt }),
         name: o.customer,
         status: o.status || 'Pending',
-        type: o.type || 'Online',
+        type,
         payment: o.payment || 'Cash',
         ref: o.ref || null,
         totalPrice: o.total || 0,
         discount: o.discount || 0,
         net_total: o.netTotal || 0,
-        createdAt: o.created_at ? new Date(o.created_at) : new Date()
+        createdAt
       };
       await Order.create(orderData);
     }
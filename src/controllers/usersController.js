@@ -0,0 +1,299 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const LoginAttempt = require('../models/LoginAttempt');
+
+const STAFF_ROLES = ['admin', 'staff'];
+
+// Helper function to validate MongoDB ObjectId
+function isValidObjectId(id) {
+  return mongoose.Types.ObjectId.isValid(id);
+}
+
+// One-time password handed back to the admin when inviting or resetting
+function generateTemporaryPassword() {
+  return crypto.randomBytes(9).toString('base64url');
+}
+
+// Refuse changes that would leave the store without an active admin
+async function isLastActiveAdmin(user) {
+  if (user.role !== 'admin' || user.is_active === false) return false;
+  const activeAdmins = await User.countDocuments({ role: 'admin', is_active: { $ne: false } });
+  return activeAdmins <= 1;
+}
+
+/**
+ * List staff accounts (admins and staff; customers are excluded)
+ */
+async function listUsers(req, res) {
+  try {
+    const filter = { role: { $in: STAFF_ROLES } };
+    if (req.query.role && STAFF_ROLES.includes(req.query.role)) {
+      filter.role = req.query.role;
+    }
+    if (req.query.is_active !== undefined) {
+      filter.is_active = req.query.is_active === 'true' ? { $ne: false } : false;
+    }
+
+    const users = await User.find(filter).sort({ name: 1 }).lean();
+    res.json({ users: users.map(u => User.toPublic(u)), total: users.length });
+  } catch (error) {
+    console.error('Error in listUsers:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * Invite a staff member; returns a temporary password that must be changed
+ */
+async function inviteUser(req, res) {
+  try {
+    const { name, email, role = 'staff', password } = req.body || {};
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ message: 'Name is required' });
+    }
+    if (!email || typeof email !== 'string' || !email.trim()) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+    if (!STAFF_ROLES.includes(role)) {
+      return res.status(400).json({ message: 'Invalid role. Must be one of: ' + STAFF_ROLES.join(', ') });
+    }
+
+    const normalizedEmail = email.toLowerCase().trim();
+    const existing = await User.findOne({ email: normalizedEmail }).lean();
+    if (existing) {
+      return res.status(409).json({ message: 'A user with this email already exists' });
+    }
+
+    const temporaryPassword = password || generateTemporaryPassword();
+    const passwordHash = await bcrypt.hash(temporaryPassword, 10);
+
+    const user = new User({
+      name: name.trim(),
+      email: normalizedEmail,
+      password_hash: passwordHash,
+      role,
+      must_change_password: !password,
+      invited_by: req.user && isValidObjectId(req.user.id) ? req.user.id : undefined
+    });
+    await user.save();
+
+    res.status(201).json({
+      message: 'User invited successfully',
+      user: User.toPublic(user),
+      temporary_password: password ? undefined : temporaryPassword
+    });
+  } catch (error) {
+    console.error('Error in inviteUser:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * Change a staff member's role
+ */
+async function updateUserRole(req, res) {
+  try {
+    const { id } = req.params;
+    const { role } = req.body || {};
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ message: 'Invalid user ID format' });
+    }
+    if (!STAFF_ROLES.includes(role)) {
+      return res.status(400).json({ message: 'Invalid role. Must be one of: ' + STAFF_ROLES.join(', ') });
+    }
+
+    const user = await User.findById(id);
+    if (!user || !STAFF_ROLES.includes(user.role)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (role !== 'admin' && await isLastActiveAdmin(user)) {
+      return res.status(409).json({ message: 'Cannot demote the last active admin' });
+    }
+
+    const roleChanged = user.role !== role;
+    user.role = role;
+    await user.save();
+
+    // Outstanding access tokens still carry the old role
+    if (roleChanged) await Session.revokeAllForUser(user._id, 'role_changed');
+
+    res.json({ user: User.toPublic(user) });
+  } catch (error) {
+    console.error('Error in updateUserRole:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * Deactivate or reactivate a staff account
+ */
+async function setUserActive(req, res) {
+  try {
+    const { id } = req.params;
+    const { is_active } = req.body || {};
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ message: 'Invalid user ID format' });
+    }
+    if (typeof is_active !== 'boolean') {
+      return res.status(400).json({ message: 'is_active (boolean) is required' });
+    }
+
+    const user = await User.findById(id);
+    if (!user || !STAFF_ROLES.includes(user.role)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!is_active) {
+      if (req.user && String(req.user.id) === String(user._id)) {
+        return res.status(409).json({ message: 'You cannot deactivate your own account' });
+      }
+      if (await isLastActiveAdmin(user)) {
+        return res.status(409).json({ message: 'Cannot deactivate the last active admin' });
+      }
+    }
+
+    user.is_active = is_active;
+    user.deactivated_at = is_active ? null : new Date();
+    await user.save();
+
+    if (!is_active) await Session.revokeAllForUser(user._id, 'deactivated');
+
+    res.json({ user: User.toPublic(user) });
+  } catch (error) {
+    console.error('Error in setUserActive:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * Reset a staff member's password to a new temporary password
+ */
+async function resetUserPassword(req, res) {
+  try {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ message: 'Invalid user ID format' });
+    }
+
+    const user = await User.findById(id);
+    if (!user || !STAFF_ROLES.includes(user.role)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const temporaryPassword = generateTemporaryPassword();
+    user.password_hash = await bcrypt.hash(temporaryPassword, 10);
+    user.must_change_password = true;
+    await user.save();
+    await Session.revokeAllForUser(user._id, 'password_reset');
+
+    res.json({
+      message: 'Password reset successfully',
+      user: User.toPublic(user),
+      temporary_password: temporaryPassword
+    });
+  } catch (error) {
+    console.error('Error in resetUserPassword:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * List failed login counters (by email and by IP), most recent first
+ */
+async function listLoginAttempts(req, res) {
+  try {
+    const filter = { last_failed_at: { $ne: null } };
+    if (req.query.key_type && ['email', 'ip'].includes(req.query.key_type)) {
+      filter.key_type = req.query.key_type;
+    }
+    if (req.query.locked === 'true') {
+      filter.locked_until = { $gt: new Date() };
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '50'), 1), 500);
+    const attempts = await LoginAttempt.find(filter)
+      .sort({ last_failed_at: -1 })
+      .limit(limit)
+      .lean();
+
+    const now = new Date();
+    res.json({
+      attempts: attempts.map(a => ({
+        id: a._id,
+        key_type: a.key_type,
+        key: a.key,
+        failed_count: a.failed_count,
+        last_failed_at: a.last_failed_at,
+        locked_until: a.locked_until || null,
+        is_locked: !!(a.locked_until && a.locked_until > now),
+        lockout_count: a.lockout_count,
+        recent_failures: a.recent_failures || []
+      })),
+      total: attempts.length
+    });
+  } catch (error) {
+    console.error('Error in listLoginAttempts:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * Clear the lockout for a user's email
+ */
+async function unlockUser(req, res) {
+  try {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ message: 'Invalid user ID format' });
+    }
+
+    const user = await User.findById(id).select('email role').lean();
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await LoginAttempt.reset({ key_type: 'email', key: user.email });
+    res.json({ success: true, email: user.email });
+  } catch (error) {
+    console.error('Error in unlockUser:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * Clear a lockout by key, e.g. a shared store IP that tripped the limit
+ */
+async function unlockLoginKey(req, res) {
+  try {
+    const { key_type, key } = req.body || {};
+    if (!['email', 'ip'].includes(key_type) || !key) {
+      return res.status(400).json({ message: 'key_type (email or ip) and key are required' });
+    }
+
+    await LoginAttempt.reset({ key_type, key: key_type === 'email' ? String(key).toLowerCase().trim() : String(key) });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error in unlockLoginKey:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
+module.exports = {
+  listUsers,
+  inviteUser,
+  updateUserRole,
+  setUserActive,
+  resetUserPassword,
+  listLoginAttempts,
+  unlockUser,
+  unlockLoginKey
+};
@@ -0,0 +1,33 @@
+const ApiKey = require('../models/ApiKey');
+
+// Guard a /public route with an X-API-Key header carrying every listed scope
+function requireApiKey(...scopes) {
+  return async (req, res, next) => {
+    const rawKey = req.headers['x-api-key'];
+    if (!rawKey) return res.status(401).json({ message: 'API key required' });
+
+    try {
+      const apiKey = await ApiKey.findByRawKey(rawKey);
+      if (!apiKey || !apiKey.isUsable()) {
+        return res.status(401).json({ message: 'Invalid API key' });
+      }
+      if (!apiKey.hasScopes(scopes)) {
+        return res.status(403).json({ message: 'API key is missing required scope: ' + scopes.join(', ') });
+      }
+
+      req.apiKey = { id: apiKey._id, name: apiKey.name, scopes: apiKey.scopes };
+
+      // Usage tracking is best-effort and must not delay the request
+      ApiKey.updateOne({ _id: apiKey._id }, { last_used_at: new Date() }).catch(e => {
+        console.warn('Failed to record API key usage:', e.message);
+      });
+
+      next();
+    } catch (e) {
+      console.error('Error in requireApiKey:', e);
+      return res.status(500).json({ message: 'Server error' });
+    }
+  };
+}
+
+module.exports = { requireApiKey };
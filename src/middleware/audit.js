@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+
+// Fields that never belong in an audit entry
+const IGNORED_FIELDS = ['__v', 'updatedAt', 'updated_at', 'password_hash', 'key_hash', 'device_claim'];
+
+function toPlain(doc) {
+  if (!doc) return null;
+  const plain = typeof doc.toObject === 'function' ? doc.toObject() : doc;
+  const copy = JSON.parse(JSON.stringify(plain));
+  IGNORED_FIELDS.forEach(field => delete copy[field]);
+  return copy;
+}
+
+// Shallow field-level diff between two plain objects
+function diffObjects(before, after) {
+  const changes = [];
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const field of keys) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+    const oldValue = before ? before[field] : undefined;
+    const newValue = after ? after[field] : undefined;
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.push({ field, before: oldValue === undefined ? null : oldValue, after: newValue === undefined ? null : newValue });
+    }
+  }
+  return changes;
+}
+
+// Pull the id of the created entity out of a response like { product: { id } }
+function findEntityId(body) {
+  if (!body || typeof body !== 'object') return null;
+  for (const value of Object.values(body)) {
+    if (value && typeof value === 'object' && !Array.isArray(value) && (value.id || value._id)) {
+      return String(value.id || value._id);
+    }
+  }
+  return null;
+}
+
+function actorFromRequest(req) {
+  const actor = {};
+  if (req.user) {
+    if (mongoose.Types.ObjectId.isValid(req.user.id)) actor.user_id = req.user.id;
+    actor.email = req.user.email;
+    actor.role = req.user.role;
+  }
+  if (req.apiKey) {
+    actor.api_key_id = req.apiKey.id;
+    actor.api_key_name = req.apiKey.name;
+  }
+  return actor;
+}
+
+/**
+ * Record a successful data-changing request in the audit log.
+ *
+ * options.entity   - entity name stored on the entry (e.g. 'Product')
+ * options.action   - action name (e.g. 'update', 'restock')
+ * options.model    - mongoose model used to snapshot the target before/after
+ * options.idParam  - route param holding the target id (default 'id')
+ * options.details  - fn(req) returning extra context to store
+ */
+function audit({ entity, action, model = null, idParam = 'id', details = null }) {
+  return async (req, res, next) => {
+    const targetId = req.params[idParam];
+    let before = null;
+
+    if (model && targetId && mongoose.Types.ObjectId.isValid(targetId)) {
+      try {
+        before = toPlain(await model.findById(targetId).lean());
+      } catch (e) {
+        console.warn(`[audit] Failed to snapshot ${entity} ${targetId}:`, e.message);
+      }
+    }
+
+    // Capture the response body so created ids can be recorded
+    let responseBody = null;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return originalJson(body);
+    };
+
+    res.on('finish', async () => {
+      if (res.statusCode >= 400) return;
+      try {
+        const entityId = targetId || findEntityId(responseBody);
+        let after = null;
+        if (model && entityId && mongoose.Types.ObjectId.isValid(entityId)) {
+          after = toPlain(await model.findById(entityId).lean());
+        }
+
+        await AuditLog.create({
+          actor: actorFromRequest(req),
+          action,
+          entity,
+          entity_id: entityId || null,
+          before,
+          after,
+          diff: model ? diffObjects(before, after) : [],
+          details: details ? details(req, responseBody) : undefined,
+          method: req.method,
+          path: req.originalUrl,
+          status_code: res.statusCode,
+          ip: req.ip,
+          user_agent: req.headers['user-agent'] || null
+        });
+      } catch (e) {
+        console.error(`[audit] Failed to record ${entity}.${action}:`, e.message);
+      }
+    });
+
+    next();
+  };
+}
+
+module.exports = { audit, diffObjects, actorFromRequest };
@@ -1,18 +1,61 @@
 const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+// Verify the bearer token and its session. Users still on a temporary password
+// (invited or reset by an admin) are refused everywhere except the routes that
+// let them set their own password or sign out.
+function authenticate({ allowPasswordChange = false } = {}) {
+  return async (req, res, next) => {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+    if (!token) return res.status(401).json({ message: 'Unauthorized' });
+
+    let payload;
+    try {
+      payload = jwt.verify(token, process.env.JWT_SECRET || 'dev_secret');
+    } catch (_e) {
+      return res.status(401).json({ message: 'Invalid token' });
+    }
+
+    // Access tokens are bound to a server-side session so logout takes effect immediately
+    if (!payload.sid) return res.status(401).json({ message: 'Invalid token' });
+    try {
+      const session = await Session.findById(payload.sid).select('revoked_at expires_at');
+      if (!session || !session.isActive()) {
+        return res.status(401).json({ message: 'Session expired or revoked' });
+      }
+    } catch (e) {
+      console.error('Error in authRequired:', e);
+      return res.status(500).json({ message: 'Server error' });
+    }
+
+    if (payload.must_change_password && !allowPasswordChange) {
+      return res.status(403).json({ message: 'Password change required', must_change_password: true });
+    }
 
-function authRequired(req, res, next) {
-  const header = req.headers.authorization || '';
-  const token = header.startsWith('Bearer ') ? header.slice(7) : null;
-  if (!token) return res.status(401).json({ message: 'Unauthorized' });
-  try {
-    const payload = jwt.verify(token, process.env.JWT_SECRET || 'dev_secret');
     req.user = payload;
     next();
-  } catch (_e) {
-    return res.status(401).json({ message: 'Invalid token' });
-  }
+  };
 }
 
-module.exports = { authRequired };
+const authRequired = authenticate();
+// For changing the temporary password and signing out
+const authAllowingPasswordChange = authenticate({ allowPasswordChange: true });
+
+// Restrict a route to the given roles (admin, staff, customer).
+// Must be mounted after authRequired so req.user is populated.
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user) return res.status(401).json({ message: 'Unauthorized' });
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({ message: 'Forbidden: insufficient role' });
+    }
+    next();
+  };
+}
 
+// Shorthands for the common role sets used by the routers
+const adminOnly = requireRole('admin');
+const staffOnly = requireRole('admin', 'staff');
 
+module.exports = { authRequired, authAllowingPasswordChange, requireRole, adminOnly, staffOnly };
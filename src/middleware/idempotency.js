@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const MAX_KEY_LENGTH = 255;
+
+// Who is calling: the signed-in user, the API key, or (for API key traffic)
+// the device, so keys generated on different devices never collide
+function callerScope(req) {
+  const parts = [];
+  if (req.user) parts.push(`user:${req.user.id}`);
+  if (req.apiKey) parts.push(`apikey:${req.apiKey.id}`);
+  const deviceId = (req.body && req.body.device_id) || req.query.device_id;
+  if (deviceId) parts.push(`device:${deviceId}`);
+  return parts.join('|') || 'anonymous';
+}
+
+function requestFingerprint(req) {
+  return IdempotencyKey.hashRequest({
+    method: req.method,
+    path: req.baseUrl + req.path,
+    body: req.body || null,
+    file: req.file && req.file.buffer
+      ? crypto.createHash('sha256').update(req.file.buffer).digest('hex')
+      : null
+  });
+}
+
+/**
+ * Honour an Idempotency-Key header on a data-changing route.
+ *
+ * The first request with a key runs normally and its response is stored;
+ * retries with the same key and request replay that response without
+ * running the handler. Server errors (5xx) are not stored so they can be
+ * retried. Mount after body parsing/multer and before audit.
+ */
+function idempotent() {
+  return async (req, res, next) => {
+    const key = req.headers['idempotency-key'];
+    if (!key) return next();
+
+    if (typeof key !== 'string' || key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({ message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters` });
+    }
+
+    const scope = `${req.method} ${req.baseUrl}${req.route ? req.route.path : req.path} ${callerScope(req)}`;
+    const requestHash = requestFingerprint(req);
+
+    let claim;
+    try {
+      claim = await IdempotencyKey.claim({ key, scope, requestHash });
+    } catch (e) {
+      console.error('Error in idempotent:', e);
+      return res.status(500).json({ message: 'Server error' });
+    }
+
+    const { record, created } = claim;
+    if (!created) {
+      if (!record) {
+        return res.status(409).json({ message: 'Idempotency-Key is being processed, retry shortly' });
+      }
+      if (record.request_hash !== requestHash) {
+        return res.status(422).json({ message: 'Idempotency-Key was already used for a different request' });
+      }
+      if (record.status !== 'completed') {
+        res.set('Retry-After', '2');
+        return res.status(409).json({ message: 'A request with this Idempotency-Key is still in progress' });
+      }
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.response_status).json(record.response_body);
+    }
+
+    let responseBody = null;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return originalJson(body);
+    };
+
+    let settled = false;
+    const settle = async (finished) => {
+      if (settled) return;
+      settled = true;
+      try {
+        if (finished && res.statusCode < 500) {
+          await IdempotencyKey.updateOne(
+            { _id: record._id },
+            { status: 'completed', response_status: res.statusCode, response_body: responseBody }
+          );
+        } else {
+          // Nothing reliable to replay; free the key so the client can retry
+          await IdempotencyKey.deleteOne({ _id: record._id, status: 'in_progress' });
+        }
+      } catch (e) {
+        console.error(`[idempotency] Failed to store result for key ${key}:`, e.message);
+      }
+    };
+    res.on('finish', () => settle(true));
+    res.on('close', () => settle(res.writableFinished));
+
+    next();
+  };
+}
+
+module.exports = { idempotent };
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Scopes a key may carry; catalog reads stay open and need none
+const SCOPES = [
+  'orders:read',
+  'orders:write',
+  'order-items:write',
+  'payments:write',
+  'metrics:write'
+];
+
+/**
+ * ApiKey Schema - credentials for clients without a user session (the mobile app).
+ * Only a SHA-256 hash of the key is stored; the raw key is shown once on creation.
+ */
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // First characters of the key so admins can tell keys apart
+  key_prefix: {
+    type: String,
+    required: true
+  },
+  key_hash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  scopes: [{
+    type: String,
+    enum: SCOPES
+  }],
+  is_active: {
+    type: Boolean,
+    default: true
+  },
+  expires_at: Date,
+  revoked_at: Date,
+  last_used_at: Date,
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+apiKeySchema.statics.SCOPES = SCOPES;
+
+apiKeySchema.statics.hashKey = function(rawKey) {
+  return crypto.createHash('sha256').update(String(rawKey)).digest('hex');
+};
+
+// Create a key and return { apiKey, rawKey }; the raw key is never stored
+apiKeySchema.statics.generate = async function({ name, scopes = [], expiresAt = null, createdBy = null }) {
+  const rawKey = `mwk_${crypto.randomBytes(24).toString('base64url')}`;
+  const apiKey = await this.create({
+    name,
+    key_prefix: rawKey.slice(0, 10),
+    key_hash: this.hashKey(rawKey),
+    scopes,
+    expires_at: expiresAt,
+    created_by: createdBy
+  });
+  return { apiKey, rawKey };
+};
+
+apiKeySchema.statics.findByRawKey = async function(rawKey) {
+  return await this.findOne({ key_hash: this.hashKey(rawKey) });
+};
+
+apiKeySchema.methods.isUsable = function() {
+  if (!this.is_active || this.revoked_at) return false;
+  return !this.expires_at || this.expires_at > new Date();
+};
+
+apiKeySchema.methods.hasScopes = function(scopes) {
+  return scopes.every(scope => this.scopes.includes(scope));
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+/**
+ * AuditLog Schema - append-only record of every data-changing request.
+ * Entries are written by the audit middleware and never updated or deleted.
+ */
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    email: String,
+    role: String,
+    // Set when the request was authenticated with an API key instead of a user
+    api_key_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApiKey'
+    },
+    api_key_name: String
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  entity: {
+    type: String,
+    required: true
+  },
+  entity_id: String,
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  // Field-level changes: [{ field, before, after }]
+  diff: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  // Extra request context (e.g. restock quantity, import file name)
+  details: mongoose.Schema.Types.Mixed,
+  method: String,
+  path: String,
+  status_code: Number,
+  ip: String,
+  user_agent: String
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: false }
+});
+
+auditLogSchema.index({ entity: 1, entity_id: 1, created_at: -1 });
+auditLogSchema.index({ 'actor.user_id': 1, created_at: -1 });
+auditLogSchema.index({ created_at: -1 });
+
+// Append-only: refuse any update or delete issued through the model
+const blockedOperations = [
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace'
+];
+auditLogSchema.pre(blockedOperations, function(next) {
+  next(new Error('AuditLog is append-only'));
+});
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return next(new Error('AuditLog is append-only'));
+  next();
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
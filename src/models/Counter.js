@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+/**
+ * Counter Schema - named monotonically increasing sequences.
+ * Incremented atomically, so concurrent callers never receive the same value.
+ */
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Atomically increment the named counter (creating it at 0) and return the new value
+counterSchema.statics.next = async function(name, { session = null } = {}) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+
+// Store location used to measure delivery distance
+const STORE_LATITUDE = process.env.STORE_LATITUDE !== undefined ? Number(process.env.STORE_LATITUDE) : null;
+const STORE_LONGITUDE = process.env.STORE_LONGITUDE !== undefined ? Number(process.env.STORE_LONGITUDE) : null;
+
+const distanceBandSchema = new mongoose.Schema({
+  up_to_km: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  fee: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, {
+  _id: false
+});
+
+/**
+ * DeliveryZone Schema - an area we deliver to and what it costs.
+ * An address falls in a zone when it mentions one of the zone's keywords
+ * (barangay, street, subdivision) or lies within its radius of the store.
+ * fee_type 'flat' charges flat_fee; 'distance' picks the first band the
+ * distance fits in. Baskets at or above free_above deliver free.
+ */
+const deliveryZoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  is_active: {
+    type: Boolean,
+    default: true
+  },
+  // Higher priority zones are tried first when several match
+  priority: {
+    type: Number,
+    default: 0
+  },
+  address_keywords: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  max_distance_km: Number,
+  fee_type: {
+    type: String,
+    enum: ['flat', 'distance'],
+    default: 'flat'
+  },
+  flat_fee: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  distance_bands: [distanceBandSchema],
+  free_above: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Great-circle distance in km
+function distanceKm(lat1, lng1, lat2, lng2) {
+  const toRad = deg => deg * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+deliveryZoneSchema.methods.matches = function(address, distance) {
+  const text = String(address || '').toLowerCase();
+  if (text && this.address_keywords.some(keyword => keyword && text.includes(keyword))) return true;
+  return distance !== null && this.max_distance_km && distance <= this.max_distance_km;
+};
+
+// Fee for this zone, or null when the distance falls outside every band
+deliveryZoneSchema.methods.feeFor = function(distance, basketTotal) {
+  if (this.free_above !== null && this.free_above !== undefined && basketTotal >= this.free_above) return 0;
+  if (this.fee_type === 'flat') return this.flat_fee || 0;
+  if (distance === null) return null;
+  const band = [...this.distance_bands]
+    .sort((a, b) => a.up_to_km - b.up_to_km)
+    .find(b => distance <= b.up_to_km);
+  return band ? band.fee : null;
+};
+
+// Quote delivery for an address and/or coordinates. Returns
+// { deliverable: true, zone, fee, distance_km } or { deliverable: false, reason }.
+// With no active zones configured, delivery is free everywhere.
+deliveryZoneSchema.statics.quote = async function({ address, latitude, longitude, basketTotal = 0 }) {
+  const zones = await this.find({ is_active: true }).sort({ priority: -1, createdAt: 1 });
+  if (zones.length === 0) {
+    return { deliverable: true, zone: null, fee: 0, distance_km: null };
+  }
+
+  const lat = parseFloat(latitude);
+  const lng = parseFloat(longitude);
+  const distance = Number.isFinite(lat) && Number.isFinite(lng) && STORE_LATITUDE !== null && STORE_LONGITUDE !== null
+    ? Math.round(distanceKm(STORE_LATITUDE, STORE_LONGITUDE, lat, lng) * 100) / 100
+    : null;
+
+  for (const zone of zones) {
+    if (!zone.matches(address, distance)) continue;
+    const fee = zone.feeFor(distance, basketTotal);
+    if (fee === null) {
+      return {
+        deliverable: false,
+        zone,
+        distance_km: distance,
+        reason: distance === null ? 'A map location is needed to price delivery to this area' : 'Address is beyond the delivery range'
+      };
+    }
+    return { deliverable: true, zone, fee, distance_km: distance };
+  }
+
+  return { deliverable: false, zone: null, distance_km: distance, reason: 'Address is outside our delivery zones' };
+};
+
+module.exports = mongoose.model('DeliveryZone', deliveryZoneSchema);
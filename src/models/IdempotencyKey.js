@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const DEFAULT_TTL_HOURS = Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+// An in-progress claim older than this is assumed to belong to a crashed request
+const LOCK_TIMEOUT_MS = 2 * 60 * 1000;
+
+/**
+ * IdempotencyKey Schema - first response for a client-supplied Idempotency-Key.
+ * Retries with the same key (and the same request) replay the stored response
+ * instead of running the handler again.
+ */
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  // Route plus caller, so two clients can never collide on the same key
+  scope: {
+    type: String,
+    required: true
+  },
+  // Fingerprint of the request; reusing a key for a different request is refused
+  request_hash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['in_progress', 'completed'],
+    default: 'in_progress'
+  },
+  response_status: Number,
+  response_body: mongoose.Schema.Types.Mixed,
+  locked_at: {
+    type: Date,
+    default: Date.now
+  },
+  expires_at: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+idempotencyKeySchema.index({ key: 1, scope: 1 }, { unique: true });
+// Let MongoDB purge keys once they expire
+idempotencyKeySchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+idempotencyKeySchema.statics.hashRequest = function(parts) {
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+};
+
+// Claim a key for this request. Returns { record, created } where created is
+// false when the key already exists (the caller decides whether to replay).
+idempotencyKeySchema.statics.claim = async function({ key, scope, requestHash, ttlHours = DEFAULT_TTL_HOURS }) {
+  try {
+    const record = await this.create({
+      key,
+      scope,
+      request_hash: requestHash,
+      expires_at: new Date(Date.now() + ttlHours * 60 * 60 * 1000)
+    });
+    return { record, created: true };
+  } catch (e) {
+    if (e.code !== 11000) throw e;
+  }
+
+  // Take over a claim left behind by a request that never finished
+  const reclaimed = await this.findOneAndUpdate(
+    {
+      key,
+      scope,
+      request_hash: requestHash,
+      status: 'in_progress',
+      locked_at: { $lt: new Date(Date.now() - LOCK_TIMEOUT_MS) }
+    },
+    { locked_at: new Date() },
+    { new: true }
+  );
+  if (reclaimed) return { record: reclaimed, created: true };
+
+  const existing = await this.findOne({ key, scope });
+  return { record: existing, created: false };
+};
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,186 @@
+const mongoose = require('mongoose');
+
+// Tunables (env overrides keep them adjustable without a deploy)
+const WINDOW_MINUTES = Number(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15;
+const FREE_ATTEMPTS = Number(process.env.LOGIN_FREE_ATTEMPTS) || 3;
+const MAX_DELAY_SECONDS = 60;
+const LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const LOCKOUT_THRESHOLD = {
+  email: Number(process.env.LOGIN_EMAIL_LOCKOUT_THRESHOLD) || 10,
+  ip: Number(process.env.LOGIN_IP_LOCKOUT_THRESHOLD) || 50
+};
+const RECENT_FAILURES_KEPT = 20;
+
+/**
+ * LoginAttempt Schema - failed login counters keyed by email or client IP.
+ * Kept in MongoDB so throttling and lockouts survive a server restart.
+ */
+const loginAttemptSchema = new mongoose.Schema({
+  key_type: {
+    type: String,
+    enum: ['email', 'ip'],
+    required: true
+  },
+  key: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  failed_count: {
+    type: Number,
+    default: 0
+  },
+  first_failed_at: Date,
+  last_failed_at: Date,
+  // Earliest time the next attempt is accepted (progressive delay)
+  next_allowed_at: Date,
+  locked_until: Date,
+  lockout_count: {
+    type: Number,
+    default: 0
+  },
+  // Whether the most recent attempt was refused by the delay or lockout
+  last_attempt_blocked: {
+    type: Boolean,
+    default: false
+  },
+  recent_failures: [{
+    _id: false,
+    at: Date,
+    ip: String,
+    email: String,
+    user_agent: String
+  }]
+}, {
+  timestamps: true
+});
+
+loginAttemptSchema.index({ key_type: 1, key: 1 }, { unique: true });
+loginAttemptSchema.index({ last_failed_at: -1 });
+
+const EPOCH = new Date(0);
+
+function isDuplicateKeyError(error) {
+  return error && error.code === 11000;
+}
+
+/**
+ * Count a login attempt for an email or IP key before the password is checked,
+ * in a single atomic update, so parallel guesses cannot slip past the delay or
+ * the lockout. The attempt is refused (and not counted) while the key is locked
+ * or inside its progressive delay; otherwise it is counted as a failure up front
+ * and the delay/lock for the next attempt is set from the new count. A login that
+ * turns out to succeed gives the attempt back with forgiveAttempt/reset.
+ * Returns { blocked, reason, retryAfter, record }.
+ */
+loginAttemptSchema.statics.registerAttempt = async function({ key_type, key }) {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - WINDOW_MINUTES * 60 * 1000);
+  const lockoutUntil = new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000);
+
+  const lockActive = { $gt: [{ $ifNull: ['$locked_until', EPOCH] }, now] };
+  const throttled = { $gt: [{ $ifNull: ['$next_allowed_at', EPOCH] }, now] };
+  // Counters decay once the window has passed without a lock in force
+  const decays = { $and: [{ $not: [lockActive] }, { $lt: [{ $ifNull: ['$last_failed_at', EPOCH] }, windowStart] }] };
+  const overFree = { $subtract: ['$failed_count', FREE_ATTEMPTS] };
+
+  const pipeline = [
+    {
+      $set: {
+        last_attempt_blocked: { $or: [lockActive, throttled] },
+        failed_count: { $cond: [decays, 0, { $ifNull: ['$failed_count', 0] }] },
+        first_failed_at: { $cond: [decays, now, '$first_failed_at'] },
+        lockout_count: { $ifNull: ['$lockout_count', 0] },
+        recent_failures: { $ifNull: ['$recent_failures', []] }
+      }
+    },
+    {
+      $set: {
+        failed_count: { $cond: ['$last_attempt_blocked', '$failed_count', { $add: ['$failed_count', 1] }] },
+        last_failed_at: { $cond: ['$last_attempt_blocked', '$last_failed_at', now] }
+      }
+    },
+    {
+      $set: {
+        next_allowed_at: {
+          $cond: [
+            '$last_attempt_blocked',
+            '$next_allowed_at',
+            {
+              $cond: [
+                { $gt: [overFree, 0] },
+                { $add: [now, { $multiply: [{ $min: [{ $pow: [2, { $subtract: [overFree, 1] }] }, MAX_DELAY_SECONDS] }, 1000] }] },
+                null
+              ]
+            }
+          ]
+        }
+      }
+    },
+    {
+      $set: {
+        locks: { $and: [{ $not: ['$last_attempt_blocked'] }, { $gte: ['$failed_count', LOCKOUT_THRESHOLD[key_type]] }] }
+      }
+    },
+    {
+      $set: {
+        locked_until: { $cond: ['$locks', lockoutUntil, '$locked_until'] },
+        lockout_count: { $cond: ['$locks', { $add: ['$lockout_count', 1] }, '$lockout_count'] },
+        failed_count: { $cond: ['$locks', 0, '$failed_count'] },
+        next_allowed_at: { $cond: ['$locks', null, '$next_allowed_at'] }
+      }
+    },
+    { $unset: 'locks' }
+  ];
+
+  const update = () => this.findOneAndUpdate({ key_type, key }, pipeline, { upsert: true, new: true, lean: true });
+  let record;
+  try {
+    record = await update();
+  } catch (error) {
+    // Two first attempts on a new key can race on the insert; the loser retries as an update
+    if (!isDuplicateKeyError(error)) throw error;
+    record = await update();
+  }
+
+  if (!record.last_attempt_blocked) return { blocked: false, record };
+  const lockedNow = record.locked_until && record.locked_until > now;
+  const until = lockedNow ? record.locked_until : record.next_allowed_at;
+  return {
+    blocked: true,
+    reason: lockedNow ? 'locked' : 'throttled',
+    key_type,
+    retryAfter: Math.max(1, Math.ceil((until - now) / 1000)),
+    record
+  };
+};
+
+// Give back an attempt counted by registerAttempt (the password was right, or
+// another key refused the request before the password was checked)
+loginAttemptSchema.statics.forgiveAttempt = async function({ key_type, key }) {
+  await this.updateOne(
+    { key_type, key, failed_count: { $gt: 0 } },
+    [
+      { $set: { failed_count: { $subtract: ['$failed_count', 1] } } },
+      { $set: { next_allowed_at: { $cond: [{ $lte: ['$failed_count', FREE_ATTEMPTS] }, null, '$next_allowed_at'] } } }
+    ]
+  );
+};
+
+// Keep the details of a confirmed failure for the admin views
+loginAttemptSchema.statics.noteFailure = async function({ key_type, key }, context = {}) {
+  await this.updateOne(
+    { key_type, key },
+    { $push: { recent_failures: { $each: [{ at: new Date(), ...context }], $slice: -RECENT_FAILURES_KEPT } } }
+  );
+};
+
+// Clear counters for a key (successful login or admin unlock)
+loginAttemptSchema.statics.reset = async function({ key_type, key }) {
+  await this.updateOne(
+    { key_type, key },
+    { failed_count: 0, next_allowed_at: null, locked_until: null }
+  );
+};
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
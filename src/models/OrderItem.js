@@ -38,6 +38,8 @@ const orderItemSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // Public product id the line was resolved from
+  product_uid: String,
   product_sku: String,
   product_category: String,
   variant_id: {
@@ -70,4 +72,40 @@ orderItemSchema.pre('save', function(next) {
   next();
 });
 
+// Units sold per product and variant over the last `days` days, from orders that
+// were not cancelled or declined. Returns a Map keyed by "productId:variantId"
+// (variantId empty for products sold without a variant) of { quantity, per_day }.
+orderItemSchema.statics.salesVelocity = async function({ days = 30, productIds = null } = {}) {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const orderIds = await mongoose.model('Order_Standalone').distinct('_id', {
+    createdAt: { $gte: since },
+    status: { $nin: ['Cancelled', 'Declined'] }
+  });
+
+  const velocity = new Map();
+  if (orderIds.length === 0) return velocity;
+
+  const match = { order_id: { $in: orderIds } };
+  if (productIds) {
+    match.product_id = { $in: productIds.map(id => new mongoose.Types.ObjectId(String(id))) };
+  }
+  const rows = await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { product_id: '$product_id', variant_id: '$variant_id' },
+        quantity: { $sum: '$quantity' }
+      }
+    }
+  ]);
+
+  for (const row of rows) {
+    velocity.set(`${row._id.product_id}:${row._id.variant_id || ''}`, {
+      quantity: row.quantity,
+      per_day: row.quantity / days
+    });
+  }
+  return velocity;
+};
+
 module.exports = mongoose.model('OrderItem', orderItemSchema);
\ No newline at end of file
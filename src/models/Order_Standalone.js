@@ -1,4 +1,106 @@
 const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+const ORDER_STATUSES = ['Pending', 'Processing', 'Completed', 'Cancelled', 'Declined', 'Delivered'];
+
+// Allowed status moves; anything not listed here is rejected.
+// Cancelled, Declined and Delivered are final.
+const STATUS_TRANSITIONS = {
+  Pending: ['Processing', 'Completed', 'Cancelled', 'Declined'],
+  Processing: ['Completed', 'Delivered', 'Cancelled', 'Declined'],
+  Completed: ['Delivered'],
+  Delivered: [],
+  Cancelled: [],
+  Declined: []
+};
+
+// Order code prefix per channel, e.g. ORD20261019-0001 / IS20261019-0001
+const ORDER_CODE_PREFIXES = {
+  'Online': process.env.ORDER_CODE_PREFIX_ONLINE || 'ORD',
+  'In-Store': process.env.ORDER_CODE_PREFIX_INSTORE || 'IS'
+};
+// When the sequence restarts: 'daily' or 'yearly'
+const ORDER_CODE_RESET = process.env.ORDER_CODE_RESET === 'yearly' ? 'yearly' : 'daily';
+
+const statusChangeSchema = new mongoose.Schema({
+  from: String,
+  to: {
+    type: String,
+    enum: ORDER_STATUSES,
+    required: true
+  },
+  changed_at: {
+    type: Date,
+    default: Date.now
+  },
+  changed_by: {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    email: String,
+    role: String,
+    api_key_name: String
+  },
+  note: String
+}, {
+  _id: false
+});
+
+// Statuses whose stock has been taken off the shelf; entering one from Pending deducts it
+const STOCK_DEDUCTED_STATUSES = ['Processing', 'Completed', 'Delivered'];
+
+// Statuses in which the order lines can still be amended
+const AMENDABLE_STATUSES = ['Pending', 'Processing'];
+
+// One amendment of the order lines, with the totals before and after
+const revisionSchema = new mongoose.Schema({
+  revision: {
+    type: Number,
+    required: true
+  },
+  changed_at: {
+    type: Date,
+    default: Date.now
+  },
+  changed_by: {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    email: String,
+    role: String,
+    api_key_name: String
+  },
+  note: String,
+  // [{ action: 'add' | 'update' | 'remove', order_item_id, product_id, variant_id, product_name, variant_name, quantity_before, quantity_after, unit_price }]
+  changes: [{
+    _id: false,
+    action: String,
+    order_item_id: mongoose.Schema.Types.ObjectId,
+    product_id: mongoose.Schema.Types.ObjectId,
+    variant_id: mongoose.Schema.Types.ObjectId,
+    product_name: String,
+    variant_name: String,
+    quantity_before: Number,
+    quantity_after: Number,
+    unit_price: Number
+  }],
+  totals_before: {
+    totalPrice: Number,
+    discount: Number,
+    delivery_fee: Number,
+    net_total: Number
+  },
+  totals_after: {
+    totalPrice: Number,
+    discount: Number,
+    delivery_fee: Number,
+    net_total: Number
+  }
+}, {
+  _id: false
+});
 
 /**
  * Order Schema - Without embedded items (for separate collection approach)
@@ -19,9 +121,17 @@ const orderSchema = new mongoose.Schema({
   address: String,
   status: {
     type: String,
-    enum: ['Pending', 'Processing', 'Completed', 'Cancelled', 'Declined', 'Delivered'],
+    enum: ORDER_STATUSES,
     default: 'Pending'
   },
+  // Every status change, oldest first
+  status_history: [statusChangeSchema],
+  // Bumped on every amendment of the order lines
+  revision: {
+    type: Number,
+    default: 0
+  },
+  revisions: [revisionSchema],
   type: {
     type: String,
     enum: ['Online', 'In-Store'],
@@ -29,10 +139,29 @@ const orderSchema = new mongoose.Schema({
   },
   payment: {
     type: String,
-    enum: ['Cash', 'GCash'],
+    enum: ['Cash', 'GCash', 'Split'],
     default: 'Cash'
   },
   ref: String,
+  // Rolled up from the order's Payment records
+  payment_status: {
+    type: String,
+    enum: ['unpaid', 'pending_verification', 'verified', 'rejected'],
+    default: 'unpaid'
+  },
+  amount_paid: {
+    type: Number,
+    default: 0
+  },
+  change_due: {
+    type: Number,
+    default: 0
+  },
+  // A payment on this order reuses a GCash reference or proof from another order
+  payment_flagged: {
+    type: Boolean,
+    default: false
+  },
   totalPrice: {
     type: Number,
     required: true,
@@ -43,17 +172,73 @@ const orderSchema = new mongoose.Schema({
     default: 0.00,
     min: 0
   },
+  // Delivery charge for online orders, included in net_total but kept out of sales
+  delivery_fee: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  delivery: {
+    zone_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DeliveryZone'
+    },
+    zone_name: String,
+    distance_km: Number,
+    latitude: Number,
+    longitude: Number
+  },
   net_total: {
     type: Number,
     required: true,
     min: 0
   },
+  // Totals as sent by the client; the fields above always hold server-computed values
+  client_totals: {
+    totalPrice: Number,
+    discount: Number,
+    delivery_fee: Number,
+    net_total: Number
+  },
+  // Set when the client totals disagreed with server pricing (flag mode)
+  pricing_flagged: {
+    type: Boolean,
+    default: false
+  },
+  pricing_discrepancies: [{
+    _id: false,
+    field: String,
+    product_id: mongoose.Schema.Types.ObjectId,
+    variant_id: mongoose.Schema.Types.ObjectId,
+    name: String,
+    client_value: Number,
+    server_value: Number
+  }],
   cash_received: {
     type: Number,
     default: 0,
     min: 0
   },
+  // Running total of refunds issued against this order
+  refunded_total: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  refund_status: {
+    type: String,
+    enum: ['None', 'Partial', 'Full'],
+    default: 'None'
+  },
   device_id: String,
+  // Registered customer who owns the order (replaces device_id ownership)
+  customer_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // When a legacy device-based order was claimed by a customer account
+  claimed_at: Date,
   fcm_token: String,
   payment_proof_image_url: String, // Cloudinary URL for GCash payment proof
   payment_proof_public_id: String // Cloudinary public ID for payment proof image management
@@ -64,4 +249,31 @@ const orderSchema = new mongoose.Schema({
 // Index for device_id queries
 orderSchema.index({ device_id: 1 });
 
+// Index for a customer's order history
+orderSchema.index({ customer_id: 1, createdAt: -1 });
+
+orderSchema.statics.STATUSES = ORDER_STATUSES;
+orderSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+orderSchema.statics.STOCK_DEDUCTED_STATUSES = STOCK_DEDUCTED_STATUSES;
+orderSchema.statics.AMENDABLE_STATUSES = AMENDABLE_STATUSES;
+
+orderSchema.statics.canTransition = function(from, to) {
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+// Next collision-free order code for a channel. The period (day or year) is
+// taken from `date` so back-dated imports number within their own day.
+orderSchema.statics.nextOrderCode = async function(type = 'Online', { date = new Date(), session = null } = {}) {
+  const prefix = ORDER_CODE_PREFIXES[type] || ORDER_CODE_PREFIXES.Online;
+  const yyyy = date.getFullYear();
+  const mm = String(date.getMonth() + 1).padStart(2, '0');
+  const dd = String(date.getDate()).padStart(2, '0');
+  const period = ORDER_CODE_RESET === 'yearly' ? `${yyyy}` : `${yyyy}${mm}${dd}`;
+
+  const seq = await Counter.next(`order_code:${prefix}:${period}`, { session });
+  const width = ORDER_CODE_RESET === 'yearly' ? 6 : 4;
+  return `${prefix}${period}-${String(seq).padStart(width, '0')}`;
+};
+
 module.exports = mongoose.model('Order_Standalone', orderSchema);
@@ -0,0 +1,196 @@
+const mongoose = require('mongoose');
+
+const PAYMENT_METHODS = ['Cash', 'GCash'];
+const PAYMENT_STATUSES = ['pending_verification', 'verified', 'rejected'];
+const PAYMENT_TOLERANCE = 0.01;
+// Perceptual-hash matching: how many recent proofs to compare, and how many
+// differing bits still count as the same screenshot
+const PHASH_SCAN_LIMIT = Number(process.env.PAYMENT_PHASH_SCAN_LIMIT) || 500;
+const PHASH_MAX_DISTANCE = Number(process.env.PAYMENT_PHASH_MAX_DISTANCE) || 4;
+
+/**
+ * Payment Schema - one tender against an order. An order paid part cash,
+ * part GCash has two payments. Cash taken by staff is verified on entry;
+ * GCash payments wait for an admin to check the reference and proof.
+ */
+const paymentSchema = new mongoose.Schema({
+  order_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order_Standalone',
+    required: true,
+    index: true
+  },
+  method: {
+    type: String,
+    enum: PAYMENT_METHODS,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Cash handed over and change given back (Cash only)
+  cash_received: Number,
+  change_due: {
+    type: Number,
+    default: 0
+  },
+  // GCash reference number as sent, and digits-only for duplicate checks
+  reference: String,
+  reference_normalized: {
+    type: String,
+    index: true
+  },
+  proof_image_url: String,
+  proof_public_id: String,
+  // SHA-256 of the uploaded file (exact reuse) and Cloudinary's perceptual hash (re-saved copies)
+  proof_hash: {
+    type: String,
+    index: true
+  },
+  proof_phash: String,
+  // Set when the reference or proof was already used on another order
+  flagged: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  flags: [{
+    _id: false,
+    type: {
+      type: String,
+      enum: ['duplicate_reference', 'duplicate_proof', 'similar_proof']
+    },
+    other_order_id: mongoose.Schema.Types.ObjectId,
+    other_payment_id: mongoose.Schema.Types.ObjectId,
+    detected_at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  status: {
+    type: String,
+    enum: PAYMENT_STATUSES,
+    default: 'pending_verification',
+    index: true
+  },
+  recorded_by: {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    email: String,
+    role: String,
+    api_key_name: String
+  },
+  reviewed_by: {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    email: String
+  },
+  reviewed_at: Date,
+  rejection_reason: String
+}, {
+  timestamps: true
+});
+
+paymentSchema.statics.METHODS = PAYMENT_METHODS;
+paymentSchema.statics.STATUSES = PAYMENT_STATUSES;
+
+// GCash references are 13 digits, but customers type them with spaces or dashes
+function normalizeReference(reference) {
+  const digits = String(reference || '').replace(/\D/g, '');
+  return digits || null;
+}
+
+function hammingDistance(hexA, hexB) {
+  if (!hexA || !hexB || hexA.length !== hexB.length) return Infinity;
+  let diff = BigInt('0x' + hexA) ^ BigInt('0x' + hexB);
+  let distance = 0;
+  while (diff > 0n) {
+    distance += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return distance;
+}
+
+paymentSchema.statics.normalizeReference = normalizeReference;
+
+paymentSchema.pre('validate', function(next) {
+  this.reference_normalized = normalizeReference(this.reference);
+  next();
+});
+
+// Look for the same GCash reference or proof image on any other order.
+// Returns flags in the shape stored on Payment.flags (empty when clean).
+paymentSchema.statics.findDuplicates = async function(orderId, { reference, proofHash, proofPhash } = {}) {
+  const flags = [];
+  const otherOrders = { order_id: { $ne: orderId } };
+
+  const normalized = normalizeReference(reference);
+  if (normalized) {
+    const other = await this.findOne({ ...otherOrders, reference_normalized: normalized }).select('order_id').lean();
+    if (other) flags.push({ type: 'duplicate_reference', other_order_id: other.order_id, other_payment_id: other._id });
+  }
+
+  if (proofHash) {
+    const other = await this.findOne({ ...otherOrders, proof_hash: proofHash }).select('order_id').lean();
+    if (other) flags.push({ type: 'duplicate_proof', other_order_id: other.order_id, other_payment_id: other._id });
+  }
+
+  if (proofPhash && !flags.some(flag => flag.type === 'duplicate_proof')) {
+    const recent = await this.find({ ...otherOrders, proof_phash: { $exists: true, $ne: null } })
+      .sort({ createdAt: -1 })
+      .limit(PHASH_SCAN_LIMIT)
+      .select('order_id proof_phash')
+      .lean();
+    const similar = recent.find(other => hammingDistance(proofPhash, other.proof_phash) <= PHASH_MAX_DISTANCE);
+    if (similar) flags.push({ type: 'similar_proof', other_order_id: similar.order_id, other_payment_id: similar._id });
+  }
+
+  return flags;
+};
+
+// Roll an order's payments up into the order-level payment state:
+// verified once verified tenders cover the net total, pending_verification
+// while any tender awaits review, rejected when the latest tender was refused.
+paymentSchema.statics.summarizeForOrder = async function(orderId, netTotal, { session = null } = {}) {
+  const payments = await this.find({ order_id: orderId }).sort({ createdAt: 1 }).session(session).lean();
+
+  let amountPaid = 0;
+  let changeDue = 0;
+  let pending = false;
+  for (const payment of payments) {
+    if (payment.status === 'verified') {
+      amountPaid += payment.amount;
+      changeDue += payment.change_due || 0;
+    }
+    if (payment.status === 'pending_verification') pending = true;
+  }
+  amountPaid = Math.round(amountPaid * 100) / 100;
+
+  let status = 'unpaid';
+  if (payments.length > 0 && amountPaid >= netTotal - PAYMENT_TOLERANCE) {
+    status = 'verified';
+  } else if (pending) {
+    status = 'pending_verification';
+  } else if (payments.length > 0 && payments[payments.length - 1].status === 'rejected') {
+    status = 'rejected';
+  }
+
+  const flagged = payments.some(p => p.flagged && p.status !== 'rejected');
+  const methods = [...new Set(payments.filter(p => p.status !== 'rejected').map(p => p.method))];
+  return {
+    payment_status: status,
+    amount_paid: amountPaid,
+    change_due: Math.round(changeDue * 100) / 100,
+    payment_flagged: flagged,
+    // Order.payment keeps the single-method label older clients read
+    payment: methods.length > 1 ? 'Split' : methods[0]
+  };
+};
+
+module.exports = mongoose.model('Payment', paymentSchema);
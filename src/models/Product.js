@@ -1,4 +1,12 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const StockMovement = require('./StockMovement');
+const StockLot = require('./StockLot');
+
+// Stable public product id (e.g. PRD-3F9A1C0B7E21); clients should send this instead of dart_hash
+function generateProductUid() {
+  return 'PRD-' + crypto.randomBytes(6).toString('hex').toUpperCase();
+}
 
 // Variant schema for products
 const variantSchema = new mongoose.Schema({
@@ -56,6 +64,12 @@ const productSchema = new mongoose.Schema({
     unique: true,
     sparse: true
   },
+  product_uid: {
+    type: String,
+    unique: true,
+    sparse: true,
+    default: generateProductUid
+  },
   sku: String,
   name: {
     type: String,
@@ -116,7 +130,13 @@ const productSchema = new mongoose.Schema({
     index: true
   },
   // Variants array - each variant has its own price, stock, and barcodes
-  variants: [variantSchema]
+  variants: [variantSchema],
+  // Bumped inside checkout transactions so concurrent stock checks on the product conflict
+  stock_check_seq: {
+    type: Number,
+    default: 0,
+    select: false
+  }
 }, {
   timestamps: true
 });
@@ -155,6 +175,96 @@ productSchema.pre('save', function(next) {
   next();
 });
 
+productSchema.statics.generateUid = generateProductUid;
+
+// Find the product (and the variant, when the barcode belongs to one) for a
+// scanned barcode. Legacy product barcodes are checked before variant barcodes.
+productSchema.statics.findByBarcode = async function(barcode, select = null) {
+  const normalizedBarcode = String(barcode || '').trim();
+  if (!normalizedBarcode) return { product: null, variant: null };
+
+  let product = await this.findOne({ barcode: normalizedBarcode }).select(select);
+  if (product) return { product, variant: null };
+
+  product = await this.findOne({ 'variants.barcodes': normalizedBarcode }).select(select);
+  if (!product) return { product: null, variant: null };
+
+  const variant = product.variants.find(v => v.barcodes && v.barcodes.includes(normalizedBarcode)) || null;
+  return { product, variant };
+};
+
+// Write to the products whose stock is about to be checked, inside the caller's
+// transaction. Concurrent transactions checking the same product then hit a
+// write conflict and one is retried, instead of both passing the check.
+productSchema.statics.lockForStockCheck = async function(productIds, { session }) {
+  const ids = [...new Set(productIds.map(String))];
+  if (ids.length === 0) return;
+  await this.updateMany({ _id: { $in: ids } }, { $inc: { stock_check_seq: 1 } }, { session, timestamps: false });
+};
+
+// Apply a stock delta to a product, or to one of its variants when variantId
+// is given; variant changes also move the product's aggregate stock. The change
+// is a single conditional $inc so concurrent callers never overwrite each other;
+// `requireStock` refuses a deduction that would take stock below zero.
+// `movement` ({ type, reference, user, note }) is written to the stock ledger.
+// Restocks open a lot (`lot` carries batch_number, expiry_date, unit_cost,
+// supplier_id), every deduction uses up lots first-expiry-first-out and other
+// increases (returns, count overages) go back into lots via StockLot.putBack.
+// Returns what was changed so callers can report it; `applied: false` with a
+// reason (product_not_found, variant_not_found, insufficient_stock) otherwise.
+productSchema.statics.adjustStock = async function(productId, variantId, delta, { session = null, movement = {}, lot = {}, requireStock = false } = {}) {
+  const guard = requireStock && delta < 0 ? { stock: { $gte: -delta } } : {};
+  const filter = variantId
+    ? { _id: productId, variants: { $elemMatch: { _id: variantId, ...guard } } }
+    : { _id: productId, ...guard };
+  const update = variantId
+    ? { $inc: { 'variants.$.stock': delta, stock: delta } }
+    : { $inc: { stock: delta } };
+
+  const product = await this.findOneAndUpdate(filter, update, { new: true, session }).select('stock variants');
+  if (!product) {
+    const existing = await this.findById(productId).select('variants._id').session(session).lean();
+    let reason = 'insufficient_stock';
+    if (!existing) reason = 'product_not_found';
+    else if (variantId && !(existing.variants || []).some(v => String(v._id) === String(variantId))) reason = 'variant_not_found';
+    return { product_id: productId, variant_id: variantId || null, delta, applied: false, reason };
+  }
+
+  const variant = variantId ? product.variants.id(variantId) : null;
+  const unitVariantId = variant ? variant._id : null;
+  const stockAfter = variant ? variant.stock : product.stock;
+  const stockBefore = stockAfter - delta;
+
+  let lots = [];
+  if (delta > 0 && movement.type === 'restock') {
+    const opened = await StockLot.receive(
+      { ...lot, product_id: product._id, variant_id: unitVariantId, quantity: delta, source: movement.reference },
+      { session }
+    );
+    lots = [{ lot_id: opened._id, batch_number: opened.batch_number, expiry_date: opened.expiry_date, quantity: delta }];
+  } else if (delta > 0) {
+    const from = await StockMovement.lotsOutFor(movement.reference, product._id, unitVariantId, { session });
+    lots = await StockLot.putBack(product._id, unitVariantId, delta, { from, source: movement.reference, session });
+  } else if (delta < 0) {
+    lots = await StockLot.consume(product._id, unitVariantId, -delta, { session });
+  }
+
+  await StockMovement.record(
+    { product_id: product._id, variant_id: unitVariantId, quantity: delta, stock_before: stockBefore, stock_after: stockAfter, lots },
+    movement,
+    { session }
+  );
+
+  return {
+    product_id: product._id,
+    variant_id: unitVariantId,
+    delta,
+    applied: true,
+    stock: stockAfter,
+    lots
+  };
+};
+
 // Virtual for placeholder URL
 productSchema.virtual('placeholder_url').get(function() {
   return this.image_url ? this.image_url : `/assets/images/Midwest.jpg`;
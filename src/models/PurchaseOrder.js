@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+const PURCHASE_ORDER_STATUSES = ['draft', 'sent', 'partially_received', 'received', 'closed'];
+
+// Allowed status moves; closing is allowed at any point before it is final
+const PURCHASE_ORDER_TRANSITIONS = {
+  draft: ['sent', 'closed'],
+  sent: ['partially_received', 'received', 'closed'],
+  partially_received: ['received', 'closed'],
+  received: ['closed'],
+  closed: []
+};
+
+const purchaseOrderLineSchema = new mongoose.Schema({
+  supplier_product_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SupplierProduct'
+  },
+  product_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  product_name: String,
+  variant_name: String,
+  supplier_sku: String,
+  quantity_ordered: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  quantity_received: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Priced from SupplierProduct.supplier_cost when the line is added
+  unit_cost: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  line_total: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+});
+
+// One delivery against the purchase order
+const receiptSchema = new mongoose.Schema({
+  received_at: {
+    type: Date,
+    default: Date.now
+  },
+  received_by: {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    email: String
+  },
+  note: String,
+  lines: [{
+    _id: false,
+    line_id: mongoose.Schema.Types.ObjectId,
+    product_id: mongoose.Schema.Types.ObjectId,
+    variant_id: mongoose.Schema.Types.ObjectId,
+    quantity: Number,
+    value: Number,
+    batch_number: String,
+    expiry_date: Date
+  }],
+  value: Number
+}, {
+  _id: true
+});
+
+/**
+ * PurchaseOrder Schema - stock ordered from a supplier and received against.
+ * draft -> sent -> partially_received -> received, and closed at any point.
+ */
+const purchaseOrderSchema = new mongoose.Schema({
+  po_number: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  supplier_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: PURCHASE_ORDER_STATUSES,
+    default: 'draft',
+    index: true
+  },
+  lines: [purchaseOrderLineSchema],
+  subtotal: {
+    type: Number,
+    default: 0
+  },
+  received_value: {
+    type: Number,
+    default: 0
+  },
+  receipts: [receiptSchema],
+  notes: String,
+  expected_date: Date,
+  sent_at: Date,
+  received_at: Date,
+  closed_at: Date,
+  close_reason: String,
+  created_by: {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    email: String
+  }
+}, {
+  timestamps: true
+});
+
+purchaseOrderSchema.index({ supplier_id: 1, createdAt: -1 });
+
+purchaseOrderSchema.statics.STATUSES = PURCHASE_ORDER_STATUSES;
+purchaseOrderSchema.statics.TRANSITIONS = PURCHASE_ORDER_TRANSITIONS;
+
+purchaseOrderSchema.statics.canTransition = function(from, to) {
+  return (PURCHASE_ORDER_TRANSITIONS[from] || []).includes(to);
+};
+
+// Next PO number, numbered within the year, e.g. PO2026-00042
+purchaseOrderSchema.statics.nextPoNumber = async function({ session = null } = {}) {
+  const year = new Date().getFullYear();
+  const seq = await Counter.next(`purchase_order:${year}`, { session });
+  return `PO${year}-${String(seq).padStart(5, '0')}`;
+};
+
+// Quantities still due from open purchase orders (drafts included, so a
+// suggestion is not raised twice), keyed by "productId:variantId"
+purchaseOrderSchema.statics.onOrderQuantities = async function() {
+  const rows = await this.aggregate([
+    { $match: { status: { $in: ['draft', 'sent', 'partially_received'] } } },
+    { $unwind: '$lines' },
+    {
+      $group: {
+        _id: { product_id: '$lines.product_id', variant_id: '$lines.variant_id' },
+        quantity: { $sum: { $subtract: ['$lines.quantity_ordered', '$lines.quantity_received'] } }
+      }
+    }
+  ]);
+
+  const onOrder = new Map();
+  for (const row of rows) {
+    if (row.quantity <= 0) continue;
+    onOrder.set(`${row._id.product_id}:${row._id.variant_id || ''}`, row.quantity);
+  }
+  return onOrder;
+};
+
+module.exports = mongoose.model('PurchaseOrder', purchaseOrderSchema);
@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+
+const REFUND_METHODS = ['Cash', 'GCash', 'Store Credit'];
+// Only orders where money was actually taken can be refunded
+const REFUNDABLE_STATUSES = ['Completed', 'Delivered'];
+
+const refundLineSchema = new mongoose.Schema({
+  order_item_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OrderItem',
+    required: true
+  },
+  product_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  variant_id: mongoose.Schema.Types.ObjectId,
+  product_name: String,
+  variant_name: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  unit_price: Number,
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  restocked: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  _id: false
+});
+
+/**
+ * Refund Schema - money returned against an order, by line item and quantity.
+ * Refunds are counted on the day they are issued in the daily sales summary.
+ */
+const refundSchema = new mongoose.Schema({
+  order_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order_Standalone',
+    required: true,
+    index: true
+  },
+  order_code: String,
+  lines: [refundLineSchema],
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Part of amount that handed back the order's delivery fee
+  delivery_fee_refunded: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  method: {
+    type: String,
+    enum: REFUND_METHODS,
+    required: true
+  },
+  // Order channel, so the summary can split refunds like sales
+  order_type: String,
+  refunded_by: {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    email: String,
+    role: String,
+    api_key_name: String
+  },
+  note: String
+}, {
+  timestamps: true
+});
+
+refundSchema.index({ createdAt: 1 });
+
+refundSchema.statics.METHODS = REFUND_METHODS;
+refundSchema.statics.REFUNDABLE_STATUSES = REFUNDABLE_STATUSES;
+
+// Quantity already refunded per order item, keyed by order item id
+refundSchema.statics.refundedQuantities = async function(orderId, { session = null } = {}) {
+  const refunds = await this.find({ order_id: orderId }).session(session).lean();
+  const refunded = new Map();
+  for (const refund of refunds) {
+    for (const line of refund.lines) {
+      const key = String(line.order_item_id);
+      refunded.set(key, (refunded.get(key) || 0) + line.quantity);
+    }
+  }
+  return refunded;
+};
+
+// Refund totals issued in [from, to), overall and split by order channel.
+// Sales leave delivery fees out, so amount, online and instore count goods only;
+// fees handed back are totalled apart in delivery_fees.
+refundSchema.statics.totalsBetween = async function(from, to) {
+  const fee = { $ifNull: ['$delivery_fee_refunded', 0] };
+  const rows = await this.aggregate([
+    { $match: { createdAt: { $gte: from, $lt: to } } },
+    {
+      $group: {
+        _id: '$order_type',
+        amount: { $sum: { $subtract: ['$amount', fee] } },
+        delivery_fees: { $sum: fee },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+  const totals = { amount: 0, delivery_fees: 0, count: 0, online: 0, instore: 0 };
+  for (const row of rows) {
+    totals.amount += row.amount;
+    totals.delivery_fees += row.delivery_fees;
+    totals.count += row.count;
+    if (row._id === 'In-Store') totals.instore += row.amount;
+    else totals.online += row.amount;
+  }
+  return totals;
+};
+
+module.exports = mongoose.model('Refund', refundSchema);
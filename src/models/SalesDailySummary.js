@@ -17,6 +17,11 @@ const salesDailySummarySchema = new mongoose.Schema({
     type: Number,
     default: 0.00
   },
+  // Delivery charges collected; not part of gross or net sales
+  delivery_fees: {
+    type: Number,
+    default: 0.00
+  },
   net_sales: {
     type: Number,
     default: 0.00
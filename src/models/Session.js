@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+/**
+ * Session Schema - one row per signed-in device.
+ * Access tokens carry the session id (sid) so they can be revoked server-side;
+ * the refresh token is stored only as a SHA-256 hash and rotated on every use.
+ */
+const sessionSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  refresh_token_hash: {
+    type: String,
+    required: true
+  },
+  // Hash of the token that was rotated out; presenting it again means the
+  // refresh token leaked, so the whole session is revoked
+  previous_token_hash: String,
+  expires_at: {
+    type: Date,
+    required: true
+  },
+  revoked_at: Date,
+  revoked_reason: String,
+  last_used_at: Date,
+  user_agent: String,
+  ip: String
+}, {
+  timestamps: true
+});
+
+// Let MongoDB purge sessions once they expire
+sessionSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.statics.hashToken = function(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest('hex');
+};
+
+sessionSchema.statics.generateSecret = function() {
+  return crypto.randomBytes(48).toString('base64url');
+};
+
+// Revoke every open session for a user (logout all devices, deactivation, password reset)
+sessionSchema.statics.revokeAllForUser = async function(userId, reason = 'logout_all') {
+  const result = await this.updateMany(
+    { user_id: userId, revoked_at: null },
+    { revoked_at: new Date(), revoked_reason: reason }
+  );
+  return result.modifiedCount || 0;
+};
+
+sessionSchema.methods.isActive = function() {
+  return !this.revoked_at && this.expires_at > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,180 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+const STOCK_COUNT_STATUSES = ['open', 'approved', 'cancelled'];
+
+const countLineSchema = new mongoose.Schema({
+  product_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  product_name: String,
+  variant_name: String,
+  sku: String,
+  barcode: String,
+  // Stock on record when the count was opened (or when the line was first counted)
+  snapshot_quantity: {
+    type: Number,
+    required: true
+  },
+  // null until the line is counted
+  counted_quantity: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  unit_cost: {
+    type: Number,
+    default: 0
+  },
+  counted_at: Date,
+  counted_by: {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    email: String
+  },
+  // Stock change posted when the count was approved
+  adjustment: Number
+});
+
+/**
+ * StockCount Schema - a physical (cycle) count session.
+ * Opening a count freezes a snapshot of stock on record; staff enter counted
+ * quantities against it and approval posts the differences as adjustments.
+ */
+const stockCountSchema = new mongoose.Schema({
+  count_number: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: STOCK_COUNT_STATUSES,
+    default: 'open',
+    index: true
+  },
+  // Optional scope; empty counts every stocked product
+  category: String,
+  note: String,
+  lines: [countLineSchema],
+  created_by: {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    email: String
+  },
+  approved_by: {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    email: String
+  },
+  approved_at: Date,
+  cancelled_at: Date
+}, {
+  timestamps: true
+});
+
+stockCountSchema.statics.STATUSES = STOCK_COUNT_STATUSES;
+
+// Next count number, numbered within the year, e.g. SC2026-00003
+stockCountSchema.statics.nextCountNumber = async function() {
+  const year = new Date().getFullYear();
+  const seq = await Counter.next(`stock_count:${year}`);
+  return `SC${year}-${String(seq).padStart(5, '0')}`;
+};
+
+// Line for a product/variant; variantId null matches a product without variants
+stockCountSchema.methods.findLine = function(productId, variantId) {
+  return this.lines.find(line =>
+    String(line.product_id) === String(productId) &&
+    String(line.variant_id || '') === String(variantId || '')
+  ) || null;
+};
+
+// Enter a counted quantity with atomic updates, so two people counting the same
+// item both land and nothing lands once the count is approved or cancelled.
+// 'add' adds to what was counted, 'set' replaces it; a product missing from the
+// count gets `snapshot` as its line. Returns the updated count, or null when it
+// is not open.
+stockCountSchema.statics.enterCount = async function(countId, snapshot, { quantity, mode = 'add', counted_by }) {
+  const match = { product_id: snapshot.product_id, variant_id: snapshot.variant_id || null };
+  const counted_at = new Date();
+
+  // Stocked after the count was opened: add its line unless another entry just did
+  const added = await this.findOneAndUpdate(
+    { _id: countId, status: 'open', lines: { $not: { $elemMatch: match } } },
+    { $push: { lines: { ...snapshot, counted_quantity: quantity, counted_at, counted_by } } },
+    { new: true }
+  );
+  if (added) return added;
+
+  const lineFilter = { 'line.product_id': match.product_id, 'line.variant_id': match.variant_id };
+  const update = { $set: { 'lines.$[line].counted_at': counted_at, 'lines.$[line].counted_by': counted_by } };
+  if (mode === 'add') {
+    // $inc needs a number, so an uncounted line starts from zero
+    await this.updateOne(
+      { _id: countId, status: 'open' },
+      { $set: { 'lines.$[line].counted_quantity': 0 } },
+      { arrayFilters: [{ ...lineFilter, 'line.counted_quantity': null }] }
+    );
+    update.$inc = { 'lines.$[line].counted_quantity': quantity };
+  } else {
+    update.$set['lines.$[line].counted_quantity'] = quantity;
+  }
+
+  return this.findOneAndUpdate(
+    { _id: countId, status: 'open' },
+    update,
+    { new: true, arrayFilters: [lineFilter] }
+  );
+};
+
+// Counted lines and their differences against the snapshot, with cost value
+stockCountSchema.methods.summarize = function() {
+  const summary = {
+    lines: this.lines.length,
+    counted: 0,
+    uncounted: 0,
+    variance_lines: 0,
+    units_over: 0,
+    units_short: 0,
+    value_over: 0,
+    value_short: 0,
+    net_value: 0
+  };
+  for (const line of this.lines) {
+    if (line.counted_quantity === null || line.counted_quantity === undefined) {
+      summary.uncounted += 1;
+      continue;
+    }
+    summary.counted += 1;
+    const variance = line.counted_quantity - line.snapshot_quantity;
+    if (variance === 0) continue;
+    summary.variance_lines += 1;
+    const value = variance * (line.unit_cost || 0);
+    if (variance > 0) {
+      summary.units_over += variance;
+      summary.value_over += value;
+    } else {
+      summary.units_short -= variance;
+      summary.value_short -= value;
+    }
+  }
+  summary.value_over = Math.round(summary.value_over * 100) / 100;
+  summary.value_short = Math.round(summary.value_short * 100) / 100;
+  summary.net_value = Math.round((summary.value_over - summary.value_short) * 100) / 100;
+  return summary;
+};
+
+module.exports = mongoose.model('StockCount', stockCountSchema);
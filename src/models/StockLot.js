@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+
+/**
+ * StockLot Schema - one delivered batch of a product or variant.
+ * Lots are opened by supplier restocks and used up first-expiry-first-out;
+ * returned units go back to the lots they came from (or an unbatched lot).
+ * Stock that predates lot tracking is simply not covered by any lot.
+ */
+const stockLotSchema = new mongoose.Schema({
+  product_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  batch_number: String,
+  received_at: {
+    type: Date,
+    default: Date.now
+  },
+  // null for goods that do not expire
+  expiry_date: {
+    type: Date,
+    default: null
+  },
+  quantity_received: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  quantity_remaining: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  unit_cost: Number,
+  supplier_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier'
+  },
+  // Document that delivered the lot, e.g. { kind: 'PurchaseOrder', id, code }
+  source: {
+    kind: String,
+    id: mongoose.Schema.Types.ObjectId,
+    code: String
+  }
+}, {
+  timestamps: true
+});
+
+stockLotSchema.index({ product_id: 1, variant_id: 1, quantity_remaining: 1 });
+stockLotSchema.index({ expiry_date: 1, quantity_remaining: 1 });
+
+// Open a lot for a delivery
+stockLotSchema.statics.receive = async function({ product_id, variant_id = null, quantity, batch_number, expiry_date, received_at, unit_cost, supplier_id, source }, { session = null } = {}) {
+  const [lot] = await this.create([{
+    product_id,
+    variant_id: variant_id || null,
+    batch_number: batch_number || undefined,
+    received_at: received_at || new Date(),
+    expiry_date: expiry_date || null,
+    quantity_received: quantity,
+    quantity_remaining: quantity,
+    unit_cost,
+    supplier_id,
+    source
+  }], { session });
+  return lot;
+};
+
+// Use up `quantity` from open lots, earliest expiry first (lots without an
+// expiry last, then oldest delivery first). Each lot is decremented with a
+// guarded $inc so concurrent deductions never take the same units twice.
+// Returns the allocations; anything not covered came from untracked stock.
+stockLotSchema.statics.consume = async function(productId, variantId, quantity, { session = null } = {}) {
+  const lots = await this.find({
+    product_id: productId,
+    variant_id: variantId || null,
+    quantity_remaining: { $gt: 0 }
+  }).session(session).lean();
+
+  lots.sort((a, b) => {
+    const aExpiry = a.expiry_date ? a.expiry_date.getTime() : Infinity;
+    const bExpiry = b.expiry_date ? b.expiry_date.getTime() : Infinity;
+    return aExpiry - bExpiry || a.received_at - b.received_at;
+  });
+
+  const allocations = [];
+  let remaining = quantity;
+  for (const lot of lots) {
+    let available = lot.quantity_remaining;
+    while (remaining > 0 && available > 0) {
+      const take = Math.min(available, remaining);
+      const result = await this.updateOne(
+        { _id: lot._id, quantity_remaining: { $gte: take } },
+        { $inc: { quantity_remaining: -take } },
+        { session }
+      );
+      if (result.modifiedCount === 1) {
+        remaining -= take;
+        allocations.push({ lot_id: lot._id, batch_number: lot.batch_number, expiry_date: lot.expiry_date, quantity: take });
+        break;
+      }
+      // Someone else drew on the lot meanwhile; retry with what is left in it
+      const fresh = await this.findById(lot._id).select('quantity_remaining').session(session).lean();
+      available = fresh ? fresh.quantity_remaining : 0;
+    }
+    if (remaining <= 0) break;
+  }
+  return allocations;
+};
+
+// Put returned units back. They go first into the lots they were taken from
+// (`from`: Map of lot id -> quantity still out, see StockMovement.lotsOutFor);
+// whatever is left opens an unbatched lot so lot totals keep up with stock.
+// Returns the allocations.
+stockLotSchema.statics.putBack = async function(productId, variantId, quantity, { from = new Map(), source, session = null } = {}) {
+  const allocations = [];
+  let remaining = quantity;
+
+  const lotIds = [...from.entries()].filter(([, out]) => out > 0).map(([id]) => id);
+  const lots = lotIds.length > 0
+    ? await this.find({ _id: { $in: lotIds } }).select('batch_number expiry_date').session(session).lean()
+    : [];
+  for (const lot of lots) {
+    if (remaining <= 0) break;
+    const give = Math.min(from.get(String(lot._id)), remaining);
+    await this.updateOne({ _id: lot._id }, { $inc: { quantity_remaining: give } }, { session });
+    remaining -= give;
+    allocations.push({ lot_id: lot._id, batch_number: lot.batch_number, expiry_date: lot.expiry_date, quantity: give });
+  }
+
+  if (remaining > 0) {
+    const opened = await this.receive({ product_id: productId, variant_id: variantId, quantity: remaining, source }, { session });
+    allocations.push({ lot_id: opened._id, batch_number: opened.batch_number, expiry_date: opened.expiry_date, quantity: remaining });
+  }
+  return allocations;
+};
+
+// Open lots expiring on or before `until` (already expired ones included)
+stockLotSchema.statics.expiringBefore = function(until, { productId = null } = {}) {
+  const filter = {
+    quantity_remaining: { $gt: 0 },
+    expiry_date: { $ne: null, $lte: until }
+  };
+  if (productId) filter.product_id = productId;
+  return this.find(filter).sort({ expiry_date: 1 }).lean();
+};
+
+module.exports = mongoose.model('StockLot', stockLotSchema);
@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+
+const MOVEMENT_TYPES = ['sale', 'restock', 'adjustment', 'return', 'import', 'shrinkage'];
+
+/**
+ * StockMovement Schema - append-only ledger of every stock change.
+ * Each entry records the signed quantity change for one product or variant,
+ * the resulting stock, why it happened and the document that caused it.
+ */
+const stockMovementSchema = new mongoose.Schema({
+  product_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  type: {
+    type: String,
+    enum: MOVEMENT_TYPES,
+    required: true
+  },
+  // Signed change: negative for stock leaving, positive for stock arriving
+  quantity: {
+    type: Number,
+    required: true
+  },
+  stock_before: Number,
+  stock_after: Number,
+  // Document that caused the change, e.g. { kind: 'Order', id, code: 'ORD20261019-0001' }
+  reference: {
+    kind: String,
+    id: mongoose.Schema.Types.ObjectId,
+    code: String
+  },
+  user: {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    email: String,
+    api_key_name: String
+  },
+  // Lots the change was taken from or delivered into
+  lots: [{
+    _id: false,
+    lot_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StockLot'
+    },
+    batch_number: String,
+    expiry_date: Date,
+    quantity: Number
+  }],
+  note: String
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: false }
+});
+
+stockMovementSchema.index({ product_id: 1, variant_id: 1, created_at: -1 });
+stockMovementSchema.index({ 'reference.kind': 1, 'reference.id': 1 });
+stockMovementSchema.index({ type: 1, created_at: -1 });
+
+// Append-only: refuse any update or delete issued through the model
+const blockedOperations = [
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace'
+];
+stockMovementSchema.pre(blockedOperations, function(next) {
+  next(new Error('StockMovement is append-only'));
+});
+stockMovementSchema.pre('save', function(next) {
+  if (!this.isNew) return next(new Error('StockMovement is append-only'));
+  next();
+});
+
+stockMovementSchema.statics.TYPES = MOVEMENT_TYPES;
+
+// Record one movement. `context` is { type, reference, user, note }; zero
+// changes are skipped so no-op saves do not clutter the ledger.
+stockMovementSchema.statics.record = async function({ product_id, variant_id = null, quantity, stock_before, stock_after, lots }, context = {}, { session = null } = {}) {
+  if (!quantity) return null;
+  const [movement] = await this.create([{
+    product_id,
+    variant_id: variant_id || null,
+    type: context.type || 'adjustment',
+    quantity,
+    stock_before,
+    stock_after,
+    reference: context.reference || undefined,
+    user: context.user || undefined,
+    lots: lots && lots.length > 0 ? lots : undefined,
+    note: context.note || undefined
+  }], { session });
+  return movement;
+};
+
+// Units each lot has given to one document (an order, say) for a product or
+// variant: taken by its deductions less what its returns already put back.
+// Returns a Map of lot id -> quantity still out.
+stockMovementSchema.statics.lotsOutFor = async function(reference, productId, variantId, { session = null } = {}) {
+  const out = new Map();
+  if (!reference || !reference.id) return out;
+  const movements = await this.find({
+    'reference.kind': reference.kind,
+    'reference.id': reference.id,
+    product_id: productId,
+    variant_id: variantId || null,
+    'lots.0': { $exists: true }
+  }).select('quantity lots').session(session).lean();
+
+  for (const movement of movements) {
+    const sign = movement.quantity < 0 ? 1 : -1;
+    for (const lot of movement.lots) {
+      const key = String(lot.lot_id);
+      out.set(key, (out.get(key) || 0) + sign * lot.quantity);
+    }
+  }
+  return out;
+};
+
+// Stock per sellable unit: each variant, or the product itself when it has none
+function stockUnits(snapshot) {
+  const units = new Map();
+  if (!snapshot) return units;
+  if (Array.isArray(snapshot.variants) && snapshot.variants.length > 0) {
+    for (const variant of snapshot.variants) units.set(String(variant._id), variant.stock || 0);
+  } else {
+    units.set('', snapshot.stock || 0);
+  }
+  return units;
+}
+
+// Record the stock differences between two snapshots of the same product,
+// each { stock, variants: [{ _id, stock }] } (before is null for a new product)
+stockMovementSchema.statics.recordSnapshotChanges = async function(productId, before, after, context = {}, { session = null } = {}) {
+  const beforeUnits = stockUnits(before);
+  const afterUnits = stockUnits(after);
+  const keys = new Set([...beforeUnits.keys(), ...afterUnits.keys()]);
+
+  const movements = [];
+  for (const key of keys) {
+    const previous = beforeUnits.get(key) || 0;
+    const current = afterUnits.get(key) || 0;
+    const movement = await this.record(
+      { product_id: productId, variant_id: key || null, quantity: current - previous, stock_before: previous, stock_after: current },
+      context,
+      { session }
+    );
+    if (movement) movements.push(movement);
+  }
+  return movements;
+};
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_TTL_MINUTES = Number(process.env.RESERVATION_TTL_MINUTES) || 120;
+
+/**
+ * StockReservation Schema - soft hold on stock for a pending order line.
+ * Held reservations lower "available to sell" until they expire, are released
+ * (order cancelled/declined) or converted into a real deduction (Processing).
+ */
+const stockReservationSchema = new mongoose.Schema({
+  order_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order_Standalone',
+    required: true,
+    index: true
+  },
+  product_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  status: {
+    type: String,
+    enum: ['held', 'converted', 'released', 'expired'],
+    default: 'held'
+  },
+  expires_at: {
+    type: Date,
+    required: true
+  },
+  resolved_at: Date
+}, {
+  timestamps: true
+});
+
+stockReservationSchema.index({ product_id: 1, variant_id: 1, status: 1, expires_at: 1 });
+stockReservationSchema.index({ status: 1, expires_at: 1 });
+
+function reservationKey(productId, variantId) {
+  return `${productId}:${variantId || ''}`;
+}
+
+stockReservationSchema.statics.key = reservationKey;
+
+// Hold stock for each order line; lines are { product_id, variant_id, quantity }
+stockReservationSchema.statics.holdForOrder = async function(orderId, lines, { ttlMinutes = DEFAULT_TTL_MINUTES, session = null } = {}) {
+  const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000);
+  const docs = lines
+    .filter(line => line.product_id && Number(line.quantity) > 0)
+    .map(line => ({
+      order_id: orderId,
+      product_id: line.product_id,
+      variant_id: line.variant_id || null,
+      quantity: Number(line.quantity),
+      expires_at: expiresAt
+    }));
+  if (docs.length === 0) return [];
+  return await this.insertMany(docs, { session });
+};
+
+// Fulfilment: the stock is now really deducted, so the hold no longer counts
+stockReservationSchema.statics.convertForOrder = async function(orderId, { session = null } = {}) {
+  const result = await this.updateMany(
+    { order_id: orderId, status: { $in: ['held', 'expired'] } },
+    { status: 'converted', resolved_at: new Date() },
+    { session }
+  );
+  return result.modifiedCount || 0;
+};
+
+// Order cancelled or declined before fulfilment
+stockReservationSchema.statics.releaseForOrder = async function(orderId, { session = null } = {}) {
+  const result = await this.updateMany(
+    { order_id: orderId, status: 'held' },
+    { status: 'released', resolved_at: new Date() },
+    { session }
+  );
+  return result.modifiedCount || 0;
+};
+
+// Mark holds past their expiry; called by the scheduler
+stockReservationSchema.statics.expireStale = async function() {
+  const result = await this.updateMany(
+    { status: 'held', expires_at: { $lte: new Date() } },
+    { status: 'expired', resolved_at: new Date() }
+  );
+  return result.modifiedCount || 0;
+};
+
+// Active held quantities for the given products, keyed by "productId:variantId".
+// The "productId:" key holds the total across the product and all its variants.
+stockReservationSchema.statics.heldQuantities = async function(productIds, { session = null } = {}) {
+  const rows = await this.aggregate([
+    {
+      $match: {
+        product_id: { $in: productIds.map(id => new mongoose.Types.ObjectId(String(id))) },
+        status: 'held',
+        expires_at: { $gt: new Date() }
+      }
+    },
+    {
+      $group: {
+        _id: { product_id: '$product_id', variant_id: '$variant_id' },
+        quantity: { $sum: '$quantity' }
+      }
+    }
+  ]).session(session);
+
+  const held = new Map();
+  for (const row of rows) {
+    const productKey = reservationKey(row._id.product_id, null);
+    held.set(productKey, (held.get(productKey) || 0) + row.quantity);
+    if (row._id.variant_id) {
+      held.set(reservationKey(row._id.product_id, row._id.variant_id), row.quantity);
+    }
+  }
+  return held;
+};
+
+// Add available_to_sell (stock minus active holds) to plain product objects and their variants
+stockReservationSchema.statics.annotateAvailability = async function(products, { session = null } = {}) {
+  if (!products || products.length === 0) return products;
+  const held = await this.heldQuantities(products.map(p => p._id), { session });
+  for (const product of products) {
+    product.reserved = held.get(reservationKey(product._id, null)) || 0;
+    product.available_to_sell = Math.max(0, (product.stock || 0) - product.reserved);
+    if (Array.isArray(product.variants)) {
+      for (const variant of product.variants) {
+        variant.reserved = held.get(reservationKey(product._id, variant._id)) || 0;
+        variant.available_to_sell = Math.max(0, (variant.stock || 0) - variant.reserved);
+      }
+    }
+  }
+  return products;
+};
+
+module.exports = mongoose.model('StockReservation', stockReservationSchema);
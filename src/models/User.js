@@ -22,6 +22,36 @@ const userSchema = new mongoose.Schema({
     type: String,
     enum: ['admin', 'staff', 'customer'],
     default: 'admin'
+  },
+  // Deactivated accounts are kept for history but cannot log in
+  is_active: {
+    type: Boolean,
+    default: true
+  },
+  deactivated_at: Date,
+  // Set when an admin invites the user or resets their password
+  must_change_password: {
+    type: Boolean,
+    default: false
+  },
+  invited_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  last_login_at: Date,
+  // Customer profile fields
+  phone: String,
+  // Devices whose legacy orders this customer has claimed
+  claimed_device_ids: [String],
+  // Pending one-time code pushed to a device before its orders can be claimed
+  device_claim: {
+    device_id: String,
+    code_hash: String,
+    expires_at: Date,
+    attempts: {
+      type: Number,
+      default: 0
+    }
   }
 }, {
   timestamps: true
@@ -44,4 +74,19 @@ userSchema.statics.createUser = async function({ name, email, passwordHash, role
   return { id: user._id, name, email, role };
 };
 
+// Safe representation without the password hash
+userSchema.statics.toPublic = function(user) {
+  return {
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    is_active: user.is_active !== false,
+    deactivated_at: user.deactivated_at || null,
+    must_change_password: !!user.must_change_password,
+    last_login_at: user.last_login_at || null,
+    created_at: user.createdAt
+  };
+};
+
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,15 @@
+const express = require('express');
+const { authRequired, adminOnly } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const ApiKey = require('../models/ApiKey');
+const { listApiKeys, createApiKey, revokeApiKey } = require('../controllers/apiKeysController');
+
+const router = express.Router();
+
+router.use(authRequired, adminOnly);
+
+router.get('/', listApiKeys);
+router.post('/', audit({ entity: 'ApiKey', action: 'create', model: ApiKey }), createApiKey);
+router.delete('/:id', audit({ entity: 'ApiKey', action: 'revoke', model: ApiKey }), revokeApiKey);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const { authRequired, adminOnly } = require('../middleware/auth');
+const { listAuditLogs } = require('../controllers/auditController');
+
+const router = express.Router();
+
+router.get('/', authRequired, adminOnly, listAuditLogs);
+
+module.exports = router;
@@ -1,9 +1,13 @@
 const express = require('express');
-const { login } = require('../controllers/authController');
+const { authAllowingPasswordChange } = require('../middleware/auth');
+const { login, register, refresh, logout, logoutAll, changePassword } = require('../controllers/authController');
 const router = express.Router();
 
 router.post('/login', login);
+router.post('/register', register);
+router.post('/refresh', refresh);
+router.post('/logout', authAllowingPasswordChange, logout);
+router.post('/logout-all', authAllowingPasswordChange, logoutAll);
+router.post('/change-password', authAllowingPasswordChange, changePassword);
 
 module.exports = router;
-
-
@@ -0,0 +1,14 @@
+const express = require('express');
+const { authRequired, requireRole } = require('../middleware/auth');
+const { getMe, listMyOrders, requestDeviceClaim, claimDeviceOrders } = require('../controllers/customersController');
+
+const router = express.Router();
+
+router.use(authRequired, requireRole('customer'));
+
+router.get('/me', getMe);
+router.get('/me/orders', listMyOrders);
+router.post('/me/claim-orders/request', requestDeviceClaim);
+router.post('/me/claim-orders', claimDeviceOrders);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const { authRequired, adminOnly, staffOnly } = require('../middleware/auth');
+const { requireApiKey } = require('../middleware/apiKey');
+const { audit } = require('../middleware/audit');
+const DeliveryZone = require('../models/DeliveryZone');
+const { listZones, createZone, updateZone, deleteZone, quoteDelivery } = require('../controllers/deliveryController');
+
+const router = express.Router();
+
+// Fee quote the app calls before checkout
+router.post('/quote', authRequired, quoteDelivery);
+router.post('/quote/public', requireApiKey('orders:read'), quoteDelivery);
+
+// Zone and fee schedule management
+router.get('/zones', authRequired, staffOnly, listZones);
+router.post('/zones', authRequired, adminOnly, audit({ entity: 'DeliveryZone', action: 'create', model: DeliveryZone }), createZone);
+router.patch('/zones/:id', authRequired, adminOnly, audit({ entity: 'DeliveryZone', action: 'update', model: DeliveryZone }), updateZone);
+router.delete('/zones/:id', authRequired, adminOnly, audit({ entity: 'DeliveryZone', action: 'delete', model: DeliveryZone }), deleteZone);
+
+module.exports = router;
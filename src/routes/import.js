@@ -1,14 +1,15 @@
 const express = require('express');
 const multer = require('multer');
 const path = require('path');
-const { authRequired } = require('../middleware/auth');
+const { authRequired, adminOnly } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
 const { importProducts, importSales } = require('../controllers/importController');
 
 const router = express.Router();
 const upload = multer({ dest: path.join(__dirname, '../../uploads') });
 
-router.post('/products', authRequired, upload.single('file'), importProducts);
-router.post('/sales', authRequired, upload.single('file'), importSales);
+router.post('/products', authRequired, adminOnly, upload.single('file'), audit({ entity: 'Product', action: 'import', details: (req, body) => ({ file: req.file && req.file.originalname, result: body }) }), importProducts);
+router.post('/sales', authRequired, adminOnly, upload.single('file'), audit({ entity: 'Order', action: 'import', details: (req, body) => ({ file: req.file && req.file.originalname, result: body }) }), importSales);
 
 module.exports = router;
 
@@ -5,13 +5,20 @@ router.get('/health', (_req, res) => res.json({ status: 'ok' }));
 
 // mount sub-routers
 router.use('/auth', require('./auth'));
+router.use('/users', require('./users'));
+router.use('/customers', require('./customers'));
+router.use('/api-keys', require('./apiKeys'));
+router.use('/audit', require('./audit'));
 router.use('/sync', require('./sync'));
 router.use('/import', require('./import'));
 router.use('/products', require('./products'));
 router.use('/suppliers', require('./suppliers'));
 router.use('/supplier-products', require('./supplierProducts'));
+router.use('/purchase-orders', require('./purchaseOrders'));
+router.use('/stock-counts', require('./stockCounts'));
 router.use('/orders', require('./orders'));
 router.use('/order-items', require('./orderItems'));
+router.use('/delivery', require('./delivery'));
 router.use('/dashboard', require('./metrics'));
 
 module.exports = router;
@@ -1,23 +1,26 @@
 const express = require('express');
-const { authRequired } = require('../middleware/auth');
+const { authRequired, staffOnly } = require('../middleware/auth');
+const { requireApiKey } = require('../middleware/apiKey');
 const { getMetrics, getSalesOverview, aggregateSalesData, manualAggregateToday, syncClientOrders, getSalesByDate, getOrdersByDate } = require('../controllers/dashboardController');
 
 const router = express.Router();
 
-router.get('/metrics', authRequired, getMetrics);
-router.get('/sales-overview', authRequired, getSalesOverview);
+router.get('/metrics', authRequired, staffOnly, getMetrics);
+router.get('/sales-overview', authRequired, staffOnly, getSalesOverview);
 // Public variant for dashboards that don't carry a token (e.g., direct chart loads)
 router.get('/sales-overview-public', getSalesOverview);
 // Sales by specific date (daily summary)
-router.get('/sales-by-date', authRequired, getSalesByDate);
+router.get('/sales-by-date', authRequired, staffOnly, getSalesByDate);
 // Orders table by specific date
-router.get('/orders-by-date', authRequired, getOrdersByDate);
+router.get('/orders-by-date', authRequired, staffOnly, getOrdersByDate);
 // Aggregate sales data from orders
-router.post('/aggregate-sales', aggregateSalesData);
+router.post('/aggregate-sales', authRequired, staffOnly, aggregateSalesData);
+router.post('/aggregate-sales/public', requireApiKey('metrics:write'), aggregateSalesData);
 // Manual aggregation for today's sales
-router.post('/aggregate-today', manualAggregateToday);
+router.post('/aggregate-today', authRequired, staffOnly, manualAggregateToday);
+router.post('/aggregate-today/public', requireApiKey('metrics:write'), manualAggregateToday);
 // Debug endpoint to check database orders
-router.get('/sync-orders', syncClientOrders);
+router.get('/sync-orders', authRequired, staffOnly, syncClientOrders);
 
 module.exports = router;
 
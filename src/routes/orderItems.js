@@ -1,5 +1,8 @@
 const express = require('express');
-const { authRequired } = require('../middleware/auth');
+const { authRequired, adminOnly, staffOnly } = require('../middleware/auth');
+const { requireApiKey } = require('../middleware/apiKey');
+const { audit } = require('../middleware/audit');
+const OrderItem = require('../models/OrderItem');
 const { 
   getOrderItems, 
   createOrderItems, 
@@ -12,22 +15,22 @@ const router = express.Router();
 
 // Get all items for a specific order
 router.get('/order/:orderId', authRequired, getOrderItems);
-router.get('/order/:orderId/public', getOrderItems);
+router.get('/order/:orderId/public', requireApiKey('orders:read'), getOrderItems);
 
 // Create order items (bulk)
-router.post('/', authRequired, createOrderItems);
-router.post('/public', createOrderItems);
+router.post('/', authRequired, staffOnly, audit({ entity: 'OrderItem', action: 'create', details: req => ({ order_id: req.body.order_id }) }), createOrderItems);
+router.post('/public', requireApiKey('order-items:write'), audit({ entity: 'OrderItem', action: 'create', details: req => ({ order_id: req.body.order_id }) }), createOrderItems);
 
 // Update a specific order item
-router.patch('/:itemId', authRequired, updateOrderItem);
-router.patch('/:itemId/public', updateOrderItem);
+router.patch('/:itemId', authRequired, staffOnly, audit({ entity: 'OrderItem', action: 'update', model: OrderItem, idParam: 'itemId' }), updateOrderItem);
+router.patch('/:itemId/public', requireApiKey('order-items:write'), audit({ entity: 'OrderItem', action: 'update', model: OrderItem, idParam: 'itemId' }), updateOrderItem);
 
 // Delete a specific order item
-router.delete('/:itemId', authRequired, deleteOrderItem);
-router.delete('/:itemId/public', deleteOrderItem);
+router.delete('/:itemId', authRequired, adminOnly, audit({ entity: 'OrderItem', action: 'delete', model: OrderItem, idParam: 'itemId' }), deleteOrderItem);
+router.delete('/:itemId/public', requireApiKey('order-items:write'), audit({ entity: 'OrderItem', action: 'delete', model: OrderItem, idParam: 'itemId' }), deleteOrderItem);
 
 // Delete all items for an order
-router.delete('/order/:orderId', authRequired, deleteOrderItems);
-router.delete('/order/:orderId/public', deleteOrderItems);
+router.delete('/order/:orderId', authRequired, adminOnly, audit({ entity: 'Order', action: 'delete_items', idParam: 'orderId' }), deleteOrderItems);
+router.delete('/order/:orderId/public', requireApiKey('order-items:write'), audit({ entity: 'Order', action: 'delete_items', idParam: 'orderId' }), deleteOrderItems);
 
 module.exports = router;
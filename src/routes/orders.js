@@ -1,6 +1,11 @@
 const express = require('express');
-const { authRequired } = require('../middleware/auth');
-const { listOrders, updateOrderPayment, createOrder, getOrder, getOrderItems, uploadPaymentProof } = require('../controllers/ordersController');
+const { authRequired, adminOnly, staffOnly } = require('../middleware/auth');
+const { requireApiKey } = require('../middleware/apiKey');
+const { audit } = require('../middleware/audit');
+const { idempotent } = require('../middleware/idempotency');
+const Order = require('../models/Order_Standalone');
+const Payment = require('../models/Payment');
+const { listOrders, updateOrderPayment, createOrder, getOrder, getOrderItems, uploadPaymentProof, listOrderPayments, recordPayment, listPaymentsForReview, reviewPayment, amendOrder, createRefund, listOrderRefunds } = require('../controllers/ordersController');
 const multer = require('multer');
 
 // Configure multer for memory storage (for Cloudinary)
@@ -31,17 +36,30 @@ const upload = multer({
 
 const router = express.Router();
 
-router.get('/', authRequired, listOrders);
-router.get('/public', listOrders);
+router.get('/', authRequired, staffOnly, listOrders);
+router.get('/public', requireApiKey('orders:read'), listOrders);
+// Payment review queue (admins verify GCash payments); declared before /:id
+router.get('/payments/review', authRequired, adminOnly, listPaymentsForReview);
+router.post('/payments/:paymentId/review', authRequired, adminOnly, audit({ entity: 'Payment', action: 'review', model: Payment, idParam: 'paymentId' }), reviewPayment);
 router.get('/:id', authRequired, getOrder);
-router.get('/:id/public', getOrder);
+router.get('/:id/public', requireApiKey('orders:read'), getOrder);
 router.get('/:id/items', authRequired, getOrderItems);
-router.get('/:id/items/public', getOrderItems);
+router.get('/:id/items/public', requireApiKey('orders:read'), getOrderItems);
 // Optionally, expose items via same handler (client uses getOrder)
-router.post('/', authRequired, createOrder);
-router.post('/public', createOrder);
-router.patch('/:id/payment', authRequired, updateOrderPayment);
-router.patch('/:id/payment/public', updateOrderPayment);
+router.post('/', authRequired, idempotent(), audit({ entity: 'Order', action: 'create', model: Order }), createOrder);
+router.post('/public', requireApiKey('orders:write'), idempotent(), audit({ entity: 'Order', action: 'create', model: Order }), createOrder);
+// Customers may use this route too; the controller restricts them to their own orders
+router.patch('/:id/payment', authRequired, idempotent(), audit({ entity: 'Order', action: 'update_payment', model: Order }), updateOrderPayment);
+router.patch('/:id/payment/public', requireApiKey('payments:write'), idempotent(), audit({ entity: 'Order', action: 'update_payment', model: Order }), updateOrderPayment);
+// Payments (split tender); customers may read their own
+router.get('/:id/payments', authRequired, listOrderPayments);
+router.get('/:id/payments/public', requireApiKey('orders:read'), listOrderPayments);
+router.post('/:id/payments', authRequired, staffOnly, idempotent(), audit({ entity: 'Order', action: 'record_payment', model: Order }), recordPayment);
+// Add, change or remove lines of a Pending/Processing order (staff only)
+router.patch('/:id/items', authRequired, staffOnly, idempotent(), audit({ entity: 'Order', action: 'amend', model: Order }), amendOrder);
+// Refunds (staff only); refunds are counted in the daily sales summary
+router.get('/:id/refunds', authRequired, staffOnly, listOrderRefunds);
+router.post('/:id/refunds', authRequired, staffOnly, idempotent(), audit({ entity: 'Order', action: 'refund', model: Order }), createRefund);
 // Error handling wrapper for multer
 const handleMulterError = (req, res, next) => {
   upload.single('image')(req, res, (err) => {
@@ -59,8 +77,9 @@ const handleMulterError = (req, res, next) => {
   });
 };
 
-router.post('/:id/payment-proof', authRequired, handleMulterError, uploadPaymentProof);
-router.post('/:id/payment-proof/public', handleMulterError, uploadPaymentProof);
+// Idempotency runs after multer so the uploaded file is part of the request fingerprint
+router.post('/:id/payment-proof', authRequired, handleMulterError, idempotent(), audit({ entity: 'Order', action: 'upload_payment_proof', model: Order }), uploadPaymentProof);
+router.post('/:id/payment-proof/public', requireApiKey('payments:write'), handleMulterError, idempotent(), audit({ entity: 'Order', action: 'upload_payment_proof', model: Order }), uploadPaymentProof);
 
 module.exports = router;
 
@@ -1,5 +1,5 @@
 const express = require('express');
-const { authRequired } = require('../middleware/auth');
+const { authRequired, adminOnly, staffOnly } = require('../middleware/auth');
 const { 
   listProducts, 
   listProductsDataTables,
@@ -15,10 +15,12 @@ const {
   getProductThumbnail,
   getAllProductsLazy,
   getLowStockItems,
+  getExpiringItems,
   scanProduct,
   searchProductByBarcode,
   batchProcessScans,
-  uploadVariantImage
+  uploadVariantImage,
+  getStockHistory
 } = require('../controllers/productsController');
 const { 
   uploadImage,
@@ -28,6 +30,9 @@ const {
   upload
 } = require('../controllers/cloudinaryController');
 const { handleUpload } = require('../middleware/upload');
+const { audit } = require('../middleware/audit');
+const { idempotent } = require('../middleware/idempotency');
+const Product = require('../models/Product');
 
 const router = express.Router();
 
@@ -35,28 +40,30 @@ router.get('/', authRequired, listProducts);
 router.get('/public', listProducts);
 router.get('/datatables', authRequired, listProductsDataTables);
 router.get('/datatables/public', listProductsDataTables);
-router.post('/', authRequired, createProduct);
+router.post('/', authRequired, staffOnly, audit({ entity: 'Product', action: 'create', model: Product }), createProduct);
 router.get('/lazy', authRequired, getAllProductsLazy);
 router.get('/lazy/public', getAllProductsLazy);
 router.get('/low-stock', authRequired, getLowStockItems);
 router.get('/low-stock/public', getLowStockItems);
-router.post('/scan', authRequired, scanProduct);
+router.get('/expiring', authRequired, getExpiringItems);
+router.post('/scan', authRequired, staffOnly, audit({ entity: 'Product', action: 'scan', details: req => req.body }), scanProduct);
 router.post('/search-barcode/public', searchProductByBarcode);
 router.post('/search-barcode', authRequired, searchProductByBarcode);
-router.post('/batch-scan', authRequired, batchProcessScans);
+router.post('/batch-scan', authRequired, staffOnly, idempotent(), audit({ entity: 'Product', action: 'batch_scan', details: req => req.body }), batchProcessScans);
 router.get('/:id', authRequired, getProduct);
+router.get('/:id/stock-history', authRequired, staffOnly, getStockHistory);
 router.get('/:id/image', authRequired, getProductImage);
 router.get('/:id/image/placeholder', authRequired, getProductImagePlaceholder);
 router.get('/:id/image/thumbnail', authRequired, getProductThumbnail);
-router.patch('/:id', authRequired, updateProduct);
-router.delete('/:id', authRequired, deleteProduct);
-router.post('/:id/image', authRequired, upload.single('image'), uploadImage);
-router.delete('/:id/image', authRequired, deleteImage);
-router.post('/:id/variants/:variantId/image', authRequired, upload.single('image'), uploadVariantImage);
-router.post('/cleanup-images', authRequired, cleanupOrphanedImages);
+router.patch('/:id', authRequired, staffOnly, audit({ entity: 'Product', action: 'update', model: Product }), updateProduct);
+router.delete('/:id', authRequired, adminOnly, audit({ entity: 'Product', action: 'delete', model: Product }), deleteProduct);
+router.post('/:id/image', authRequired, staffOnly, audit({ entity: 'Product', action: 'upload_image', model: Product }), upload.single('image'), uploadImage);
+router.delete('/:id/image', authRequired, staffOnly, audit({ entity: 'Product', action: 'delete_image', model: Product }), deleteImage);
+router.post('/:id/variants/:variantId/image', authRequired, staffOnly, audit({ entity: 'Product', action: 'upload_variant_image', model: Product }), upload.single('image'), uploadVariantImage);
+router.post('/cleanup-images', authRequired, adminOnly, cleanupOrphanedImages);
 
 // Migration endpoint for base64 images
-router.post('/:id/image/migrate', authRequired, uploadImageFromBase64);
+router.post('/:id/image/migrate', authRequired, adminOnly, uploadImageFromBase64);
 
 module.exports = router;
 
@@ -0,0 +1,32 @@
+const express = require('express');
+const { authRequired, staffOnly } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { idempotent } = require('../middleware/idempotency');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const {
+  listPurchaseOrders,
+  getPurchaseOrder,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  sendPurchaseOrder,
+  receivePurchaseOrder,
+  closePurchaseOrder,
+  getReorderSuggestions,
+  createPurchaseOrderFromSuggestions
+} = require('../controllers/purchaseOrdersController');
+
+const router = express.Router();
+
+// Reorder suggestions from sales velocity
+router.get('/reorder-suggestions', authRequired, staffOnly, getReorderSuggestions);
+router.post('/reorder-suggestions/convert', authRequired, staffOnly, idempotent(), audit({ entity: 'PurchaseOrder', action: 'create_from_suggestions', model: PurchaseOrder }), createPurchaseOrderFromSuggestions);
+
+router.get('/', authRequired, staffOnly, listPurchaseOrders);
+router.get('/:id', authRequired, staffOnly, getPurchaseOrder);
+router.post('/', authRequired, staffOnly, idempotent(), audit({ entity: 'PurchaseOrder', action: 'create', model: PurchaseOrder }), createPurchaseOrder);
+router.patch('/:id', authRequired, staffOnly, audit({ entity: 'PurchaseOrder', action: 'update', model: PurchaseOrder }), updatePurchaseOrder);
+router.post('/:id/send', authRequired, staffOnly, audit({ entity: 'PurchaseOrder', action: 'send', model: PurchaseOrder }), sendPurchaseOrder);
+router.post('/:id/receive', authRequired, staffOnly, idempotent(), audit({ entity: 'PurchaseOrder', action: 'receive', model: PurchaseOrder, details: req => req.body }), receivePurchaseOrder);
+router.post('/:id/close', authRequired, staffOnly, audit({ entity: 'PurchaseOrder', action: 'close', model: PurchaseOrder }), closePurchaseOrder);
+
+module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express');
+const { authRequired, adminOnly, staffOnly } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { idempotent } = require('../middleware/idempotency');
+const {
+  listStockCounts,
+  createStockCount,
+  getStockCount,
+  recordCount,
+  approveStockCount,
+  cancelStockCount
+} = require('../controllers/stockCountsController');
+
+const router = express.Router();
+
+router.get('/', authRequired, staffOnly, listStockCounts);
+router.post('/', authRequired, staffOnly, audit({ entity: 'StockCount', action: 'create' }), createStockCount);
+router.get('/:id', authRequired, staffOnly, getStockCount);
+router.post('/:id/counts', authRequired, staffOnly, idempotent(), audit({
+  entity: 'StockCount',
+  action: 'record_count',
+  details: req => ({
+    barcode: req.body.barcode,
+    product_id: req.body.product_id,
+    variant_id: req.body.variant_id,
+    quantity: req.body.quantity,
+    mode: req.body.mode
+  })
+}), recordCount);
+router.post('/:id/approve', authRequired, adminOnly, idempotent(), audit({ entity: 'StockCount', action: 'approve' }), approveStockCount);
+router.post('/:id/cancel', authRequired, staffOnly, audit({ entity: 'StockCount', action: 'cancel' }), cancelStockCount);
+
+module.exports = router;
@@ -1,5 +1,7 @@
 const express = require('express');
-const { authRequired } = require('../middleware/auth');
+const { authRequired, adminOnly, staffOnly } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const SupplierProduct = require('../models/SupplierProduct');
 const {
   listSupplierProducts,
   createSupplierProduct,
@@ -17,8 +19,8 @@ router.get('/product/:productId', getProductSuppliers);
 router.get('/supplier/:supplierId', getSupplierProducts);
 
 // Protected routes (authentication required)
-router.post('/', authRequired, createSupplierProduct);
-router.put('/:id', authRequired, updateSupplierProduct);
-router.delete('/:id', authRequired, deleteSupplierProduct);
+router.post('/', authRequired, staffOnly, audit({ entity: 'SupplierProduct', action: 'create', model: SupplierProduct }), createSupplierProduct);
+router.put('/:id', authRequired, staffOnly, audit({ entity: 'SupplierProduct', action: 'update', model: SupplierProduct }), updateSupplierProduct);
+router.delete('/:id', authRequired, adminOnly, audit({ entity: 'SupplierProduct', action: 'delete', model: SupplierProduct }), deleteSupplierProduct);
 
 module.exports = router;
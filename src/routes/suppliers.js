@@ -1,15 +1,17 @@
 const express = require('express');
-const { authRequired } = require('../middleware/auth');
+const { authRequired, adminOnly, staffOnly } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const Supplier = require('../models/Supplier');
 const { listSuppliers, createSupplier, updateSupplier, deleteSupplier, addSupplierProduct, restockSupplierProduct } = require('../controllers/suppliersController');
 
 const router = express.Router();
 
-router.get('/', authRequired, listSuppliers);
-router.post('/', authRequired, createSupplier);
-router.patch('/:id', authRequired, updateSupplier);
-router.delete('/:id', authRequired, deleteSupplier);
-router.post('/:id/products', authRequired, addSupplierProduct);
-router.post('/:id/restock', authRequired, restockSupplierProduct);
+router.get('/', authRequired, staffOnly, listSuppliers);
+router.post('/', authRequired, staffOnly, audit({ entity: 'Supplier', action: 'create', model: Supplier }), createSupplier);
+router.patch('/:id', authRequired, staffOnly, audit({ entity: 'Supplier', action: 'update', model: Supplier }), updateSupplier);
+router.delete('/:id', authRequired, adminOnly, audit({ entity: 'Supplier', action: 'delete', model: Supplier }), deleteSupplier);
+router.post('/:id/products', authRequired, staffOnly, audit({ entity: 'Supplier', action: 'add_product', model: Supplier }), addSupplierProduct);
+router.post('/:id/restock', authRequired, staffOnly, audit({ entity: 'Supplier', action: 'restock', model: Supplier, details: req => req.body }), restockSupplierProduct);
 
 module.exports = router;
 
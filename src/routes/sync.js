@@ -1,10 +1,19 @@
 const express = require('express');
-const { authRequired } = require('../middleware/auth');
+const { authRequired, adminOnly, staffOnly } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
 const { getAll, saveAll } = require('../controllers/syncController');
 const router = express.Router();
 
-router.get('/all', authRequired, getAll);
-router.post('/save', authRequired, saveAll);
+router.get('/all', authRequired, staffOnly, getAll);
+router.post('/save', authRequired, adminOnly, audit({
+  entity: 'Catalog',
+  action: 'save_all',
+  details: req => ({
+    products: (req.body.products || []).length,
+    suppliers: (req.body.suppliers || []).length,
+    orders: (req.body.orders || []).length
+  })
+}), saveAll);
 
 module.exports = router;
 
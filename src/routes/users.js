@@ -0,0 +1,30 @@
+const express = require('express');
+const { authRequired, adminOnly } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const User = require('../models/User');
+const {
+  listUsers,
+  inviteUser,
+  updateUserRole,
+  setUserActive,
+  resetUserPassword,
+  listLoginAttempts,
+  unlockUser,
+  unlockLoginKey
+} = require('../controllers/usersController');
+
+const router = express.Router();
+
+// Staff account management is restricted to admins
+router.use(authRequired, adminOnly);
+
+router.get('/', listUsers);
+router.get('/login-attempts', listLoginAttempts);
+router.post('/login-attempts/unlock', audit({ entity: 'LoginAttempt', action: 'unlock', details: req => ({ key_type: req.body.key_type, key: req.body.key }) }), unlockLoginKey);
+router.post('/', audit({ entity: 'User', action: 'invite', model: User }), inviteUser);
+router.patch('/:id/role', audit({ entity: 'User', action: 'change_role', model: User }), updateUserRole);
+router.patch('/:id/status', audit({ entity: 'User', action: 'set_active', model: User }), setUserActive);
+router.post('/:id/reset-password', audit({ entity: 'User', action: 'reset_password', model: User }), resetUserPassword);
+router.post('/:id/unlock', audit({ entity: 'User', action: 'unlock', model: User }), unlockUser);
+
+module.exports = router;
@@ -0,0 +1,121 @@
+const { test, describe, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { mockRes, stubSession, query, objectId, staff } = require('./helpers');
+const Order = require('../src/models/Order_Standalone');
+const OrderItem = require('../src/models/OrderItem');
+const Product = require('../src/models/Product');
+const Payment = require('../src/models/Payment');
+const StockReservation = require('../src/models/StockReservation');
+const { amendOrder } = require('../src/controllers/ordersController');
+
+// An in-store order for two bags of rice at 250, with `stock` more on the shelf
+function stubAmendment({ status, stock = 10, held = 0 }) {
+  const rice = { _id: objectId(), name: 'Rice 5kg', price: 250, stock, variants: [] };
+  const line = { _id: objectId(), order_id: null, product_id: rice._id, variant_id: null, product_name: 'Rice 5kg', quantity: 2, unit_price: 250, total_price: 500 };
+  const order = { _id: objectId(), type: 'In-Store', status, totalPrice: 500, discount: 0, delivery_fee: 0, net_total: 500, revision: 0 };
+  line.order_id = order._id;
+
+  mock.method(Order, 'findById', () => query(order));
+  mock.method(Product, 'findById', () => query(rice));
+  mock.method(Product, 'find', () => query([{ ...rice }]));
+  mock.method(StockReservation, 'heldQuantities', async () => new Map([[`${rice._id}:`, held]]));
+  mock.method(OrderItem, 'find', () => query([line]));
+  mock.method(OrderItem, 'updateOne', async () => ({}));
+  mock.method(OrderItem, 'deleteOne', async () => ({}));
+  mock.method(OrderItem, 'insertMany', async (items) => items.map(item => ({ ...item, _id: objectId() })));
+  stubSession(Order);
+  mock.method(Order, 'findOneAndUpdate', async () => ({ revision: 1 }));
+  mock.method(Payment, 'summarizeForOrder', async () => ({ payment_status: 'unpaid', amount_paid: 0, change_due: 0, payment_flagged: false }));
+  return {
+    order,
+    rice,
+    line,
+    lock: mock.method(Product, 'lockForStockCheck', async () => {}),
+    adjust: mock.method(Product, 'adjustStock', async () => ({ applied: true })),
+    save: mock.method(Order, 'findByIdAndUpdate', async (_id, update) => Order.hydrate({ ...order, ...update }))
+  };
+}
+
+function amend(order, body) {
+  return { user: staff, params: { id: String(order._id) }, body, headers: {} };
+}
+
+describe('order amendments', () => {
+  afterEach(() => mock.restoreAll());
+
+  test('a Pending amendment re-holds the whole order at its new quantities', async () => {
+    const { order, line, lock, adjust, save } = stubAmendment({ status: 'Pending' });
+    mock.method(StockReservation, 'findOne', () => query(null));
+    const release = mock.method(StockReservation, 'releaseForOrder', async () => 1);
+    const hold = mock.method(StockReservation, 'holdForOrder', async (_orderId, lines) => lines);
+
+    const res = mockRes();
+    await amendOrder(amend(order, { update: [{ order_item_id: String(line._id), quantity: 3 }] }), res);
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(release.mock.callCount(), 1);
+    assert.strictEqual(lock.mock.callCount(), 1);
+    assert.strictEqual(hold.mock.callCount(), 1);
+    assert.strictEqual(adjust.mock.callCount(), 0);
+    const update = save.mock.calls[0].arguments[1];
+    assert.strictEqual(update.totalPrice, 750);
+    assert.strictEqual(update.$push.revisions.changes[0].quantity_after, 3);
+  });
+
+  test('adding more than is available to a Processing order aborts the amendment', async () => {
+    const { order, rice, adjust, save } = stubAmendment({ status: 'Processing', stock: 3, held: 2 });
+
+    const res = mockRes();
+    await amendOrder(amend(order, { add: [{ product_id: String(rice._id), quantity: 2, price: 250 }] }), res);
+
+    assert.strictEqual(res.statusCode, 409);
+    assert.strictEqual(res.body.shortages[0].available, 1);
+    assert.strictEqual(adjust.mock.callCount(), 0);
+    assert.strictEqual(save.mock.callCount(), 0);
+  });
+
+  test('a deduction the stock guard refuses aborts the amendment', async () => {
+    const { order, line, adjust, save } = stubAmendment({ status: 'Processing' });
+    adjust.mock.mockImplementation(async () => ({ applied: false, reason: 'insufficient_stock' }));
+
+    const res = mockRes();
+    await amendOrder(amend(order, { update: [{ order_item_id: String(line._id), quantity: 5 }] }), res);
+
+    assert.strictEqual(res.statusCode, 409);
+    assert.strictEqual(res.body.shortages[0].reason, 'insufficient_stock');
+    const [, , delta, options] = adjust.mock.calls[0].arguments;
+    assert.strictEqual(delta, -3);
+    assert.strictEqual(options.requireStock, true);
+    assert.strictEqual(save.mock.callCount(), 0);
+  });
+
+  test('removing a line from a Processing order puts its stock back', async () => {
+    const { order, rice, line, adjust, save } = stubAmendment({ status: 'Processing' });
+
+    const res = mockRes();
+    await amendOrder(amend(order, {
+      add: [{ product_id: String(rice._id), quantity: 1, price: 250 }],
+      remove: [String(line._id)]
+    }), res);
+
+    assert.strictEqual(res.statusCode, 200);
+    const [removed, added] = adjust.mock.calls.map(call => call.arguments);
+    assert.strictEqual(removed[2], 2);
+    assert.strictEqual(removed[3].movement.type, 'return');
+    assert.strictEqual(removed[3].requireStock, false);
+    assert.strictEqual(added[2], -1);
+    assert.strictEqual(added[3].movement.type, 'sale');
+    assert.deepStrictEqual(res.body.stock_adjusted, { units_deducted: 1, units_restored: 2 });
+    assert.strictEqual(save.mock.calls[0].arguments[1].totalPrice, 250);
+  });
+
+  test('a session that cannot start is answered with a 500', async () => {
+    const { order, line } = stubAmendment({ status: 'Processing' });
+    Order.startSession.mock.mockImplementation(async () => { throw new Error('no replica set'); });
+
+    const res = mockRes();
+    await amendOrder(amend(order, { remove: [String(line._id)], add: [{ product_id: String(line.product_id), quantity: 1 }] }), res);
+
+    assert.strictEqual(res.statusCode, 500);
+  });
+});
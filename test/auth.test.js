@@ -0,0 +1,88 @@
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { mockRes, query, objectId } = require('./helpers');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+const Session = require('../src/models/Session');
+const User = require('../src/models/User');
+const { authRequired, authAllowingPasswordChange, staffOnly } = require('../src/middleware/auth');
+const { changePassword } = require('../src/controllers/authController');
+
+function bearer(claims) {
+  const token = jwt.sign({ sid: String(objectId()), ...claims }, process.env.JWT_SECRET || 'dev_secret');
+  return { headers: { authorization: `Bearer ${token}` } };
+}
+
+async function run(middleware, req) {
+  const res = mockRes();
+  let nextCalled = false;
+  await middleware(req, res, () => { nextCalled = true; });
+  return { res, nextCalled };
+}
+
+describe('temporary passwords', () => {
+  beforeEach(() => {
+    mock.method(Session, 'findById', () => query({ isActive: () => true }));
+  });
+  afterEach(() => mock.restoreAll());
+
+  test('staff routes refuse a token issued for a temporary password', async () => {
+    const req = bearer({ id: String(objectId()), role: 'staff', must_change_password: true });
+    const { res, nextCalled } = await run(authRequired, req);
+    assert.strictEqual(nextCalled, false);
+    assert.strictEqual(res.statusCode, 403);
+    assert.strictEqual(res.body.must_change_password, true);
+  });
+
+  test('the change-password route accepts it', async () => {
+    const req = bearer({ id: String(objectId()), role: 'staff', must_change_password: true });
+    const { nextCalled } = await run(authAllowingPasswordChange, req);
+    assert.strictEqual(nextCalled, true);
+  });
+
+  test('a normal token passes authRequired and staffOnly', async () => {
+    const req = bearer({ id: String(objectId()), role: 'staff' });
+    const first = await run(authRequired, req);
+    assert.strictEqual(first.nextCalled, true);
+    const second = await run(staffOnly, req);
+    assert.strictEqual(second.nextCalled, true);
+  });
+
+  test('changePassword clears the flag and issues a token without it', async () => {
+    const user = {
+      _id: objectId(),
+      email: 'staff@example.com',
+      role: 'staff',
+      password_hash: await bcrypt.hash('Temp-pass1', 4),
+      must_change_password: true,
+      save: mock.fn(async () => {})
+    };
+    mock.method(User, 'findById', async () => user);
+    const revoke = mock.method(Session, 'revokeAllForUser', async () => 1);
+    mock.method(Session, 'create', async () => ({ _id: objectId() }));
+
+    const res = mockRes();
+    await changePassword({
+      user: { id: String(user._id) },
+      body: { current_password: 'Temp-pass1', new_password: 'my-own-password' },
+      headers: {}
+    }, res);
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(user.must_change_password, false);
+    assert.ok(await bcrypt.compare('my-own-password', user.password_hash));
+    assert.strictEqual(revoke.mock.callCount(), 1);
+    assert.strictEqual(jwt.decode(res.body.token).must_change_password, undefined);
+  });
+
+  test('changePassword rejects a wrong current password', async () => {
+    const user = { _id: objectId(), password_hash: await bcrypt.hash('Temp-pass1', 4), save: mock.fn() };
+    mock.method(User, 'findById', async () => user);
+
+    const res = mockRes();
+    await changePassword({ user: { id: String(user._id) }, body: { current_password: 'nope', new_password: 'my-own-password' }, headers: {} }, res);
+
+    assert.strictEqual(res.statusCode, 401);
+    assert.strictEqual(user.save.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,73 @@
+const { test, describe, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { mockRes, query, objectId } = require('./helpers');
+const { admin } = require('../src/config/fcm');
+const User = require('../src/models/User');
+const Order = require('../src/models/Order_Standalone');
+const { requestDeviceClaim, claimDeviceOrders } = require('../src/controllers/customersController');
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+describe('claiming device orders', () => {
+  afterEach(() => mock.restoreAll());
+
+  test('the claim code is pushed to the device, not returned to the caller', async () => {
+    const userId = String(objectId());
+    mock.method(Order, 'findOne', () => query({ fcm_token: 'device-token' }));
+    const saveClaim = mock.method(User, 'updateOne', async () => ({}));
+    mock.getter(admin, 'apps', () => [{}]);
+    const send = mock.fn(async () => 'sent');
+    mock.getter(admin, 'messaging', () => () => ({ send }));
+
+    const res = mockRes();
+    await requestDeviceClaim({ user: { id: userId }, body: { device_id: 'dev-1' } }, res);
+
+    assert.strictEqual(res.statusCode, 200);
+    const message = send.mock.calls[0].arguments[0];
+    assert.strictEqual(message.token, 'device-token');
+    assert.match(message.data.code, /^\d{6}$/);
+    assert.strictEqual(JSON.stringify(res.body).includes(message.data.code), false);
+    const stored = saveClaim.mock.calls[0].arguments[1].device_claim;
+    assert.strictEqual(stored.code_hash, sha256(message.data.code));
+  });
+
+  test('an order code alone no longer claims anything', async () => {
+    mock.method(User, 'findOneAndUpdate', () => query(null));
+    const claim = mock.method(Order, 'updateMany', async () => ({ modifiedCount: 3 }));
+
+    const res = mockRes();
+    await claimDeviceOrders({ user: { id: String(objectId()) }, body: { device_id: 'dev-1', code: 'ON20260101-0001' } }, res);
+
+    assert.strictEqual(res.statusCode, 403);
+    assert.strictEqual(claim.mock.callCount(), 0);
+  });
+
+  test('a wrong code is refused after counting the attempt', async () => {
+    const counted = mock.method(User, 'findOneAndUpdate', () => query({ device_claim: { code_hash: sha256('123456') } }));
+    const claim = mock.method(Order, 'updateMany', async () => ({ modifiedCount: 3 }));
+
+    const res = mockRes();
+    await claimDeviceOrders({ user: { id: String(objectId()) }, body: { device_id: 'dev-1', code: '654321' } }, res);
+
+    assert.strictEqual(res.statusCode, 403);
+    assert.deepStrictEqual(counted.mock.calls[0].arguments[1], { $inc: { 'device_claim.attempts': 1 } });
+    assert.strictEqual(claim.mock.callCount(), 0);
+  });
+
+  test('the pushed code claims the device orders', async () => {
+    mock.method(User, 'findOneAndUpdate', () => query({ device_claim: { code_hash: sha256('123456') } }));
+    mock.method(Order, 'exists', async () => null);
+    mock.method(Order, 'updateMany', async () => ({ modifiedCount: 2 }));
+    const clear = mock.method(User, 'updateOne', async () => ({}));
+
+    const res = mockRes();
+    await claimDeviceOrders({ user: { id: String(objectId()) }, body: { device_id: 'dev-1', code: '123456' } }, res);
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body.claimed_orders, 2);
+    assert.deepStrictEqual(clear.mock.calls[0].arguments[1].$unset, { device_claim: 1 });
+  });
+});
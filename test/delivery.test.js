@@ -0,0 +1,77 @@
+const { test, describe, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { mockRes, stubSession, query, objectId, staff } = require('./helpers');
+const Order = require('../src/models/Order_Standalone');
+const OrderItem = require('../src/models/OrderItem');
+const Product = require('../src/models/Product');
+const Payment = require('../src/models/Payment');
+const DeliveryZone = require('../src/models/DeliveryZone');
+const Refund = require('../src/models/Refund');
+const { amendOrder } = require('../src/controllers/ordersController');
+const { getMetrics } = require('../src/controllers/dashboardController');
+
+describe('delivery fees', () => {
+  afterEach(() => mock.restoreAll());
+
+  test('amending an order across free_above quotes the delivery fee again', async () => {
+    const zone = DeliveryZone.hydrate({ _id: objectId(), name: 'Town', fee_type: 'flat', flat_fee: 50, free_above: 1000 });
+    const itemId = objectId();
+    const order = {
+      _id: objectId(),
+      type: 'Online',
+      status: 'Processing',
+      totalPrice: 1200,
+      discount: 0,
+      delivery_fee: 0,
+      net_total: 1200,
+      revision: 0,
+      delivery: { zone_id: zone._id, distance_km: 2 }
+    };
+    const item = { _id: itemId, product_id: objectId(), product_name: 'Rice 25kg', quantity: 2, unit_price: 600, total_price: 1200 };
+
+    mock.method(Order, 'findById', () => query(order));
+    mock.method(DeliveryZone, 'findById', async () => zone);
+    mock.method(Product, 'find', () => query([]));
+    mock.method(OrderItem, 'find', () => query([item]));
+    mock.method(OrderItem, 'updateOne', async () => ({}));
+    mock.method(Product, 'adjustStock', async () => ({ applied: true }));
+    stubSession(Order);
+    mock.method(Order, 'findOneAndUpdate', async () => ({ revision: 1 }));
+    const save = mock.method(Order, 'findByIdAndUpdate', async (_id, update) => Order.hydrate({ ...order, ...update }));
+    mock.method(Payment, 'summarizeForOrder', async () => ({ payment_status: 'unpaid', amount_paid: 0, change_due: 0, payment_flagged: false }));
+
+    const res = mockRes();
+    await amendOrder({ user: staff, params: { id: String(order._id) }, body: { update: [{ order_item_id: String(itemId), quantity: 1 }] }, headers: {} }, res);
+
+    assert.strictEqual(res.statusCode, 200);
+    const update = save.mock.calls[0].arguments[1];
+    assert.strictEqual(update.delivery_fee, 50);
+    assert.strictEqual(update.net_total, 650);
+    assert.strictEqual(update.$push.revisions.totals_before.delivery_fee, 0);
+  });
+
+  test("today's sales leave out delivery fees", async () => {
+    const pipelines = [];
+    mock.method(Order, 'aggregate', async (pipeline) => { pipelines.push(pipeline); return []; });
+    mock.method(Order, 'countDocuments', async () => 0);
+    mock.method(Product, 'countDocuments', async () => 0);
+    mock.method(Refund, 'totalsBetween', async () => ({ amount: 0, delivery_fees: 0, count: 0, online: 0, instore: 0 }));
+
+    await getMetrics({}, mockRes());
+
+    assert.deepStrictEqual(pipelines[0][1].$group.total_sales, { $sum: { $subtract: ['$net_total', { $ifNull: ['$delivery_fee', 0] }] } });
+  });
+
+  test('refunded delivery fees do not come off sales', async () => {
+    const aggregate = mock.method(Refund, 'aggregate', async () => [
+      { _id: 'Online', amount: 1200, delivery_fees: 50, count: 2 },
+      { _id: 'In-Store', amount: 300, delivery_fees: 0, count: 1 }
+    ]);
+
+    const totals = await Refund.totalsBetween(new Date('2026-10-19'), new Date('2026-10-20'));
+
+    const group = aggregate.mock.calls[0].arguments[0][1].$group;
+    assert.deepStrictEqual(group.amount, { $sum: { $subtract: ['$amount', { $ifNull: ['$delivery_fee_refunded', 0] }] } });
+    assert.deepStrictEqual(totals, { amount: 1500, delivery_fees: 50, count: 3, online: 1200, instore: 300 });
+  });
+});
@@ -0,0 +1,67 @@
+const { mock } = require('node:test');
+const mongoose = require('mongoose');
+
+// No database in unit tests: any query that is not stubbed fails immediately
+mongoose.set('bufferCommands', false);
+
+// Minimal Express response double that records what the handler sent
+function mockRes() {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    headers: {},
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    set(name, value) {
+      this.headers[name.toLowerCase()] = value;
+      return this;
+    }
+  };
+  return res;
+}
+
+// Session double whose transaction simply runs the callback
+function fakeSession() {
+  return {
+    async withTransaction(fn) {
+      return fn();
+    },
+    endSession() {}
+  };
+}
+
+// A query double that resolves to `value` whatever is chained onto it
+function query(value) {
+  const chain = {
+    select: () => chain,
+    session: () => chain,
+    sort: () => chain,
+    lean: () => chain,
+    populate: () => chain,
+    limit: () => chain,
+    skip: () => chain,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return chain;
+}
+
+// Route Model.startSession to a session double; restored by mock.restoreAll()
+function stubSession(Model, session = fakeSession()) {
+  mock.method(Model, 'startSession', async () => session);
+  return session;
+}
+
+function objectId() {
+  return new mongoose.Types.ObjectId();
+}
+
+// Staff member acting on requests that record who made a change
+const staff = { id: String(objectId()), role: 'staff', email: 'staff@example.com' };
+
+module.exports = { mockRes, fakeSession, stubSession, query, objectId, staff };
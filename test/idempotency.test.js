@@ -0,0 +1,104 @@
+const { test, describe, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('node:events');
+const { mockRes, objectId, staff } = require('./helpers');
+const IdempotencyKey = require('../src/models/IdempotencyKey');
+const { idempotent } = require('../src/middleware/idempotency');
+
+function orderRequest(body, key = 'key-1') {
+  return { method: 'POST', baseUrl: '/orders', path: '/', route: { path: '/' }, headers: { 'idempotency-key': key }, body, query: {}, user: staff };
+}
+
+// Response double that can emit finish/close like an Express response
+function eventRes() {
+  return Object.assign(new EventEmitter(), mockRes(), { writableFinished: false });
+}
+
+async function run(req, res) {
+  let nextCalled = false;
+  await idempotent()(req, res, () => { nextCalled = true; });
+  return nextCalled;
+}
+
+describe('idempotency keys', () => {
+  afterEach(() => mock.restoreAll());
+
+  test('the first request runs and its response is stored', async () => {
+    const record = { _id: objectId() };
+    mock.method(IdempotencyKey, 'claim', async () => ({ record, created: true }));
+    const store = mock.method(IdempotencyKey, 'updateOne', async () => ({}));
+
+    const res = eventRes();
+    const nextCalled = await run(orderRequest({ name: 'Ana' }), res);
+    assert.strictEqual(nextCalled, true);
+
+    res.status(201).json({ order: { id: 'o1' } });
+    res.emit('finish');
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.deepStrictEqual(store.mock.calls[0].arguments[1], { status: 'completed', response_status: 201, response_body: { order: { id: 'o1' } } });
+  });
+
+  test('a retry replays the stored response without running the handler', async () => {
+    const req = orderRequest({ name: 'Ana' });
+    let requestHash;
+    mock.method(IdempotencyKey, 'claim', async (args) => {
+      requestHash = args.requestHash;
+      return { record: { request_hash: requestHash, status: 'completed', response_status: 201, response_body: { order: { id: 'o1' } } }, created: false };
+    });
+
+    const res = eventRes();
+    const nextCalled = await run(req, res);
+
+    assert.strictEqual(nextCalled, false);
+    assert.strictEqual(res.statusCode, 201);
+    assert.deepStrictEqual(res.body, { order: { id: 'o1' } });
+    assert.strictEqual(res.headers['idempotent-replayed'], 'true');
+  });
+
+  test('reusing a key for a different request is refused', async () => {
+    mock.method(IdempotencyKey, 'claim', async () => ({ record: { request_hash: 'other', status: 'completed' }, created: false }));
+
+    const res = eventRes();
+    const nextCalled = await run(orderRequest({ name: 'Ben' }), res);
+
+    assert.strictEqual(nextCalled, false);
+    assert.strictEqual(res.statusCode, 422);
+  });
+
+  test('a retry while the first request is still running is told to wait', async () => {
+    mock.method(IdempotencyKey, 'claim', async ({ requestHash }) => ({ record: { request_hash: requestHash, status: 'in_progress' }, created: false }));
+
+    const res = eventRes();
+    await run(orderRequest({ name: 'Ana' }), res);
+
+    assert.strictEqual(res.statusCode, 409);
+    assert.strictEqual(res.headers['retry-after'], '2');
+  });
+
+  test('server errors free the key so the client can retry', async () => {
+    const record = { _id: objectId() };
+    mock.method(IdempotencyKey, 'claim', async () => ({ record, created: true }));
+    const release = mock.method(IdempotencyKey, 'deleteOne', async () => ({}));
+
+    const res = eventRes();
+    await run(orderRequest({ name: 'Ana' }), res);
+    res.status(500).json({ message: 'Server error' });
+    res.emit('finish');
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.deepStrictEqual(release.mock.calls[0].arguments[0], { _id: record._id, status: 'in_progress' });
+  });
+
+  test('claim falls back to the existing record when the key is taken', async () => {
+    const existing = { key: 'key-1', status: 'completed' };
+    mock.method(IdempotencyKey, 'create', async () => { throw Object.assign(new Error('E11000'), { code: 11000 }); });
+    mock.method(IdempotencyKey, 'findOneAndUpdate', async () => null);
+    mock.method(IdempotencyKey, 'findOne', async () => existing);
+
+    const claim = await IdempotencyKey.claim({ key: 'key-1', scope: 'POST /orders/ user:1', requestHash: 'h' });
+
+    assert.strictEqual(claim.created, false);
+    assert.strictEqual(claim.record, existing);
+  });
+});
@@ -0,0 +1,107 @@
+const { test, describe, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const bcrypt = require('bcryptjs');
+const { mockRes, objectId } = require('./helpers');
+const LoginAttempt = require('../src/models/LoginAttempt');
+const User = require('../src/models/User');
+const Session = require('../src/models/Session');
+const { login } = require('../src/controllers/authController');
+
+function loginRequest(password) {
+  return { body: { email: 'Staff@Example.com', password }, ip: '10.0.0.1', headers: {} };
+}
+
+describe('LoginAttempt.registerAttempt', () => {
+  afterEach(() => mock.restoreAll());
+
+  test('counts the attempt with one upserting pipeline update', async () => {
+    const update = mock.method(LoginAttempt, 'findOneAndUpdate', async () => ({ failed_count: 1, last_attempt_blocked: false }));
+
+    const result = await LoginAttempt.registerAttempt({ key_type: 'email', key: 'a@example.com' });
+
+    assert.strictEqual(result.blocked, false);
+    assert.strictEqual(update.mock.callCount(), 1);
+    const [filter, pipeline, options] = update.mock.calls[0].arguments;
+    assert.deepStrictEqual(filter, { key_type: 'email', key: 'a@example.com' });
+    assert.ok(Array.isArray(pipeline));
+    assert.strictEqual(options.upsert, true);
+    assert.strictEqual(options.new, true);
+  });
+
+  test('retries once when parallel first attempts race on the insert', async () => {
+    let calls = 0;
+    mock.method(LoginAttempt, 'findOneAndUpdate', async () => {
+      calls += 1;
+      if (calls === 1) throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      return { failed_count: 2, last_attempt_blocked: false };
+    });
+
+    const result = await LoginAttempt.registerAttempt({ key_type: 'ip', key: '10.0.0.1' });
+    assert.strictEqual(result.blocked, false);
+    assert.strictEqual(calls, 2);
+  });
+
+  test('reports the lock and how long to wait', async () => {
+    const lockedUntil = new Date(Date.now() + 90 * 1000);
+    mock.method(LoginAttempt, 'findOneAndUpdate', async () => ({ last_attempt_blocked: true, locked_until: lockedUntil }));
+
+    const result = await LoginAttempt.registerAttempt({ key_type: 'email', key: 'a@example.com' });
+    assert.strictEqual(result.blocked, true);
+    assert.strictEqual(result.reason, 'locked');
+    assert.ok(result.retryAfter >= 89 && result.retryAfter <= 90);
+  });
+});
+
+describe('login throttling', () => {
+  afterEach(() => mock.restoreAll());
+
+  test('a blocked key refuses the request before the password is checked', async () => {
+    mock.method(LoginAttempt, 'registerAttempt', async ({ key_type }) => (
+      key_type === 'email'
+        ? { blocked: true, reason: 'throttled', retryAfter: 4 }
+        : { blocked: false }
+    ));
+    const forgive = mock.method(LoginAttempt, 'forgiveAttempt', async () => {});
+    const findUser = mock.method(User, 'findByEmail', async () => null);
+
+    const res = mockRes();
+    await login(loginRequest('guess'), res);
+
+    assert.strictEqual(res.statusCode, 429);
+    assert.strictEqual(res.headers['retry-after'], '4');
+    assert.strictEqual(findUser.mock.callCount(), 0);
+    assert.deepStrictEqual(forgive.mock.calls.map(c => c.arguments[0].key_type), ['ip']);
+  });
+
+  test('a wrong password keeps the counted attempt and notes the failure', async () => {
+    mock.method(LoginAttempt, 'registerAttempt', async () => ({ blocked: false }));
+    const forgive = mock.method(LoginAttempt, 'forgiveAttempt', async () => {});
+    const note = mock.method(LoginAttempt, 'noteFailure', async () => {});
+    mock.method(User, 'findByEmail', async () => ({ _id: objectId(), password_hash: await bcrypt.hash('right-password', 4) }));
+
+    const res = mockRes();
+    await login(loginRequest('wrong-password'), res);
+
+    assert.strictEqual(res.statusCode, 401);
+    assert.strictEqual(note.mock.callCount(), 2);
+    assert.strictEqual(forgive.mock.callCount(), 0);
+  });
+
+  test('a successful login resets the email key and gives back the IP attempt', async () => {
+    const user = { _id: objectId(), email: 'staff@example.com', role: 'staff', password_hash: await bcrypt.hash('right-password', 4) };
+    mock.method(LoginAttempt, 'registerAttempt', async () => ({ blocked: false }));
+    const forgive = mock.method(LoginAttempt, 'forgiveAttempt', async () => {});
+    const reset = mock.method(LoginAttempt, 'reset', async () => {});
+    mock.method(User, 'findByEmail', async () => user);
+    mock.method(User, 'updateOne', async () => ({}));
+    mock.method(Session, 'create', async () => ({ _id: objectId() }));
+
+    const res = mockRes();
+    await login(loginRequest('right-password'), res);
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.ok(res.body.token);
+    assert.strictEqual(reset.mock.calls[0].arguments[0].key_type, 'email');
+    assert.strictEqual(forgive.mock.calls[0].arguments[0].key_type, 'ip');
+  });
+});
@@ -0,0 +1,61 @@
+const { test, describe, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { mockRes, query, objectId } = require('./helpers');
+const Order = require('../src/models/Order_Standalone');
+const OrderItem = require('../src/models/OrderItem');
+const { listOrders, getOrder, updateOrderPayment } = require('../src/controllers/ordersController');
+
+// A request arriving on a /public route: API key only, no signed-in user
+function publicRequest(fields) {
+  return { apiKey: { name: 'kiosk' }, params: {}, query: {}, body: {}, headers: {}, ...fields };
+}
+
+describe('public order access', () => {
+  afterEach(() => mock.restoreAll());
+
+  test('listing orders without a device_id is refused', async () => {
+    const find = mock.method(Order, 'find', () => query([]));
+
+    const res = mockRes();
+    await listOrders(publicRequest({}), res);
+
+    assert.strictEqual(res.statusCode, 400);
+    assert.strictEqual(find.mock.callCount(), 0);
+  });
+
+  test('a device only lists its own unclaimed orders', async () => {
+    const count = mock.method(Order, 'countDocuments', async () => 0);
+    mock.method(Order, 'find', () => query([]));
+
+    const res = mockRes();
+    await listOrders(publicRequest({ query: { device_id: 'dev-1' } }), res);
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepStrictEqual(count.mock.calls[0].arguments[0], { device_id: 'dev-1', customer_id: null });
+  });
+
+  test('reading an order needs the device it was placed from', async () => {
+    const orderId = objectId();
+    mock.method(Order, 'findOne', () => query({ _id: orderId, device_id: 'dev-1', customer_id: null }));
+    const items = mock.method(OrderItem, 'find', () => query([]));
+
+    const res = mockRes();
+    await getOrder(publicRequest({ params: { id: String(orderId) } }), res);
+
+    assert.strictEqual(res.statusCode, 403);
+    assert.strictEqual(items.mock.callCount(), 0);
+  });
+
+  test('API-key callers cannot move an order through the workflow', async () => {
+    const orderId = objectId();
+    mock.method(Order, 'findById', () => query({ _id: orderId, device_id: 'dev-1', customer_id: null, status: 'Pending' }));
+    const update = mock.method(Order, 'findByIdAndUpdate', async () => null);
+
+    const res = mockRes();
+    await updateOrderPayment(publicRequest({ params: { id: String(orderId) }, body: { device_id: 'dev-1', status: 'Completed' } }), res);
+
+    assert.strictEqual(res.statusCode, 403);
+    assert.strictEqual(res.body.message, 'Only staff can change order status');
+    assert.strictEqual(update.mock.callCount(), 0);
+  });
+});
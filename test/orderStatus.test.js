@@ -0,0 +1,121 @@
+const { test, describe, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { mockRes, stubSession, query, objectId, staff } = require('./helpers');
+const Order = require('../src/models/Order_Standalone');
+const OrderItem = require('../src/models/OrderItem');
+const Product = require('../src/models/Product');
+const StockReservation = require('../src/models/StockReservation');
+const { createOrder, updateOrderPayment } = require('../src/controllers/ordersController');
+
+function orderDoc(fields) {
+  return { ...fields, toObject() { return { ...fields }; } };
+}
+
+// Stub the reads and writes updateOrderPayment makes for a status move
+function stubStatusMove(fromStatus, items) {
+  const orderId = objectId();
+  mock.method(Order, 'findById', () => query({ _id: orderId, status: fromStatus, order_code: 'ORD-1', customer_id: null }));
+  stubSession(Order);
+  mock.method(Order, 'findByIdAndUpdate', async (_id, update) => orderDoc({ _id: orderId, status: update.status }));
+  mock.method(OrderItem, 'find', () => query(items));
+  const adjust = mock.method(Product, 'adjustStock', async (_p, variantId) => ({ applied: true, variant_id: variantId }));
+  const convert = mock.method(StockReservation, 'convertForOrder', async () => items.length);
+  return { orderId, adjust, convert };
+}
+
+describe('order status', () => {
+  afterEach(() => mock.restoreAll());
+
+  test('online orders cannot be created past Pending', async () => {
+    const res = mockRes();
+    await createOrder({
+      user: { id: String(objectId()), role: 'customer' },
+      body: { name: 'Ana', totalPrice: 100, device_id: 'dev-1', type: 'Online', status: 'Completed' },
+      headers: {}
+    }, res);
+    assert.strictEqual(res.statusCode, 400);
+    assert.strictEqual(res.body.message, 'New orders must start as Pending');
+  });
+
+  test('public callers cannot open an in-store sale as Delivered', async () => {
+    const res = mockRes();
+    await createOrder({
+      body: { name: 'Ana', totalPrice: 100, device_id: 'dev-1', type: 'In-Store', status: 'Delivered' },
+      headers: {}
+    }, res);
+    assert.strictEqual(res.statusCode, 400);
+    assert.strictEqual(res.body.message, 'New orders must start as Pending');
+  });
+
+  test('Pending to Completed takes the stock off and converts the holds', async () => {
+    const productId = objectId();
+    const { orderId, adjust, convert } = stubStatusMove('Pending', [{ product_id: productId, variant_id: null, quantity: 2 }]);
+
+    const res = mockRes();
+    await updateOrderPayment({ user: staff, params: { id: String(orderId) }, body: { status: 'Completed' }, headers: {} }, res);
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(adjust.mock.callCount(), 1);
+    assert.strictEqual(adjust.mock.calls[0].arguments[2], -2);
+    assert.strictEqual(adjust.mock.calls[0].arguments[3].movement.type, 'sale');
+    assert.strictEqual(convert.mock.callCount(), 1);
+  });
+
+  test('Completed to Delivered does not take the stock twice', async () => {
+    const orderId = objectId();
+    mock.method(Order, 'findById', () => query({ _id: orderId, status: 'Completed', customer_id: null }));
+    mock.method(Order, 'findOneAndUpdate', async (_filter, update) => orderDoc({ _id: orderId, status: update.status }));
+    const adjust = mock.method(Product, 'adjustStock', async () => ({ applied: true }));
+
+    const res = mockRes();
+    await updateOrderPayment({ user: staff, params: { id: String(orderId) }, body: { status: 'Delivered' }, headers: {} }, res);
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(adjust.mock.callCount(), 0);
+  });
+
+  test('cancelling a Processing order puts its stock back', async () => {
+    const productId = objectId();
+    const { orderId, adjust, convert } = stubStatusMove('Processing', [{ product_id: productId, variant_id: null, quantity: 3 }]);
+
+    const res = mockRes();
+    await updateOrderPayment({ user: staff, params: { id: String(orderId) }, body: { status: 'Cancelled' }, headers: {} }, res);
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(adjust.mock.calls[0].arguments[2], 3);
+    assert.strictEqual(adjust.mock.calls[0].arguments[3].movement.type, 'return');
+    assert.strictEqual(convert.mock.callCount(), 0);
+    assert.strictEqual(res.body.order.stock_restored.units, 3);
+  });
+
+  test('moves outside the state machine are refused', async () => {
+    const orderId = objectId();
+    mock.method(Order, 'findById', () => query({ _id: orderId, status: 'Delivered', customer_id: null }));
+    const adjust = mock.method(Product, 'adjustStock', async () => ({ applied: true }));
+
+    const res = mockRes();
+    await updateOrderPayment({ user: staff, params: { id: String(orderId) }, body: { status: 'Cancelled' }, headers: {} }, res);
+
+    assert.strictEqual(res.statusCode, 409);
+    assert.deepStrictEqual(res.body.allowed_statuses, Order.STATUS_TRANSITIONS.Delivered);
+    assert.strictEqual(adjust.mock.callCount(), 0);
+  });
+
+  test('a move lost to another request inside the transaction reports the same body', async () => {
+    const { orderId, adjust } = stubStatusMove('Pending', [{ product_id: objectId(), variant_id: null, quantity: 1 }]);
+    // Read as Pending, then found Cancelled once the transaction locks it
+    const statuses = ['Pending', 'Cancelled'];
+    Order.findById.mock.mockImplementation(() => query({ _id: orderId, status: statuses.shift() || 'Cancelled', customer_id: null }));
+
+    const res = mockRes();
+    await updateOrderPayment({ user: staff, params: { id: String(orderId) }, body: { status: 'Processing' }, headers: {} }, res);
+
+    assert.strictEqual(res.statusCode, 409);
+    assert.deepStrictEqual(res.body, {
+      message: 'Cannot change order status from Cancelled to Processing',
+      current_status: 'Cancelled',
+      allowed_statuses: Order.STATUS_TRANSITIONS.Cancelled
+    });
+    assert.strictEqual(adjust.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,83 @@
+const { test, describe, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { mockRes, stubSession, query, objectId, staff } = require('./helpers');
+const Order = require('../src/models/Order_Standalone');
+const OrderItem = require('../src/models/OrderItem');
+const Payment = require('../src/models/Payment');
+const Product = require('../src/models/Product');
+const StockReservation = require('../src/models/StockReservation');
+const { reviewPayment } = require('../src/controllers/ordersController');
+
+const admin = { ...staff, role: 'admin' };
+
+// A Pending order with one GCash payment awaiting review
+function stubReview({ paymentStatus = 'verified' } = {}) {
+  const order = Order.hydrate({ _id: objectId(), order_code: 'ORD-1', status: 'Pending', net_total: 500, payment: 'GCash' });
+  const payment = { _id: objectId(), order_id: order._id, method: 'GCash', amount: 500, status: 'verified' };
+  stubSession(Order);
+  mock.method(Order, 'findById', () => query(order));
+  mock.method(Payment, 'summarizeForOrder', async () => ({ payment_status: paymentStatus, amount_paid: 500, change_due: 0, payment_flagged: false }));
+  mock.method(Order, 'findByIdAndUpdate', async (_id, update) => Order.hydrate({ ...order.toObject(), ...update }));
+  mock.method(OrderItem, 'find', () => query([{ product_id: objectId(), variant_id: null, quantity: 2 }]));
+  return {
+    payment,
+    claim: mock.method(Payment, 'findOneAndUpdate', async () => payment),
+    advance: mock.method(Order, 'findOneAndUpdate', async (_filter, update) => Order.hydrate({ ...order.toObject(), status: update.status })),
+    adjust: mock.method(Product, 'adjustStock', async () => ({ applied: true })),
+    convert: mock.method(StockReservation, 'convertForOrder', async () => 1)
+  };
+}
+
+function review(paymentId, body) {
+  return { user: admin, params: { paymentId: String(paymentId) }, body, headers: {} };
+}
+
+describe('payment review', () => {
+  afterEach(() => mock.restoreAll());
+
+  test('verifying the payment that settles a Pending order starts processing it', async () => {
+    const { payment, advance, adjust, convert } = stubReview();
+
+    const res = mockRes();
+    await reviewPayment(review(payment._id, { decision: 'verify' }), res);
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body.order.status, 'Processing');
+    assert.strictEqual(advance.mock.calls[0].arguments[0].status, 'Pending');
+    assert.strictEqual(adjust.mock.calls[0].arguments[2], -2);
+    assert.strictEqual(convert.mock.callCount(), 1);
+  });
+
+  test('verifying one of several payments leaves the order Pending', async () => {
+    const { payment, advance, adjust } = stubReview({ paymentStatus: 'pending_verification' });
+
+    const res = mockRes();
+    await reviewPayment(review(payment._id, { decision: 'verify' }), res);
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body.order.status, 'Pending');
+    assert.strictEqual(advance.mock.callCount(), 0);
+    assert.strictEqual(adjust.mock.callCount(), 0);
+  });
+
+  test('a payment cannot be reviewed twice', async () => {
+    const { payment, claim } = stubReview();
+    claim.mock.mockImplementation(async () => null);
+    mock.method(Payment, 'exists', () => query({ _id: payment._id }));
+
+    const res = mockRes();
+    await reviewPayment(review(payment._id, { decision: 'reject', reason: 'Wrong amount' }), res);
+
+    assert.strictEqual(res.statusCode, 409);
+    assert.strictEqual(res.body.message, 'Payment has already been reviewed');
+  });
+
+  test('a session that cannot start is answered with a 500', async () => {
+    mock.method(Order, 'startSession', async () => { throw new Error('no replica set'); });
+
+    const res = mockRes();
+    await reviewPayment(review(objectId(), { decision: 'verify' }), res);
+
+    assert.strictEqual(res.statusCode, 500);
+  });
+});
@@ -0,0 +1,170 @@
+const { test, describe, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { mockRes, stubSession, query, objectId } = require('./helpers');
+const Order = require('../src/models/Order_Standalone');
+const OrderItem = require('../src/models/OrderItem');
+const Product = require('../src/models/Product');
+const StockReservation = require('../src/models/StockReservation');
+const DeliveryZone = require('../src/models/DeliveryZone');
+
+// The mismatch mode is read when the controller loads, so load a copy per mode
+function controllerInMode(mode) {
+  const path = require.resolve('../src/controllers/ordersController');
+  delete require.cache[path];
+  process.env.ORDER_PRICE_MISMATCH_MODE = mode;
+  try {
+    return require(path);
+  } finally {
+    delete process.env.ORDER_PRICE_MISMATCH_MODE;
+    delete require.cache[path];
+  }
+}
+
+// Stub checkout for a product now priced at 250 with plenty of stock
+function stubCheckout({ fee = 0 } = {}) {
+  const product = { _id: objectId(), name: 'Rice 5kg', price: 250, stock: 50, variants: [] };
+  mock.method(Product, 'findById', () => query(product));
+  mock.method(Product, 'find', () => query([{ ...product }]));
+  mock.method(Product, 'lockForStockCheck', async () => {});
+  mock.method(StockReservation, 'heldQuantities', async () => new Map());
+  mock.method(StockReservation, 'holdForOrder', async (_orderId, lines) => lines.map(() => ({ expires_at: new Date() })));
+  mock.method(DeliveryZone, 'quote', async () => ({ deliverable: true, fee, zone: null, distance_km: 2 }));
+  stubSession(Order);
+  mock.method(Order, 'nextOrderCode', async () => 'ORD20261019-0001');
+  mock.method(OrderItem, 'insertMany', async (items) => items);
+  return {
+    product,
+    create: mock.method(Order, 'create', async ([fields]) => [Order.hydrate({ ...fields })])
+  };
+}
+
+// Two units at a stale client price of 200
+function staleCartRequest(product, body = {}) {
+  return {
+    user: { id: String(objectId()), role: 'customer' },
+    body: {
+      name: 'Ana',
+      address: 'Purok 1',
+      type: 'Online',
+      payment: 'Cash',
+      totalPrice: 400,
+      net_total: 400,
+      items: [{ product_id: String(product._id), quantity: 2, price: 200 }],
+      ...body
+    },
+    headers: {}
+  };
+}
+
+describe('order repricing', () => {
+  afterEach(() => mock.restoreAll());
+
+  test('reject mode refuses a stale cart and returns the server totals', async () => {
+    const { createOrder } = controllerInMode('reject');
+    const { product, create } = stubCheckout();
+
+    const res = mockRes();
+    await createOrder(staleCartRequest(product), res);
+
+    assert.strictEqual(res.statusCode, 422);
+    assert.deepStrictEqual(res.body.discrepancies.map(d => d.field), ['unit_price', 'totalPrice', 'net_total']);
+    assert.strictEqual(res.body.discrepancies[0].server_value, 250);
+    assert.deepStrictEqual(res.body.server_totals, { totalPrice: 500, discount: 0, delivery_fee: 0, net_total: 500 });
+    assert.strictEqual(create.mock.callCount(), 0);
+  });
+
+  test('flag mode saves the order at server prices and flags it', async () => {
+    const { createOrder } = controllerInMode('flag');
+    const { product, create } = stubCheckout();
+
+    const res = mockRes();
+    await createOrder(staleCartRequest(product, { discount: 50 }), res);
+
+    assert.strictEqual(res.statusCode, 201);
+    const [saved] = create.mock.calls[0].arguments[0];
+    assert.strictEqual(saved.pricing_flagged, true);
+    assert.ok(saved.pricing_discrepancies.some(d => d.field === 'discount' && d.server_value === 0));
+    assert.strictEqual(saved.totalPrice, 500);
+    // Customers get no client-side discount unless one is configured
+    assert.strictEqual(saved.discount, 0);
+    assert.strictEqual(saved.net_total, 500);
+    assert.strictEqual(saved.client_totals.totalPrice, 400);
+  });
+
+  test('a cart at current prices is neither refused nor flagged', async () => {
+    const { createOrder } = controllerInMode('reject');
+    const { product, create } = stubCheckout({ fee: 45 });
+
+    const res = mockRes();
+    await createOrder(staleCartRequest(product, {
+      totalPrice: 500,
+      net_total: 545,
+      delivery_fee: 45,
+      items: [{ product_id: String(product._id), quantity: 2, price: 250 }]
+    }), res);
+
+    assert.strictEqual(res.statusCode, 201);
+    const [saved] = create.mock.calls[0].arguments[0];
+    assert.ok(!saved.pricing_flagged);
+    assert.strictEqual(saved.delivery_fee, 45);
+    assert.strictEqual(saved.net_total, 545);
+  });
+
+  test('a client delivery fee that differs from the zone quote is a discrepancy', async () => {
+    const { createOrder } = controllerInMode('reject');
+    const { product } = stubCheckout({ fee: 60 });
+
+    const res = mockRes();
+    await createOrder(staleCartRequest(product, {
+      totalPrice: 500,
+      net_total: 530,
+      delivery_fee: 30,
+      items: [{ product_id: String(product._id), quantity: 2, price: 250 }]
+    }), res);
+
+    assert.strictEqual(res.statusCode, 422);
+    assert.deepStrictEqual(res.body.discrepancies.find(d => d.field === 'delivery_fee'), { field: 'delivery_fee', client_value: 30, server_value: 60 });
+    assert.strictEqual(res.body.server_totals.net_total, 560);
+  });
+});
+
+describe('DeliveryZone fees', () => {
+  afterEach(() => mock.restoreAll());
+
+  const zone = fields => DeliveryZone.hydrate({ _id: objectId(), name: 'Town', is_active: true, address_keywords: [], distance_bands: [], ...fields });
+
+  test('distance zones charge the first band the distance fits in', () => {
+    const banded = zone({ fee_type: 'distance', distance_bands: [{ up_to_km: 10, fee: 80 }, { up_to_km: 3, fee: 40 }] });
+
+    assert.strictEqual(banded.feeFor(2.5, 100), 40);
+    assert.strictEqual(banded.feeFor(7, 100), 80);
+    assert.strictEqual(banded.feeFor(12, 100), null);
+    assert.strictEqual(banded.feeFor(null, 100), null);
+  });
+
+  test('baskets at free_above deliver free', () => {
+    const flat = zone({ fee_type: 'flat', flat_fee: 50, free_above: 1000 });
+
+    assert.strictEqual(flat.feeFor(null, 999), 50);
+    assert.strictEqual(flat.feeFor(null, 1000), 0);
+  });
+
+  test('quote matches a zone by address keyword', async () => {
+    mock.method(DeliveryZone, 'find', () => query([zone({ address_keywords: ['poblacion'], flat_fee: 35 })]));
+
+    const inside = await DeliveryZone.quote({ address: 'Purok 2, Poblacion', basketTotal: 200 });
+    const outside = await DeliveryZone.quote({ address: 'Elsewhere', basketTotal: 200 });
+
+    assert.strictEqual(inside.deliverable, true);
+    assert.strictEqual(inside.fee, 35);
+    assert.strictEqual(outside.deliverable, false);
+  });
+
+  test('with no zones configured delivery is free', async () => {
+    mock.method(DeliveryZone, 'find', () => query([]));
+
+    const quote = await DeliveryZone.quote({ address: 'Anywhere' });
+
+    assert.deepStrictEqual(quote, { deliverable: true, zone: null, fee: 0, distance_km: null });
+  });
+});
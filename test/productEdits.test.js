@@ -0,0 +1,63 @@
+const { test, describe, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { mockRes, stubSession, query, objectId, staff } = require('./helpers');
+const Product = require('../src/models/Product');
+const StockMovement = require('../src/models/StockMovement');
+const { updateProduct } = require('../src/controllers/productsController');
+
+function edit(id, body) {
+  return { user: staff, params: { id: String(id) }, body: { name: 'Soy Sauce', ...body }, headers: {} };
+}
+
+describe('product edits', () => {
+  afterEach(() => mock.restoreAll());
+
+  test('stock typed into the edit form goes through Product.adjustStock', async () => {
+    const id = objectId();
+    const litre = objectId();
+    const before = { _id: id, stock: 10, variants: [{ _id: litre, stock: 10 }] };
+    stubSession(Product);
+    // Read before the edit, then again for the adjusted stock
+    const read = mock.method(Product, 'findById', () => query(Product.hydrate({ _id: id, stock: 11, variants: [{ _id: litre, stock: 7 }] })));
+    read.mock.mockImplementationOnce(() => query(before), 0);
+    const write = mock.method(Product, 'findByIdAndUpdate', async (_id, changes) => Product.hydrate({ _id: id, ...changes.$set }));
+    mock.method(StockMovement, 'recordSnapshotChanges', async () => []);
+    const adjust = mock.method(Product, 'adjustStock', async () => ({ applied: true }));
+
+    const half = String(objectId());
+    const res = mockRes();
+    await updateProduct(edit(id, {
+      variants: [
+        { _id: String(litre), name: '1L', price: 80, stock: 7 },
+        { _id: half, name: '500ml', price: 45, stock: 4 }
+      ]
+    }), res);
+
+    assert.strictEqual(res.statusCode, 200);
+    // The product write keeps the stock on record; a new variant starts empty
+    const { $set } = write.mock.calls[0].arguments[1];
+    assert.deepStrictEqual($set.variants.map(v => v.stock), [10, 0]);
+    assert.strictEqual($set.stock, 10);
+
+    const changes = adjust.mock.calls.map(call => call.arguments);
+    assert.deepStrictEqual(changes.map(([, variantId, delta]) => [String(variantId), delta]), [[String(litre), -3], [half, 4]]);
+    assert.ok(changes.every(([, , , options]) => options.movement.type === 'adjustment' && options.session));
+    assert.strictEqual(res.body.product.stock, 11);
+  });
+
+  test('an edit that leaves stock alone makes no adjustment', async () => {
+    const id = objectId();
+    stubSession(Product);
+    mock.method(Product, 'findById', () => query({ _id: id, stock: 6, variants: [] }));
+    const write = mock.method(Product, 'findByIdAndUpdate', async (_id, changes) => Product.hydrate({ _id: id, ...changes.$set }));
+    mock.method(StockMovement, 'recordSnapshotChanges', async () => []);
+    const adjust = mock.method(Product, 'adjustStock', async () => ({ applied: true }));
+
+    const res = mockRes();
+    await updateProduct(edit(id, { price: 50, stock: '6' }), res);
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(write.mock.calls[0].arguments[1].$set.stock, 6);
+    assert.strictEqual(adjust.mock.callCount(), 0);
+  });
+});
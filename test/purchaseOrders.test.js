@@ -0,0 +1,127 @@
+const { test, describe, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { mockRes, stubSession, query, objectId, staff } = require('./helpers');
+const PurchaseOrder = require('../src/models/PurchaseOrder');
+const Supplier = require('../src/models/Supplier');
+const SupplierProduct = require('../src/models/SupplierProduct');
+const Product = require('../src/models/Product');
+const { receivePurchaseOrder } = require('../src/controllers/purchaseOrdersController');
+
+// One sent PO for ten units at 12.50, with the writes around it stubbed
+function stubPurchaseOrder(fields = {}) {
+  const po = PurchaseOrder.hydrate({
+    _id: objectId(),
+    po_number: 'PO-1',
+    supplier_id: objectId(),
+    status: 'sent',
+    lines: [{
+      _id: objectId(),
+      supplier_product_id: objectId(),
+      product_id: objectId(),
+      variant_id: null,
+      product_name: 'Rice',
+      quantity_ordered: 10,
+      quantity_received: 0,
+      unit_cost: 12.5,
+      line_total: 125
+    }],
+    receipts: [],
+    received_value: 0,
+    ...fields
+  });
+  stubSession(PurchaseOrder);
+  mock.method(PurchaseOrder, 'findById', () => query(po));
+  return {
+    po,
+    line: po.lines[0],
+    save: mock.method(po, 'save', async () => po),
+    adjust: mock.method(Product, 'adjustStock', async () => ({ applied: true })),
+    supplierProducts: mock.method(SupplierProduct, 'updateMany', async () => ({})),
+    supplier: mock.method(Supplier, 'updateOne', async () => ({}))
+  };
+}
+
+function receive(po, lines) {
+  return { user: staff, params: { id: String(po._id) }, body: { lines }, headers: {} };
+}
+
+describe('purchase order receiving', () => {
+  afterEach(() => mock.restoreAll());
+
+  test('a partial delivery restocks into a lot and counts the PO once for the supplier', async () => {
+    const { po, line, save, adjust, supplier } = stubPurchaseOrder();
+
+    const res = mockRes();
+    await receivePurchaseOrder(receive(po, [
+      { line_id: String(line._id), quantity: 4, batch_number: 'B-7', expiry_date: '2027-01-31' }
+    ]), res);
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body.purchase_order.status, 'partially_received');
+    assert.strictEqual(res.body.purchase_order.lines[0].quantity_outstanding, 6);
+    assert.strictEqual(save.mock.callCount(), 1);
+
+    const [productId, variantId, delta, options] = adjust.mock.calls[0].arguments;
+    assert.strictEqual(String(productId), String(line.product_id));
+    assert.strictEqual(variantId, null);
+    assert.strictEqual(delta, 4);
+    assert.strictEqual(options.movement.type, 'restock');
+    assert.strictEqual(options.movement.reference.code, 'PO-1');
+    assert.strictEqual(options.lot.batch_number, 'B-7');
+    assert.strictEqual(options.lot.expiry_date.toISOString().slice(0, 10), '2027-01-31');
+    assert.strictEqual(options.lot.unit_cost, 12.5);
+
+    assert.deepStrictEqual(supplier.mock.calls[0].arguments[1].$inc, { total_orders: 1, total_value: 50 });
+  });
+
+  test('the delivery that clears every line marks the PO received without recounting it', async () => {
+    const { po, line, supplier } = stubPurchaseOrder();
+    line.quantity_received = 4;
+    po.status = 'partially_received';
+    po.receipts.push({ lines: [], value: 50 });
+
+    const res = mockRes();
+    await receivePurchaseOrder(receive(po, [{ line_id: String(line._id), quantity: 6 }]), res);
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body.purchase_order.status, 'received');
+    assert.ok(res.body.purchase_order.received_at);
+    assert.deepStrictEqual(supplier.mock.calls[0].arguments[1].$inc, { total_orders: 0, total_value: 75 });
+  });
+
+  test('receiving more than is outstanding is refused before any stock moves', async () => {
+    const { po, line, save, adjust } = stubPurchaseOrder();
+
+    const res = mockRes();
+    await receivePurchaseOrder(receive(po, [{ line_id: String(line._id), quantity: 11 }]), res);
+
+    assert.strictEqual(res.statusCode, 422);
+    assert.strictEqual(res.body.lines[0].outstanding, 10);
+    assert.strictEqual(adjust.mock.callCount(), 0);
+    assert.strictEqual(save.mock.callCount(), 0);
+  });
+
+  test('a line whose product has gone aborts the delivery', async () => {
+    const { po, line, save, adjust, supplier } = stubPurchaseOrder();
+    adjust.mock.mockImplementation(async () => ({ applied: false, reason: 'product_not_found' }));
+
+    const res = mockRes();
+    await receivePurchaseOrder(receive(po, [{ line_id: String(line._id), quantity: 2 }]), res);
+
+    assert.strictEqual(res.statusCode, 422);
+    assert.strictEqual(res.body.message, `Product ${line.product_id} no longer exists`);
+    assert.strictEqual(save.mock.callCount(), 0);
+    assert.strictEqual(supplier.mock.callCount(), 0);
+  });
+
+  test('closed purchase orders cannot be received against', async () => {
+    const { po, line, adjust } = stubPurchaseOrder({ status: 'closed' });
+
+    const res = mockRes();
+    await receivePurchaseOrder(receive(po, [{ line_id: String(line._id), quantity: 1 }]), res);
+
+    assert.strictEqual(res.statusCode, 409);
+    assert.strictEqual(res.body.current_status, 'closed');
+    assert.strictEqual(adjust.mock.callCount(), 0);
+  });
+});
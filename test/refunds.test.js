@@ -0,0 +1,131 @@
+const { test, describe, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { mockRes, stubSession, query, objectId, staff } = require('./helpers');
+const Order = require('../src/models/Order_Standalone');
+const OrderItem = require('../src/models/OrderItem');
+const Product = require('../src/models/Product');
+const Refund = require('../src/models/Refund');
+const { createRefund } = require('../src/controllers/ordersController');
+
+// Stub one order with its items and the quantities already refunded against them
+function stubRefund({ status = 'Completed', items, refunded = new Map(), order = {} }) {
+  const orderId = objectId();
+  const orderDoc = {
+    _id: orderId,
+    order_code: 'ORD-1',
+    type: 'In-Store',
+    status,
+    totalPrice: 200,
+    net_total: 180,
+    delivery_fee: 0,
+    refunded_total: 0,
+    ...order
+  };
+  stubSession(Order);
+  mock.method(Order, 'findById', () => query(orderDoc));
+  mock.method(OrderItem, 'find', () => query(items));
+  mock.method(Refund, 'refundedQuantities', async () => refunded);
+  const adjust = mock.method(Product, 'adjustStock', async () => ({ applied: true }));
+  const create = mock.method(Refund, 'create', async ([doc]) => [{ _id: objectId(), ...doc }]);
+  const update = mock.method(Order, 'findByIdAndUpdate', async (_id, change) => ({
+    ...orderDoc,
+    refunded_total: orderDoc.refunded_total + change.$inc.refunded_total,
+    refund_status: change.refund_status
+  }));
+  return { orderId, adjust, create, update };
+}
+
+function item(fields) {
+  return { _id: objectId(), product_id: objectId(), variant_id: null, product_name: 'Rice', unit_price: 50, ...fields };
+}
+
+describe('refunds', () => {
+  afterEach(() => mock.restoreAll());
+
+  test('a partial refund shares out the discount and restocks the returned units', async () => {
+    const rice = item({ quantity: 4 });
+    const { orderId, adjust, create, update } = stubRefund({ items: [rice] });
+
+    const res = mockRes();
+    await createRefund({
+      user: staff,
+      params: { id: String(orderId) },
+      body: { items: [{ order_item_id: String(rice._id), quantity: 1 }], reason: 'Damaged', method: 'Cash', restock: true },
+      headers: {}
+    }, res);
+
+    assert.strictEqual(res.statusCode, 201);
+    // 50 x 1 at the order's 180 / 200 discount ratio
+    assert.strictEqual(res.body.refund.amount, 45);
+    assert.strictEqual(res.body.refund.delivery_fee_refunded, 0);
+    assert.strictEqual(res.body.order.refund_status, 'Partial');
+
+    assert.strictEqual(adjust.mock.callCount(), 1);
+    const [productId, variantId, delta, options] = adjust.mock.calls[0].arguments;
+    assert.strictEqual(productId, rice.product_id);
+    assert.strictEqual(variantId, null);
+    assert.strictEqual(delta, 1);
+    assert.strictEqual(options.movement.type, 'return');
+    assert.strictEqual(create.mock.calls[0].arguments[0][0].lines[0].restocked, true);
+    assert.deepStrictEqual(update.mock.calls[0].arguments[1].$inc, { refunded_total: 45 });
+  });
+
+  test('refunding more than remains is refused without touching stock', async () => {
+    const rice = item({ quantity: 2 });
+    const { orderId, adjust, create } = stubRefund({ items: [rice], refunded: new Map([[String(rice._id), 1]]) });
+
+    const res = mockRes();
+    await createRefund({
+      user: staff,
+      params: { id: String(orderId) },
+      body: { items: [{ order_item_id: String(rice._id), quantity: 2 }], reason: 'Damaged', method: 'Cash', restock: true },
+      headers: {}
+    }, res);
+
+    assert.strictEqual(res.statusCode, 409);
+    assert.strictEqual(res.body.message, 'Only 1 of Rice can still be refunded');
+    assert.strictEqual(adjust.mock.callCount(), 0);
+    assert.strictEqual(create.mock.callCount(), 0);
+  });
+
+  test('the refund that clears the order takes whatever amount is left', async () => {
+    const rice = item({ quantity: 3, unit_price: 33.33 });
+    const { orderId, adjust, update } = stubRefund({
+      items: [rice],
+      refunded: new Map([[String(rice._id), 1]]),
+      order: { totalPrice: 99.99, net_total: 149.99, delivery_fee: 50, refunded_total: 33.33 }
+    });
+
+    const res = mockRes();
+    await createRefund({ user: staff, params: { id: String(orderId) }, body: { reason: 'Returned', method: 'GCash' }, headers: {} }, res);
+
+    assert.strictEqual(res.statusCode, 201);
+    // Remaining two units plus the delivery fee
+    assert.strictEqual(res.body.refund.amount, 116.66);
+    assert.strictEqual(res.body.refund.delivery_fee_refunded, 50);
+    assert.strictEqual(res.body.refund.lines[0].quantity, 2);
+    assert.strictEqual(res.body.order.refund_status, 'Full');
+    assert.strictEqual(update.mock.calls[0].arguments[1].refund_status, 'Full');
+    assert.strictEqual(adjust.mock.callCount(), 0);
+  });
+
+  test('orders that were never completed cannot be refunded', async () => {
+    const { orderId, create } = stubRefund({ status: 'Pending', items: [item({ quantity: 1 })] });
+
+    const res = mockRes();
+    await createRefund({ user: staff, params: { id: String(orderId) }, body: { reason: 'Changed mind', method: 'Cash' }, headers: {} }, res);
+
+    assert.strictEqual(res.statusCode, 409);
+    assert.strictEqual(res.body.message, 'Only Completed or Delivered orders can be refunded');
+    assert.strictEqual(create.mock.callCount(), 0);
+  });
+
+  test('a session that cannot start is answered with a 500', async () => {
+    mock.method(Order, 'startSession', async () => { throw new Error('no replica set'); });
+
+    const res = mockRes();
+    await createRefund({ user: staff, params: { id: String(objectId()) }, body: { reason: 'Damaged', method: 'Cash' }, headers: {} }, res);
+
+    assert.strictEqual(res.statusCode, 500);
+  });
+});
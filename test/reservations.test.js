@@ -0,0 +1,98 @@
+const { test, describe, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { mockRes, fakeSession, stubSession, query, objectId } = require('./helpers');
+const Order = require('../src/models/Order_Standalone');
+const OrderItem = require('../src/models/OrderItem');
+const Product = require('../src/models/Product');
+const StockReservation = require('../src/models/StockReservation');
+const DeliveryZone = require('../src/models/DeliveryZone');
+const { createOrder } = require('../src/controllers/ordersController');
+
+// Stub everything createOrder touches for a one-line online order of `quantity`
+// units of a product with `stock` on hand and `held` units already held
+function stubCheckout({ stock, held }) {
+  const product = { _id: objectId(), name: 'Rice 5kg', price: 250, stock, variants: [] };
+  const session = fakeSession();
+  mock.method(Product, 'findById', () => query(product));
+  mock.method(Product, 'find', () => query([{ ...product }]));
+  mock.method(DeliveryZone, 'quote', async () => ({ deliverable: true, fee: 0, zone: null, distance_km: 1 }));
+  stubSession(Order, session);
+  mock.method(Order, 'nextOrderCode', async () => 'ORD20261019-0001');
+  mock.method(StockReservation, 'heldQuantities', async () => new Map([[`${product._id}:`, held]]));
+  return {
+    product,
+    session,
+    lock: mock.method(Product, 'lockForStockCheck', async () => {}),
+    create: mock.method(Order, 'create', async ([fields]) => [Order.hydrate({ ...fields })]),
+    insertItems: mock.method(OrderItem, 'insertMany', async (items) => items),
+    hold: mock.method(StockReservation, 'holdForOrder', async (_orderId, lines) => lines.map(() => ({ expires_at: new Date() })))
+  };
+}
+
+function checkoutRequest(product, quantity) {
+  return {
+    user: { id: String(objectId()), role: 'customer' },
+    body: {
+      name: 'Ana',
+      address: 'Purok 1',
+      type: 'Online',
+      payment: 'Cash',
+      totalPrice: 250 * quantity,
+      items: [{ product_id: String(product._id), quantity, price: 250 }]
+    },
+    headers: {}
+  };
+}
+
+describe('checkout stock holds', () => {
+  afterEach(() => mock.restoreAll());
+
+  test('the stock check, the order and the hold share one transaction', async () => {
+    const stubs = stubCheckout({ stock: 5, held: 3 });
+
+    const res = mockRes();
+    await createOrder(checkoutRequest(stubs.product, 2), res);
+
+    assert.strictEqual(res.statusCode, 201);
+    assert.strictEqual(stubs.lock.mock.calls[0].arguments[1].session, stubs.session);
+    assert.strictEqual(stubs.create.mock.calls[0].arguments[1].session, stubs.session);
+    assert.strictEqual(stubs.hold.mock.calls[0].arguments[2].session, stubs.session);
+    assert.strictEqual(res.body.order.order_code, 'ORD20261019-0001');
+  });
+
+  test('units already held by other orders are not sold twice', async () => {
+    const stubs = stubCheckout({ stock: 5, held: 4 });
+
+    const res = mockRes();
+    await createOrder(checkoutRequest(stubs.product, 2), res);
+
+    assert.strictEqual(res.statusCode, 409);
+    assert.strictEqual(res.body.shortages[0].available, 1);
+    assert.strictEqual(stubs.create.mock.callCount(), 0);
+    assert.strictEqual(stubs.hold.mock.callCount(), 0);
+  });
+
+  test('the products are locked before availability is read', async () => {
+    const stubs = stubCheckout({ stock: 5, held: 0 });
+    const order = [];
+    stubs.lock.mock.mockImplementation(async () => { order.push('lock'); });
+    StockReservation.heldQuantities.mock.mockImplementation(async () => { order.push('read'); return new Map(); });
+
+    await createOrder(checkoutRequest(stubs.product, 1), mockRes());
+
+    assert.deepStrictEqual(order, ['lock', 'read']);
+  });
+
+  test('a failed hold leaves no order behind', async () => {
+    const stubs = stubCheckout({ stock: 5, held: 0 });
+    stubs.hold.mock.mockImplementation(async () => { throw new Error('WriteConflict'); });
+    const payments = mock.method(require('../src/models/Payment'), 'insertMany', async () => []);
+
+    const res = mockRes();
+    await createOrder(checkoutRequest(stubs.product, 1), res);
+
+    // The error escapes withTransaction, which aborts the order and items written before it
+    assert.strictEqual(res.statusCode, 500);
+    assert.strictEqual(payments.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,43 @@
+const { test, describe, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { mockRes, query } = require('./helpers');
+const Order = require('../src/models/Order_Standalone');
+const OrderItem = require('../src/models/OrderItem');
+const Refund = require('../src/models/Refund');
+const SalesDailySummary = require('../src/models/SalesDailySummary');
+const { aggregateSalesData } = require('../src/controllers/dashboardController');
+
+describe('sales summary aggregation', () => {
+  afterEach(() => mock.restoreAll());
+
+  test('a day with refunds but no orders still gets a summary', async () => {
+    mock.method(Order, 'aggregate', async () => [{
+      _id: '2026-10-01',
+      orders: [{ _id: 'o1', type: 'Online', totalPrice: 100, discount: 0, net_total: 100, delivery_fee: 0 }],
+      total_gross_sales: 100,
+      total_discounts: 0,
+      total_delivery_fees: 0,
+      total_net_sales: 100,
+      order_count: 1
+    }]);
+    mock.method(Refund, 'aggregate', async () => [{ _id: '2026-10-01' }, { _id: '2026-10-03' }]);
+    // Days are processed in date order, so the second lookup is the refund-only day
+    let lookups = 0;
+    mock.method(Refund, 'totalsBetween', async () => (
+      lookups++ === 1 ? { amount: 40, count: 1, online: 40, instore: 0 } : { amount: 0, count: 0, online: 0, instore: 0 }
+    ));
+    mock.method(OrderItem, 'find', () => query([]));
+    const upsert = mock.method(SalesDailySummary, 'findOneAndUpdate', async (_filter, data) => data);
+
+    const res = mockRes();
+    await aggregateSalesData({}, res);
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepStrictEqual(res.body.results.map(day => day.date), ['2026-10-01', '2026-10-03']);
+    const refundDay = upsert.mock.calls[1].arguments[1];
+    assert.strictEqual(refundDay.gross_sales, 0);
+    assert.strictEqual(refundDay.refunds, 40);
+    assert.strictEqual(refundDay.net_sales, -40);
+    assert.strictEqual(refundDay.online_sales, -40);
+  });
+});
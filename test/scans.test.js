@@ -0,0 +1,77 @@
+const { test, describe, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { mockRes, objectId, staff } = require('./helpers');
+const Product = require('../src/models/Product');
+const { scanProduct, batchProcessScans } = require('../src/controllers/productsController');
+
+function variantProduct() {
+  return Product.hydrate({
+    _id: objectId(),
+    name: 'Soy Sauce',
+    stock: 10,
+    variants: [{ _id: objectId(), name: '1L', price: 80, stock: 6, barcodes: ['480001'] }, { _id: objectId(), name: '500ml', price: 45, stock: 4, barcodes: ['480002'] }]
+  });
+}
+
+describe('barcode scans', () => {
+  afterEach(() => mock.restoreAll());
+
+  test('a scan takes stock through Product.adjustStock', async () => {
+    const product = variantProduct();
+    const variant = product.variants[0];
+    const lookup = mock.method(Product, 'findByBarcode', async () => ({ product, variant }));
+    const adjust = mock.method(Product, 'adjustStock', async () => ({ applied: true, stock: 4 }));
+
+    const res = mockRes();
+    await scanProduct({ user: staff, body: { barcode: ' 480001 ', quantity: 2 }, headers: {} }, res);
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(lookup.mock.calls[0].arguments[0], ' 480001 ');
+    const [productId, variantId, delta, options] = adjust.mock.calls[0].arguments;
+    assert.strictEqual(productId, product._id);
+    assert.strictEqual(variantId, variant._id);
+    assert.strictEqual(delta, -2);
+    assert.strictEqual(options.requireStock, true);
+    assert.strictEqual(options.movement.type, 'sale');
+    assert.strictEqual(res.body.product.stock, 4);
+  });
+
+  test('a scan beyond the stock on hand is refused', async () => {
+    const product = variantProduct();
+    mock.method(Product, 'findByBarcode', async () => ({ product, variant: product.variants[1] }));
+    mock.method(Product, 'adjustStock', async () => ({ applied: false, reason: 'insufficient_stock' }));
+
+    const res = mockRes();
+    await scanProduct({ user: staff, body: { barcode: '480002', quantity: 9 }, headers: {} }, res);
+
+    assert.strictEqual(res.statusCode, 400);
+    assert.strictEqual(res.body.message, 'Insufficient stock available for this variant');
+  });
+
+  test('untracked stock is scanned without a deduction', async () => {
+    const product = Product.hydrate({ _id: objectId(), name: 'Ice', price: 10, stock: 0, track_stock: false, variants: [] });
+    mock.method(Product, 'findByBarcode', async () => ({ product, variant: null }));
+    const adjust = mock.method(Product, 'adjustStock', async () => ({ applied: true }));
+
+    const res = mockRes();
+    await batchProcessScans({ user: staff, body: { items: [{ barcode: 'ICE', quantity: 3 }] }, headers: {} }, res);
+
+    assert.strictEqual(res.body.processed, 1);
+    assert.strictEqual(adjust.mock.callCount(), 0);
+  });
+
+  test('a batch reports each failed barcode and carries on', async () => {
+    const product = variantProduct();
+    mock.method(Product, 'findByBarcode', async (barcode) => (
+      barcode === '480001' ? { product, variant: product.variants[0] } : { product: null, variant: null }
+    ));
+    mock.method(Product, 'adjustStock', async () => ({ applied: true, stock: 5 }));
+
+    const res = mockRes();
+    await batchProcessScans({ user: staff, body: { items: [{ barcode: 'nope' }, { barcode: '480001' }] }, headers: {} }, res);
+
+    assert.strictEqual(res.body.processed, 1);
+    assert.strictEqual(res.body.errorDetails[0].error, 'Product not found for this barcode');
+    assert.strictEqual(res.body.results[0].product.stock, 5);
+  });
+});
@@ -0,0 +1,88 @@
+const { test, describe, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const { mockRes, query, objectId } = require('./helpers');
+const Session = require('../src/models/Session');
+const User = require('../src/models/User');
+const { refresh } = require('../src/controllers/authController');
+
+function sessionDoc(fields) {
+  return Object.assign(new Session({
+    user_id: objectId(),
+    refresh_token_hash: Session.hashToken('current-secret'),
+    previous_token_hash: Session.hashToken('old-secret'),
+    expires_at: new Date(Date.now() + 60 * 60 * 1000),
+    ...fields
+  }), { save: mock.fn(async () => {}) });
+}
+
+async function callRefresh(session, secret) {
+  const res = mockRes();
+  await refresh({ body: { refreshToken: `${session._id}.${secret}` }, headers: {} }, res);
+  return res;
+}
+
+describe('refresh token rotation', () => {
+  afterEach(() => mock.restoreAll());
+
+  test('a valid refresh token is swapped for a new one', async () => {
+    const session = sessionDoc();
+    mock.method(Session, 'findById', async () => session);
+    mock.method(User, 'findById', () => query({ _id: session.user_id, email: 'a@example.com', role: 'staff' }));
+    const rotate = mock.method(Session, 'findOneAndUpdate', async () => session);
+
+    const res = await callRefresh(session, 'current-secret');
+
+    assert.strictEqual(res.statusCode, 200);
+    const [filter, update] = rotate.mock.calls[0].arguments;
+    assert.strictEqual(filter.refresh_token_hash, Session.hashToken('current-secret'));
+    assert.strictEqual(update.previous_token_hash, Session.hashToken('current-secret'));
+    const [sid, secret] = res.body.refreshToken.split('.');
+    assert.strictEqual(sid, String(session._id));
+    assert.strictEqual(update.refresh_token_hash, Session.hashToken(secret));
+    assert.strictEqual(jwt.decode(res.body.token).sid, String(session._id));
+  });
+
+  test('replaying a rotated-out token revokes the session', async () => {
+    const session = sessionDoc();
+    mock.method(Session, 'findById', async () => session);
+
+    const res = await callRefresh(session, 'old-secret');
+
+    assert.strictEqual(res.statusCode, 401);
+    assert.strictEqual(session.revoked_reason, 'refresh_token_reuse');
+    assert.strictEqual(session.save.mock.callCount(), 1);
+  });
+
+  test('a token spent by a concurrent refresh is refused', async () => {
+    const session = sessionDoc();
+    mock.method(Session, 'findById', async () => session);
+    mock.method(User, 'findById', () => query({ _id: session.user_id, role: 'staff' }));
+    mock.method(Session, 'findOneAndUpdate', async () => null);
+
+    const res = await callRefresh(session, 'current-secret');
+
+    assert.strictEqual(res.statusCode, 401);
+    assert.strictEqual(res.body.refreshToken, undefined);
+  });
+
+  test('revoked sessions cannot refresh', async () => {
+    const session = sessionDoc({ revoked_at: new Date(), revoked_reason: 'logout' });
+    mock.method(Session, 'findById', async () => session);
+
+    const res = await callRefresh(session, 'current-secret');
+
+    assert.strictEqual(res.statusCode, 401);
+  });
+
+  test('a deactivated account loses its session on refresh', async () => {
+    const session = sessionDoc();
+    mock.method(Session, 'findById', async () => session);
+    mock.method(User, 'findById', () => query({ _id: session.user_id, is_active: false }));
+
+    const res = await callRefresh(session, 'current-secret');
+
+    assert.strictEqual(res.statusCode, 401);
+    assert.strictEqual(session.revoked_reason, 'user_inactive');
+  });
+});
@@ -0,0 +1,157 @@
+const { test, describe, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { query, objectId } = require('./helpers');
+const Product = require('../src/models/Product');
+const StockLot = require('../src/models/StockLot');
+const StockMovement = require('../src/models/StockMovement');
+
+function stubLedger() {
+  return {
+    receive: mock.method(StockLot, 'receive', async (fields) => ({ _id: objectId(), batch_number: fields.batch_number, expiry_date: fields.expiry_date })),
+    consume: mock.method(StockLot, 'consume', async (_p, _v, quantity) => [{ lot_id: objectId(), quantity }]),
+    record: mock.method(StockMovement, 'record', async () => ({}))
+  };
+}
+
+describe('Product.adjustStock', () => {
+  afterEach(() => mock.restoreAll());
+
+  test('moves a variant and the product total in one conditional $inc', async () => {
+    const productId = objectId();
+    const variantId = objectId();
+    const update = mock.method(Product, 'findOneAndUpdate', () => query(Product.hydrate({
+      _id: productId, stock: 7, variants: [{ _id: variantId, name: 'Small', stock: 4 }]
+    })));
+    const ledger = stubLedger();
+
+    const change = await Product.adjustStock(productId, variantId, -2, { movement: { type: 'sale' } });
+
+    const [filter, ops] = update.mock.calls[0].arguments;
+    assert.deepStrictEqual(filter, { _id: productId, variants: { $elemMatch: { _id: variantId } } });
+    assert.deepStrictEqual(ops, { $inc: { 'variants.$.stock': -2, stock: -2 } });
+    assert.strictEqual(change.applied, true);
+    assert.strictEqual(change.stock, 4);
+    const [entry] = ledger.record.mock.calls[0].arguments;
+    assert.strictEqual(entry.stock_before, 6);
+    assert.strictEqual(entry.stock_after, 4);
+    assert.strictEqual(ledger.consume.mock.calls[0].arguments[2], 2);
+  });
+
+  test('an unknown variant changes nothing', async () => {
+    const productId = objectId();
+    mock.method(Product, 'findOneAndUpdate', () => query(null));
+    mock.method(Product, 'findById', () => query({ _id: productId, variants: [{ _id: objectId() }] }));
+    const ledger = stubLedger();
+
+    const change = await Product.adjustStock(productId, objectId(), -1);
+
+    assert.strictEqual(change.applied, false);
+    assert.strictEqual(change.reason, 'variant_not_found');
+    assert.strictEqual(ledger.record.mock.callCount(), 0);
+  });
+
+  test('requireStock guards the deduction in the filter', async () => {
+    const productId = objectId();
+    const update = mock.method(Product, 'findOneAndUpdate', () => query(null));
+    mock.method(Product, 'findById', () => query({ _id: productId, variants: [] }));
+    stubLedger();
+
+    const change = await Product.adjustStock(productId, null, -5, { requireStock: true });
+
+    assert.deepStrictEqual(update.mock.calls[0].arguments[0], { _id: productId, stock: { $gte: 5 } });
+    assert.strictEqual(change.applied, false);
+    assert.strictEqual(change.reason, 'insufficient_stock');
+  });
+
+  test('a restock opens a lot with the batch details', async () => {
+    const productId = objectId();
+    mock.method(Product, 'findOneAndUpdate', () => query(Product.hydrate({ _id: productId, stock: 12, variants: [] })));
+    const ledger = stubLedger();
+    const expiry = new Date('2027-01-31');
+
+    const change = await Product.adjustStock(productId, null, 10, {
+      movement: { type: 'restock' },
+      lot: { batch_number: 'B-7', expiry_date: expiry }
+    });
+
+    assert.strictEqual(ledger.receive.mock.calls[0].arguments[0].quantity, 10);
+    assert.strictEqual(change.lots[0].batch_number, 'B-7');
+    assert.strictEqual(ledger.consume.mock.callCount(), 0);
+  });
+});
+
+describe('stock lots', () => {
+  afterEach(() => mock.restoreAll());
+
+  test('consume uses the earliest expiry first and undated lots last', async () => {
+    const undated = { _id: objectId(), quantity_remaining: 10, expiry_date: null, received_at: new Date('2026-01-01') };
+    const late = { _id: objectId(), quantity_remaining: 5, expiry_date: new Date('2026-12-01'), received_at: new Date('2026-02-01') };
+    const soon = { _id: objectId(), quantity_remaining: 2, expiry_date: new Date('2026-11-01'), received_at: new Date('2026-03-01') };
+    mock.method(StockLot, 'find', () => query([undated, late, soon]));
+    const take = mock.method(StockLot, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    const allocations = await StockLot.consume(objectId(), null, 8);
+
+    assert.deepStrictEqual(allocations.map(a => [a.lot_id, a.quantity]), [[soon._id, 2], [late._id, 5], [undated._id, 1]]);
+    assert.deepStrictEqual(take.mock.calls[0].arguments.slice(0, 2), [
+      { _id: soon._id, quantity_remaining: { $gte: 2 } },
+      { $inc: { quantity_remaining: -2 } }
+    ]);
+  });
+
+  test('consume retries a lot another deduction drew on first', async () => {
+    const lot = { _id: objectId(), quantity_remaining: 5, expiry_date: null, received_at: new Date() };
+    mock.method(StockLot, 'find', () => query([lot]));
+    mock.method(StockLot, 'findById', () => query({ quantity_remaining: 3 }));
+    let attempts = 0;
+    mock.method(StockLot, 'updateOne', async () => ({ modifiedCount: attempts++ === 0 ? 0 : 1 }));
+
+    const allocations = await StockLot.consume(objectId(), null, 4);
+
+    assert.deepStrictEqual(allocations.map(a => a.quantity), [3]);
+  });
+
+  test('returned units go back to the lots they came from, the rest to an unbatched lot', async () => {
+    const lotA = objectId();
+    mock.method(StockLot, 'find', () => query([{ _id: lotA, batch_number: 'A1', expiry_date: new Date('2027-01-01') }]));
+    const give = mock.method(StockLot, 'updateOne', async () => ({ modifiedCount: 1 }));
+    const open = mock.method(StockLot, 'receive', async (fields) => ({ _id: objectId(), quantity_remaining: fields.quantity }));
+
+    const allocations = await StockLot.putBack(objectId(), null, 5, { from: new Map([[String(lotA), 3]]) });
+
+    assert.deepStrictEqual(give.mock.calls[0].arguments[1], { $inc: { quantity_remaining: 3 } });
+    assert.strictEqual(open.mock.calls[0].arguments[0].quantity, 2);
+    assert.strictEqual(open.mock.calls[0].arguments[0].batch_number, undefined);
+    assert.deepStrictEqual(allocations.map(a => a.quantity), [3, 2]);
+  });
+
+  test('lotsOutFor nets an order\'s deductions against its returns', async () => {
+    const lotA = objectId();
+    const lotB = objectId();
+    mock.method(StockMovement, 'find', () => query([
+      { quantity: -4, lots: [{ lot_id: lotA, quantity: 3 }, { lot_id: lotB, quantity: 1 }] },
+      { quantity: 2, lots: [{ lot_id: lotA, quantity: 2 }] }
+    ]));
+
+    const out = await StockMovement.lotsOutFor({ kind: 'Order', id: objectId() }, objectId(), null);
+
+    assert.strictEqual(out.get(String(lotA)), 1);
+    assert.strictEqual(out.get(String(lotB)), 1);
+  });
+
+  test('a cancelled sale puts its units back through the order\'s lots', async () => {
+    const productId = objectId();
+    const reference = { kind: 'Order', id: objectId(), code: 'ORD-1' };
+    mock.method(Product, 'findOneAndUpdate', () => query(Product.hydrate({ _id: productId, stock: 9, variants: [] })));
+    const out = new Map([['lot', 3]]);
+    const lotsOut = mock.method(StockMovement, 'lotsOutFor', async () => out);
+    const putBack = mock.method(StockLot, 'putBack', async () => [{ quantity: 3 }]);
+    mock.method(StockMovement, 'record', async () => ({}));
+
+    const change = await Product.adjustStock(productId, null, 3, { movement: { type: 'return', reference } });
+
+    assert.strictEqual(lotsOut.mock.calls[0].arguments[0], reference);
+    assert.strictEqual(putBack.mock.calls[0].arguments[3].from, out);
+    assert.deepStrictEqual(change.lots, [{ quantity: 3 }]);
+  });
+});
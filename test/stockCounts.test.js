@@ -0,0 +1,191 @@
+const { test, describe, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { mockRes, stubSession, query, objectId, staff } = require('./helpers');
+const StockCount = require('../src/models/StockCount');
+const Product = require('../src/models/Product');
+const {
+  createStockCount,
+  recordCount,
+  approveStockCount
+} = require('../src/controllers/stockCountsController');
+
+function countDoc(lines, fields = {}) {
+  const count = StockCount.hydrate({ _id: objectId(), count_number: 'SC2026-00001', status: 'open', lines, ...fields });
+  mock.method(count, 'save', async () => count);
+  return count;
+}
+
+function countLine(fields) {
+  return { _id: objectId(), product_id: objectId(), variant_id: null, product_name: 'Rice', counted_quantity: null, unit_cost: 10, ...fields };
+}
+
+describe('stock counts', () => {
+  afterEach(() => mock.restoreAll());
+
+  test('opening a count snapshots each stocked product and tracked variant', async () => {
+    const shirtId = objectId();
+    const small = objectId();
+    mock.method(Product, 'find', () => query([
+      { _id: objectId(), name: 'Rice', stock: 12, cost: 40, variants: [] },
+      {
+        _id: shirtId,
+        name: 'Shirt',
+        variants: [
+          { _id: small, name: 'Small', stock: 3, cost: 100, barcodes: ['4800001'] },
+          { _id: objectId(), name: 'Sample', stock: 1, track_stock: false }
+        ]
+      }
+    ]));
+    mock.method(StockCount, 'nextCountNumber', async () => 'SC2026-00001');
+    const create = mock.method(StockCount, 'create', async (fields) => StockCount.hydrate({ _id: objectId(), status: 'open', ...fields }));
+
+    const res = mockRes();
+    await createStockCount({ user: staff, body: {}, headers: {} }, res);
+
+    assert.strictEqual(res.statusCode, 201);
+    const { lines } = create.mock.calls[0].arguments[0];
+    assert.strictEqual(lines.length, 2);
+    assert.strictEqual(lines[0].snapshot_quantity, 12);
+    assert.strictEqual(lines[1].variant_id, small);
+    assert.strictEqual(lines[1].barcode, '4800001');
+    assert.strictEqual(res.body.stock_count.summary.uncounted, 2);
+  });
+
+  test('add mode increments the line on an open count and set mode replaces it', async () => {
+    const product = Product.hydrate({ _id: objectId(), name: 'Rice', stock: 12, variants: [] });
+    const count = countDoc([countLine({ product_id: product._id, snapshot_quantity: 12 })]);
+    const line = count.lines[0];
+    mock.method(Product, 'findByBarcode', async () => ({ product, variant: null }));
+    mock.method(StockCount, 'findById', async () => count);
+    // Apply each update to the line the way the server would
+    const zero = mock.method(StockCount, 'updateOne', async () => {
+      if (line.counted_quantity === null) line.counted_quantity = 0;
+      return { modifiedCount: 1 };
+    });
+    const update = mock.method(StockCount, 'findOneAndUpdate', async (filter, changes) => {
+      if (changes.$push) return null; // already on the count
+      line.counted_quantity = changes.$inc
+        ? line.counted_quantity + changes.$inc['lines.$[line].counted_quantity']
+        : changes.$set['lines.$[line].counted_quantity'];
+      return count;
+    });
+
+    const scan = async body => {
+      const res = mockRes();
+      await recordCount({ user: staff, params: { id: String(count._id) }, body: { barcode: '4800002', ...body }, headers: {} }, res);
+      return res;
+    };
+
+    await scan({ quantity: 5 });
+    const added = await scan({ quantity: 4 });
+    assert.strictEqual(added.body.line.counted_quantity, 9);
+    assert.strictEqual(added.body.line.variance, -3);
+    assert.strictEqual(zero.mock.calls[0].arguments[2].arrayFilters[0]['line.counted_quantity'], null);
+
+    const set = await scan({ quantity: 11, mode: 'set' });
+    assert.strictEqual(set.body.line.counted_quantity, 11);
+    assert.strictEqual(set.body.summary.counted, 1);
+
+    for (const call of [...update.mock.calls, ...zero.mock.calls]) {
+      assert.strictEqual(call.arguments[0].status, 'open');
+    }
+    const [, increment, options] = update.mock.calls[1].arguments;
+    assert.deepStrictEqual(increment.$inc, { 'lines.$[line].counted_quantity': 5 });
+    assert.strictEqual(String(options.arrayFilters[0]['line.product_id']), String(product._id));
+    assert.strictEqual(options.arrayFilters[0]['line.variant_id'], null);
+  });
+
+  test('a product missing from the count is added with its first entry', async () => {
+    const product = Product.hydrate({ _id: objectId(), name: 'Beans', stock: 3, cost: 20, variants: [] });
+    const count = countDoc([countLine({ snapshot_quantity: 12 })]);
+    mock.method(Product, 'findByBarcode', async () => ({ product, variant: null }));
+    mock.method(StockCount, 'findById', async () => count);
+    const update = mock.method(StockCount, 'findOneAndUpdate', async (filter, changes) => {
+      count.lines.push(changes.$push.lines);
+      return count;
+    });
+
+    const res = mockRes();
+    await recordCount({ user: staff, params: { id: String(count._id) }, body: { barcode: '4800003', quantity: 2 }, headers: {} }, res);
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(update.mock.callCount(), 1);
+    const [filter, changes] = update.mock.calls[0].arguments;
+    assert.deepStrictEqual(filter.lines.$not.$elemMatch, { product_id: product._id, variant_id: null });
+    assert.strictEqual(changes.$push.lines.snapshot_quantity, 3);
+    assert.strictEqual(res.body.line.counted_quantity, 2);
+    assert.strictEqual(res.body.line.variance, -1);
+  });
+
+  test('an entry on a count approved after it was read is refused', async () => {
+    const product = Product.hydrate({ _id: objectId(), name: 'Rice', stock: 12, variants: [] });
+    const count = countDoc([countLine({ product_id: product._id, snapshot_quantity: 12 })]);
+    mock.method(Product, 'findByBarcode', async () => ({ product, variant: null }));
+    const read = mock.method(StockCount, 'findById', () => query(count));
+    read.mock.mockImplementationOnce(() => query(count), 0);
+    read.mock.mockImplementationOnce(() => query({ _id: count._id, status: 'approved' }), 1);
+    mock.method(StockCount, 'updateOne', async () => ({ modifiedCount: 0 }));
+    mock.method(StockCount, 'findOneAndUpdate', async () => null);
+
+    const res = mockRes();
+    await recordCount({ user: staff, params: { id: String(count._id) }, body: { barcode: '4800002', quantity: 1 }, headers: {} }, res);
+
+    assert.strictEqual(res.statusCode, 409);
+    assert.strictEqual(res.body.current_status, 'approved');
+  });
+
+  test('approval posts each counted difference and leaves uncounted lines alone', async () => {
+    const short = countLine({ snapshot_quantity: 10, counted_quantity: 7 });
+    const over = countLine({ variant_id: objectId(), snapshot_quantity: 2, counted_quantity: 5 });
+    const exact = countLine({ snapshot_quantity: 4, counted_quantity: 4 });
+    const uncounted = countLine({ snapshot_quantity: 6 });
+    const count = countDoc([short, over, exact, uncounted], { status: 'approved' });
+    stubSession(StockCount);
+    const claim = mock.method(StockCount, 'findOneAndUpdate', async () => count);
+    const adjust = mock.method(Product, 'adjustStock', async () => ({ applied: true }));
+
+    const res = mockRes();
+    await approveStockCount({ user: staff, params: { id: String(count._id) }, headers: {} }, res);
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepStrictEqual(claim.mock.calls[0].arguments[0], { _id: String(count._id), status: 'open' });
+    assert.strictEqual(adjust.mock.callCount(), 2);
+    const [first, second] = adjust.mock.calls.map(call => call.arguments);
+    assert.strictEqual(first[2], -3);
+    assert.strictEqual(first[3].movement.type, 'shrinkage');
+    assert.strictEqual(String(second[1]), String(over.variant_id));
+    assert.strictEqual(second[2], 3);
+    assert.strictEqual(second[3].movement.type, 'adjustment');
+    assert.deepStrictEqual(res.body.stock_count.lines.map(line => line.adjustment), [-3, 3]);
+    assert.strictEqual(count.lines[3].adjustment, undefined);
+  });
+
+  test('a line whose product was deleted is approved with no adjustment', async () => {
+    const count = countDoc([countLine({ snapshot_quantity: 5, counted_quantity: 2 })], { status: 'approved' });
+    stubSession(StockCount);
+    mock.method(StockCount, 'findOneAndUpdate', async () => count);
+    mock.method(Product, 'adjustStock', async () => ({ applied: false, reason: 'product_not_found' }));
+
+    const res = mockRes();
+    await approveStockCount({ user: staff, params: { id: String(count._id) }, headers: {} }, res);
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(count.lines[0].adjustment, 0);
+    assert.deepStrictEqual(res.body.stock_count.lines, []);
+  });
+
+  test('a count cannot be approved twice', async () => {
+    const id = String(objectId());
+    stubSession(StockCount);
+    mock.method(StockCount, 'findOneAndUpdate', async () => null);
+    mock.method(StockCount, 'findById', () => query({ _id: id, status: 'approved' }));
+    const adjust = mock.method(Product, 'adjustStock', async () => ({ applied: true }));
+
+    const res = mockRes();
+    await approveStockCount({ user: staff, params: { id }, headers: {} }, res);
+
+    assert.strictEqual(res.statusCode, 409);
+    assert.strictEqual(res.body.message, 'Stock count is already approved');
+    assert.strictEqual(adjust.mock.callCount(), 0);
+  });
+});